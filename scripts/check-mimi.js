@@ -0,0 +1,43 @@
+// Checks Mimi's matcher outside the browser: every Banglish/Bangla pair in
+// MIMI_TRANSLITERATION_PAIRS must match, and the character index must rank every input
+// exactly like scoring every phrase of www/mimi.json. Exits non-zero on any failure.
+//
+//   npm test
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const www = new URL('../www/', import.meta.url);
+const source = readFileSync(fileURLToPath(new URL('script.js', www)), 'utf8');
+const bundled = JSON.parse(readFileSync(fileURLToPath(new URL('mimi.json', www)), 'utf8'));
+
+// script.js is a browser script; its top level only registers a load handler and reads
+// saved preferences, so those are all it needs from the page
+const context = vm.createContext({
+    console: console,
+    performance: performance,
+    document: { addEventListener() {} },
+    localStorage: { getItem: () => null }
+});
+vm.runInContext(source, context, { filename: 'www/script.js' });
+
+const failures = vm.runInContext('checkMimiTransliteration()', context);
+context.bank = { id: 'mimi', name: 'Mimi', url: 'mimi.json', bundled: bundled, customEntries: [] };
+const report = await vm.runInContext('benchmarkMimiMatching(bank)', context);
+
+const pairCount = vm.runInContext('MIMI_TRANSLITERATION_PAIRS.length', context);
+console.log(`Transliteration: ${pairCount - failures.length} of ${pairCount} pairs match`);
+failures.forEach(failure => {
+    console.log(`  "${failure.message}" vs "${failure.phrase}": ${failure.compared.join(' / ')} scored ${failure.similarity.toFixed(3)}`);
+});
+console.log(`Index: ${report.inputs} inputs, ${report.mismatches.length} mismatches, ` +
+    `every phrase ${report.bruteForceMs} ms, indexed ${report.indexedMs} ms (${report.speedup}x faster)`);
+report.mismatches.forEach(mismatch => {
+    console.log(`  "${mismatch.input}" after ${mismatch.lastIntent}:`);
+    console.log(`    expected ${JSON.stringify(mismatch.expected.map(candidate => [candidate.question, candidate.similarity]))}`);
+    console.log(`    actual   ${JSON.stringify(mismatch.actual.map(candidate => [candidate.question, candidate.similarity]))}`);
+});
+
+if (failures.length > 0 || report.mismatches.length > 0) {
+    process.exit(1);
+}
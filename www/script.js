@@ -3,12 +3,17 @@
 // Data Models
 let users = [];
 let groups = [];
-let currentUser = { id: 'me', name: 'You', avatarDataUrl: null, statusText: 'Active' };
+let personas = [{ id: 'me', name: 'You', avatarDataUrl: null, statusText: 'Active' }]; // Your own identities; the first is the default
+let currentUser = personas[0]; // Whose point of view the open chat is shown from
 let currentChat = null;
 let currentChatType = null; // 'user' or 'group'
 let messageIdCounter = 1;
 let userIdCounter = 1;
 let groupIdCounter = 1;
+let personaIdCounter = 1;
+let timeSeparatorGapMinutes = 30; // Show a time divider when messages are further apart than this
+let editingUserId = null; // Set while the add-user view is editing an existing user
+let editingGroupId = null; // Set while the add-group view is editing an existing group
 
 // Context Menu State
 let contextMenuTargetMessage = null;
@@ -17,11 +22,99 @@ let isTyping = false;
 let arrowClickedWithText = false;
 let hiddenFileInput = null;
 let hiddenAttachmentInput = null;
+let hiddenBackupInput = null;
+let hiddenAudioInput = null;
 
 // IndexedDB Storage Management
 let db = null;
 const DB_NAME = 'ChatMessengerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
+
+// Structural IndexedDB upgrades, one step per database version
+const DB_UPGRADES = {
+    1: (db) => {
+        if (!db.objectStoreNames.contains('users')) {
+            const usersStore = db.createObjectStore('users', { keyPath: 'id' });
+            usersStore.createIndex('name', 'name', { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains('groups')) {
+            const groupsStore = db.createObjectStore('groups', { keyPath: 'id' });
+            groupsStore.createIndex('name', 'name', { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains('settings')) {
+            db.createObjectStore('settings', { keyPath: 'key' });
+        }
+    },
+    // Messages get their own store and images/files become Blobs in a media store.
+    // Existing chats still embed their messages; loadAllData() moves them over.
+    2: (db) => {
+        if (!db.objectStoreNames.contains('messages')) {
+            const messagesStore = db.createObjectStore('messages', { keyPath: 'id' });
+            messagesStore.createIndex('chatId', 'chatId', { unique: false });
+            messagesStore.createIndex('chatId_timestamp', ['chatId', 'timestamp'], { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains('media')) {
+            db.createObjectStore('media', { keyPath: 'id' });
+        }
+    },
+    // Your own Mimi phrases, layered over the bundled mimi.json. Not part of DATA_STORES,
+    // so backups and full rewrites leave it alone.
+    3: (db) => {
+        if (!db.objectStoreNames.contains('mimiBank')) {
+            db.createObjectStore('mimiBank', { keyPath: 'phrase' });
+        }
+    },
+    // Response banks for any bot: banks you add, and your phrases per bank. Mimi's
+    // phrases move over from mimiBank into the 'mimi' bank.
+    4: (db, transaction) => {
+        if (!db.objectStoreNames.contains('responseBanks')) {
+            db.createObjectStore('responseBanks', { keyPath: 'id' });
+        }
+        
+        if (!db.objectStoreNames.contains('bankEntries')) {
+            const entriesStore = db.createObjectStore('bankEntries', { keyPath: ['bankId', 'phrase'] });
+            entriesStore.createIndex('bankId', 'bankId', { unique: false });
+        }
+        
+        if (db.objectStoreNames.contains('mimiBank')) {
+            const entriesStore = transaction.objectStore('bankEntries');
+            transaction.objectStore('mimiBank').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    entriesStore.put(Object.assign({ bankId: 'mimi' }, cursor.value));
+                    cursor.continue();
+                } else {
+                    db.deleteObjectStore('mimiBank');
+                }
+            };
+        }
+    },
+    // Your GIF and sticker library, in packs. Like the banks, not part of DATA_STORES.
+    5: (db) => {
+        if (!db.objectStoreNames.contains('stickerPacks')) {
+            db.createObjectStore('stickerPacks', { keyPath: 'id' });
+        }
+        
+        if (!db.objectStoreNames.contains('stickers')) {
+            const stickersStore = db.createObjectStore('stickers', { keyPath: 'id' });
+            stickersStore.createIndex('packId', 'packId', { unique: false });
+        }
+    }
+};
+
+const DATA_STORES = ['users', 'groups', 'settings', 'messages', 'media'];
+const SAVE_DEBOUNCE_MS = 250;
+
+// Message fields whose data URL is kept as a Blob in the media store instead of in the message record
+const MESSAGE_MEDIA_FIELDS = [
+    { key: 'image', holder: message => message, urlField: 'imageDataUrl', idField: 'imageMediaId' },
+    { key: 'file', holder: message => message.attachment, urlField: 'dataUrl', idField: 'mediaId' },
+    { key: 'voice', holder: message => message.voice, urlField: 'dataUrl', idField: 'mediaId' },
+    { key: 'sticker', holder: message => message.sticker, urlField: 'dataUrl', idField: 'mediaId' }
+];
 
 // Initialize IndexedDB
 function initializeDatabase() {
@@ -37,49 +130,16 @@ function initializeDatabase() {
         request.onupgradeneeded = (event) => {
             db = event.target.result;
             
-            // Create object stores
-            if (!db.objectStoreNames.contains('users')) {
-                const usersStore = db.createObjectStore('users', { keyPath: 'id' });
-                usersStore.createIndex('name', 'name', { unique: false });
-            }
-            
-            if (!db.objectStoreNames.contains('groups')) {
-                const groupsStore = db.createObjectStore('groups', { keyPath: 'id' });
-                groupsStore.createIndex('name', 'name', { unique: false });
-            }
-            
-            if (!db.objectStoreNames.contains('settings')) {
-                db.createObjectStore('settings', { keyPath: 'key' });
+            // Apply every upgrade step between the stored version and DB_VERSION in order
+            for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                if (DB_UPGRADES[version]) {
+                    DB_UPGRADES[version](db, event.target.transaction);
+                }
             }
         };
     });
 }
 
-// Save data to IndexedDB
-async function saveToIndexedDB(storeName, data) {
-    if (!db) return;
-    
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([storeName], 'readwrite');
-        const store = transaction.objectStore(storeName);
-        
-        if (Array.isArray(data)) {
-            // Clear existing data first
-            const clearRequest = store.clear();
-            clearRequest.onsuccess = () => {
-                // Add all items
-                data.forEach(item => store.add(item));
-                transaction.oncomplete = () => resolve();
-                transaction.onerror = () => reject(transaction.error);
-            };
-        } else {
-            const request = store.put(data);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        }
-    });
-}
-
 // Load data from IndexedDB
 async function loadFromIndexedDB(storeName) {
     if (!db) return [];
@@ -94,31 +154,313 @@ async function loadFromIndexedDB(storeName) {
     });
 }
 
-// Save all application data
+// Pending writes, collected so bursts of changes (e.g. marking a whole chat as seen) share one transaction
+let pendingWrites = createPendingWrites();
+let saveTimer = null;
+let flushInFlight = Promise.resolve(); // The last flush started; each one waits for the one before
+
+function createPendingWrites() {
+    return {
+        replaceAll: false,
+        chats: new Map(), // id -> { chat, type }
+        chatDeletes: new Map(), // id -> type
+        messages: new Map(), // id -> { message, chatId }
+        messageDeletes: new Set(),
+        settings: false
+    };
+}
+
+function scheduleSave() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+        flushPendingWrites().catch(error => console.error('Error saving data:', error));
+    }, SAVE_DEBOUNCE_MS);
+}
+
+function queueChatSave(chat, type) {
+    pendingWrites.chatDeletes.delete(chat.id);
+    pendingWrites.chats.set(chat.id, { chat: chat, type: type });
+    scheduleSave();
+}
+
+// Deletes the chat record together with its messages and their media
+function queueChatDelete(chat, type) {
+    pendingWrites.chats.delete(chat.id);
+    pendingWrites.chatDeletes.set(chat.id, type);
+    (chat.messages || []).forEach(message => queueMessageDelete(message.id));
+    scheduleSave();
+}
+
+function queueMessageSave(message, chat) {
+    if (!chat) return;
+    assignMessageOrder(chat).forEach(changed => {
+        pendingWrites.messages.set(changed.id, { message: changed, chatId: chat.id });
+    });
+    pendingWrites.messageDeletes.delete(message.id);
+    pendingWrites.messages.set(message.id, { message: message, chatId: chat.id });
+    scheduleSave();
+}
+
+function queueMessageDelete(messageId) {
+    pendingWrites.messages.delete(messageId);
+    pendingWrites.messageDeletes.add(messageId);
+    scheduleSave();
+}
+
+function queueSettingsSave() {
+    pendingWrites.settings = true;
+    scheduleSave();
+}
+
+// Messages load back in `order`; keep it strictly increasing along the chat's array and
+// return the messages whose position had to change
+function assignMessageOrder(chat) {
+    const changed = [];
+    let previousOrder = -Infinity;
+    (chat.messages || []).forEach(message => {
+        if (typeof message.order !== 'number' || message.order <= previousOrder) {
+            message.order = previousOrder === -Infinity ? 0 : previousOrder + 1;
+            changed.push(message);
+        }
+        previousOrder = message.order;
+    });
+    return changed;
+}
+
+function getSettingsRecords() {
+    return [
+        { key: 'messageIdCounter', value: messageIdCounter },
+        { key: 'userIdCounter', value: userIdCounter },
+        { key: 'groupIdCounter', value: groupIdCounter },
+        { key: 'personaIdCounter', value: personaIdCounter },
+        { key: 'personas', value: personas },
+        { key: 'timeSeparatorGapMinutes', value: timeSeparatorGapMinutes },
+        { key: 'recentEmojis', value: recentEmojis },
+        { key: 'schemaVersion', value: SCHEMA_VERSION }
+    ];
+}
+
+// Chat records are stored without their messages
+function toChatRecord(chat) {
+    const record = Object.assign({}, chat);
+    delete record.messages;
+    return record;
+}
+
+// Split a message into its store record and the media Blobs it carries
+async function toMessageRecord(message, chatId) {
+    const record = Object.assign({}, message, { chatId: chatId });
+    if (message.attachment) record.attachment = Object.assign({}, message.attachment);
+    if (message.voice) record.voice = Object.assign({}, message.voice);
+    if (message.sticker) record.sticker = Object.assign({}, message.sticker);
+    const media = [];
+    
+    for (const field of MESSAGE_MEDIA_FIELDS) {
+        const holder = field.holder(message);
+        if (!holder || !holder[field.urlField]) continue;
+        
+        const url = holder[field.urlField];
+        const mediaId = `${message.id}_${field.key}`;
+        // Bundled files like 'k.jpg' stay as plain paths
+        if (!url.startsWith('data:') && !url.startsWith('blob:')) continue;
+        
+        // The message only points at its stored media once the write has committed
+        if (holder[field.idField] !== mediaId) {
+            media.push({ id: mediaId, blob: await urlToBlob(url), holder: holder, idField: field.idField });
+        }
+        
+        const recordHolder = field.holder(record);
+        recordHolder[field.idField] = mediaId;
+        delete recordHolder[field.urlField];
+    }
+    
+    return { record: record, media: media };
+}
+
+function urlToBlob(url) {
+    return fetch(url).then(response => response.blob());
+}
+
+// Write everything queued so far in a single transaction. Flushes run one at a time, so an
+// older copy of a record can never be written after a newer one.
+function flushPendingWrites() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    const flush = flushInFlight.catch(() => {}).then(writePendingBatch);
+    flushInFlight = flush;
+    return flush;
+}
+
+async function writePendingBatch() {
+    if (!db) return;
+    
+    const batch = pendingWrites;
+    pendingWrites = createPendingWrites();
+    
+    try {
+        await writeBatch(batch);
+    } catch (error) {
+        // Keep the failed edits so the next save tries them again
+        restorePendingWrites(batch);
+        throw error;
+    }
+}
+
+// Put a failed batch back under whatever was queued since; the newer changes win
+function restorePendingWrites(batch) {
+    const newer = pendingWrites;
+    if (newer.replaceAll) return;
+    
+    newer.chats.forEach((entry, id) => {
+        batch.chatDeletes.delete(id);
+        batch.chats.set(id, entry);
+    });
+    newer.chatDeletes.forEach((type, id) => {
+        batch.chats.delete(id);
+        batch.chatDeletes.set(id, type);
+    });
+    newer.messages.forEach((entry, id) => {
+        batch.messageDeletes.delete(id);
+        batch.messages.set(id, entry);
+    });
+    newer.messageDeletes.forEach(id => {
+        batch.messages.delete(id);
+        batch.messageDeletes.add(id);
+    });
+    batch.settings = batch.settings || newer.settings;
+    pendingWrites = batch;
+}
+
+async function writeBatch(batch) {
+    // Blobs must be ready before the transaction opens: it commits as soon as we await anything else
+    const messageEntries = await Promise.all(Array.from(batch.messages.values()).map(entry => {
+        return toMessageRecord(entry.message, entry.chatId);
+    }));
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(DATA_STORES, 'readwrite');
+        const stores = {};
+        DATA_STORES.forEach(name => { stores[name] = transaction.objectStore(name); });
+        
+        if (batch.replaceAll) {
+            DATA_STORES.forEach(name => stores[name].clear());
+        }
+        
+        batch.chats.forEach(({ chat, type }) => {
+            stores[type === 'group' ? 'groups' : 'users'].put(toChatRecord(chat));
+        });
+        batch.chatDeletes.forEach((type, id) => {
+            stores[type === 'group' ? 'groups' : 'users'].delete(id);
+        });
+        messageEntries.forEach(({ record, media }) => {
+            stores.messages.put(record);
+            media.forEach(item => stores.media.put({ id: item.id, blob: item.blob }));
+        });
+        batch.messageDeletes.forEach(id => {
+            stores.messages.delete(id);
+            MESSAGE_MEDIA_FIELDS.forEach(field => stores.media.delete(`${id}_${field.key}`));
+        });
+        if (batch.settings || batch.replaceAll) {
+            getSettingsRecords().forEach(setting => stores.settings.put(setting));
+        }
+        
+        transaction.oncomplete = () => {
+            messageEntries.forEach(({ media }) => {
+                media.forEach(item => { item.holder[item.idField] = item.id; });
+            });
+            resolve();
+        };
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Rewrite every store from memory (first run, imports, migrations)
 async function saveAllData() {
     try {
-        await Promise.all([
-            saveToIndexedDB('users', users),
-            saveToIndexedDB('groups', groups),
-            saveToIndexedDB('settings', [
-                { key: 'messageIdCounter', value: messageIdCounter },
-                { key: 'userIdCounter', value: userIdCounter },
-                { key: 'groupIdCounter', value: groupIdCounter }
-            ])
-        ]);
+        // A flush already under way would otherwise land after this full rewrite
+        await flushInFlight.catch(() => {});
+        pendingWrites = createPendingWrites();
+        pendingWrites.replaceAll = true;
+        users.forEach(user => {
+            pendingWrites.chats.set(user.id, { chat: user, type: 'user' });
+            assignMessageOrder(user);
+            (user.messages || []).forEach(message => pendingWrites.messages.set(message.id, { message: message, chatId: user.id }));
+        });
+        groups.forEach(group => {
+            pendingWrites.chats.set(group.id, { chat: group, type: 'group' });
+            assignMessageOrder(group);
+            (group.messages || []).forEach(message => pendingWrites.messages.set(message.id, { message: message, chatId: group.id }));
+        });
+        // Media ids are rewritten along with the cleared media store
+        getAllMessages().forEach(message => {
+            MESSAGE_MEDIA_FIELDS.forEach(field => {
+                const holder = field.holder(message);
+                if (holder) delete holder[field.idField];
+            });
+        });
+        await flushPendingWrites();
     } catch (error) {
         console.error('Error saving data:', error);
     }
 }
 
+// Attach stored messages to their chats and turn media Blobs back into URLs for rendering
+function attachStoredMessages(chats, messageRecords, mediaRecords) {
+    const mediaById = new Map(mediaRecords.map(item => [item.id, item.blob]));
+    const messagesByChat = new Map();
+    
+    messageRecords.forEach(record => {
+        const message = Object.assign({}, record);
+        delete message.chatId;
+        if (message.attachment) message.attachment = Object.assign({}, message.attachment);
+        if (message.voice) message.voice = Object.assign({}, message.voice);
+        if (message.sticker) message.sticker = Object.assign({}, message.sticker);
+        
+        MESSAGE_MEDIA_FIELDS.forEach(field => {
+            const holder = field.holder(message);
+            if (holder && holder[field.idField] && mediaById.has(holder[field.idField])) {
+                holder[field.urlField] = URL.createObjectURL(mediaById.get(holder[field.idField]));
+            }
+        });
+        
+        if (!messagesByChat.has(record.chatId)) messagesByChat.set(record.chatId, []);
+        messagesByChat.get(record.chatId).push(message);
+    });
+    
+    chats.forEach(chat => {
+        chat.messages = (messagesByChat.get(chat.id) || []).sort((a, b) => a.order - b.order);
+    });
+}
+
 // Load all application data
 async function loadAllData() {
+    let needsSave = false;
     try {
-        const [loadedUsers, loadedGroups, loadedSettings] = await Promise.all([
-            loadFromIndexedDB('users'),
-            loadFromIndexedDB('groups'),
-            loadFromIndexedDB('settings')
-        ]);
+        const [loadedUsers, loadedGroups, loadedSettings, loadedMessages, loadedMedia] = await Promise.all(
+            DATA_STORES.map(name => loadFromIndexedDB(name))
+        );
+        
+        // Before DB version 2 messages were embedded in their chat records; keep those and rewrite them
+        const hasEmbeddedMessages = [...loadedUsers, ...loadedGroups].some(chat => Array.isArray(chat.messages));
+        if (hasEmbeddedMessages && loadedMessages.length === 0) {
+            [...loadedUsers, ...loadedGroups].forEach(chat => {
+                if (!Array.isArray(chat.messages)) chat.messages = [];
+            });
+            needsSave = true;
+        } else {
+            attachStoredMessages([...loadedUsers, ...loadedGroups], loadedMessages, loadedMedia);
+        }
+        
+        // Data saved before schema versioning existed has no version and counts as version 1
+        const versionSetting = loadedSettings.find(setting => setting.key === 'schemaVersion');
+        const storedSchemaVersion = versionSetting ? versionSetting.value : 1;
+        if ((loadedUsers.length > 0 || loadedGroups.length > 0) && storedSchemaVersion < SCHEMA_VERSION) {
+            migrateData({ users: loadedUsers, groups: loadedGroups }, storedSchemaVersion);
+            needsSave = true;
+        }
         
         // Only load data if it exists, otherwise keep sample data
         if (loadedUsers.length > 0) {
@@ -136,7 +478,17 @@ async function loadAllData() {
             if (setting.key === 'messageIdCounter') messageIdCounter = setting.value;
             if (setting.key === 'userIdCounter') userIdCounter = setting.value;
             if (setting.key === 'groupIdCounter') groupIdCounter = setting.value;
+            if (setting.key === 'personaIdCounter') personaIdCounter = setting.value;
+            if (setting.key === 'personas' && Array.isArray(setting.value) && setting.value.length > 0) personas = setting.value;
+            if (setting.key === 'timeSeparatorGapMinutes') timeSeparatorGapMinutes = setting.value;
+            if (setting.key === 'recentEmojis' && Array.isArray(setting.value)) recentEmojis = setting.value;
         });
+        currentUser = personas[0];
+        syncIdCounters();
+        
+        if (needsSave) {
+            await saveAllData();
+        }
         
     } catch (error) {
         console.error('Error loading data:', error);
@@ -159,6 +511,153 @@ function ensureFixedProfileOrder() {
     users.push(...regularUsers);
 }
 
+// Schema Migrations
+// SCHEMA_VERSION describes the shape of users/groups/messages, independent of DB_VERSION.
+// Each step upgrades data from (version - 1) to version and must be safe to run twice.
+const SCHEMA_VERSION = 3;
+
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Store reactions as { userId: { emoji: count } } in every chat and fill missing message fields',
+        migrateChat(chat) {
+            let changed = 0;
+            if (!Array.isArray(chat.messages)) {
+                chat.messages = [];
+                changed++;
+            }
+            chat.messages.forEach((message, index) => {
+                const before = JSON.stringify(message);
+                const previousMessage = chat.messages[index - 1];
+                
+                message.reactions = normalizeReactions(message.reactions);
+                if (!Array.isArray(message.seenBy)) message.seenBy = [message.senderId];
+                if (typeof message.edited !== 'boolean') message.edited = false;
+                if (typeof message.text !== 'string') message.text = '';
+                if (!message.timestamp) {
+                    message.timestamp = previousMessage && previousMessage.timestamp
+                        ? previousMessage.timestamp
+                        : new Date().toISOString();
+                }
+                
+                if (JSON.stringify(message) !== before) changed++;
+            });
+            return changed;
+        }
+    },
+    {
+        version: 3,
+        description: 'Give Mimi a bot profile and keep bot conversation state per bot',
+        migrateChat(chat) {
+            let changed = 0;
+            if (chat.isChatProfile && !chat.bot) {
+                chat.bot = createBotConfig();
+                changed++;
+            }
+            if (chat.mimiState) {
+                chat.botStates = Object.assign({ mimi: chat.mimiState }, chat.botStates);
+                delete chat.mimiState;
+                changed++;
+            }
+            return changed;
+        }
+    }
+];
+
+// One reaction shape for 1:1 and group chats; old 1:1 chats stored a single emoji string per user
+function normalizeReactions(reactions) {
+    const normalized = {};
+    Object.entries(reactions || {}).forEach(([userId, value]) => {
+        if (typeof value === 'string' && value) {
+            normalized[userId] = { [value]: 1 };
+        } else if (value && typeof value === 'object') {
+            const counts = {};
+            Object.entries(value).forEach(([emoji, count]) => {
+                const amount = parseInt(count);
+                if (amount > 0) counts[emoji] = amount;
+            });
+            if (Object.keys(counts).length > 0) normalized[userId] = counts;
+        }
+    });
+    return normalized;
+}
+
+// Upgrade { users, groups } in place from fromVersion to SCHEMA_VERSION.
+// With dryRun the data is left untouched and only the report is produced.
+function migrateData(data, fromVersion, dryRun = false) {
+    const target = dryRun ? JSON.parse(JSON.stringify(data)) : data;
+    const chats = [...target.users, ...target.groups];
+    const report = { fromVersion: fromVersion, toVersion: SCHEMA_VERSION, dryRun: dryRun, steps: [], issues: [] };
+    
+    SCHEMA_MIGRATIONS
+        .filter(step => step.version > fromVersion && step.version <= SCHEMA_VERSION)
+        .forEach(step => {
+            const changed = chats.reduce((sum, chat) => sum + step.migrateChat(chat), 0);
+            report.steps.push({ version: step.version, description: step.description, changed: changed });
+        });
+    
+    report.issues = validateData(target);
+    return report;
+}
+
+// Problems no migration can fix on its own, e.g. dangling references
+function validateData(data) {
+    const issues = [];
+    const personaIds = data.settings && Array.isArray(data.settings.personas) ? data.settings.personas.map(p => p.id) : [];
+    const userIds = new Set([...personas.map(p => p.id), ...personaIds, ...data.users.map(u => u.id)]);
+    const messageIds = new Set();
+    
+    data.groups.forEach(group => {
+        (group.members || []).forEach(memberId => {
+            if (!userIds.has(memberId)) issues.push(`Group "${group.name}" has unknown member "${memberId}"`);
+        });
+    });
+    
+    [...data.users, ...data.groups].forEach(chat => {
+        const chatMessageIds = new Set((chat.messages || []).map(m => m.id));
+        (chat.messages || []).forEach(message => {
+            if (!message.id) {
+                issues.push(`A message in "${chat.name}" has no id`);
+                return;
+            }
+            if (messageIds.has(message.id)) issues.push(`Message id "${message.id}" is used more than once`);
+            messageIds.add(message.id);
+            if (!userIds.has(message.senderId)) issues.push(`Message "${message.id}" in "${chat.name}" is from unknown sender "${message.senderId}"`);
+            if (message.replyTo && !chatMessageIds.has(message.replyTo.messageId)) {
+                issues.push(`Message "${message.id}" in "${chat.name}" replies to a deleted message`);
+            }
+            Object.values(message.reactions || {}).forEach(value => {
+                if (!value || typeof value !== 'object') issues.push(`Message "${message.id}" in "${chat.name}" has reactions in an old format`);
+            });
+        });
+    });
+    
+    return issues;
+}
+
+function formatMigrationReport(report) {
+    const lines = [`Schema version ${report.fromVersion} → ${report.toVersion}${report.dryRun ? ' (dry run, nothing saved)' : ''}`];
+    if (report.steps.length === 0) {
+        lines.push('No migration steps needed.');
+    }
+    report.steps.forEach(step => {
+        lines.push(`v${step.version}: ${step.description} — ${step.changed} record(s) ${report.dryRun ? 'would change' : 'changed'}`);
+    });
+    if (report.issues.length === 0) {
+        lines.push('No problems found.');
+    } else {
+        lines.push(`${report.issues.length} problem(s) found:`);
+        report.issues.slice(0, 15).forEach(issue => lines.push('• ' + issue));
+        if (report.issues.length > 15) lines.push(`…and ${report.issues.length - 15} more`);
+    }
+    return lines.join('\n');
+}
+
+// Re-run every migration step on a copy of the saved data to check it is in the current shape
+function showDataCheckReport() {
+    alert(formatMigrationReport(migrateData({ users: users, groups: groups }, 1, true)));
+}
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async function() {
     try {
@@ -176,6 +675,13 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Add cancel reply event listener
         document.getElementById('cancelReply').addEventListener('click', cancelReply);
         
+        // Write out debounced changes before the app is backgrounded or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flushPendingWrites().catch(error => console.error('Error saving data:', error));
+            }
+        });
+        
         // Load sample data only if no users exist (first time)
         if (users.length === 0) {
             loadSampleData();
@@ -201,13 +707,65 @@ document.addEventListener('DOMContentLoaded', async function() {
 // Event Listeners
 function initializeEventListeners() {
     // Mobile navigation
-    document.getElementById('addUserBtnMobile').addEventListener('click', () => showView('addUserView'));
-    document.getElementById('addGroupBtnMobile').addEventListener('click', () => {
-        populateMembersListMobile();
-        showView('addGroupView');
+    document.getElementById('addUserBtnMobile').addEventListener('click', () => openUserForm());
+    document.getElementById('userBotMobile').addEventListener('change', function() {
+        document.getElementById('userBotSettings').style.display = this.checked ? '' : 'none';
+    });
+    document.getElementById('userBotBank').addEventListener('change', selectBotBank);
+    document.getElementById('addGroupBtnMobile').addEventListener('click', () => openGroupForm());
+    document.getElementById('backBtn').addEventListener('click', () => {
+        showView('contactsView');
+        handleContactsSearch(); // Results may be stale after chatting
     });
-    document.getElementById('backBtn').addEventListener('click', () => showView('contactsView'));
     document.getElementById('rulesBtn').addEventListener('click', showRulesModal);
+    document.getElementById('exportImageBtn').addEventListener('click', showExportImageModal);
+    document.getElementById('backupBtn').addEventListener('click', showBackupOptions);
+    
+    // Search across chats, and inside the open chat
+    document.getElementById('contactsSearchInput').addEventListener('input', handleContactsSearch);
+    document.getElementById('chatSearchBtn').addEventListener('click', () => openChatSearch());
+    const chatSearchInput = document.getElementById('chatSearchInput');
+    chatSearchInput.addEventListener('input', () => updateChatSearch());
+    chatSearchInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            moveChatSearch(e.shiftKey ? 1 : -1); // Enter goes to older matches
+        } else if (e.key === 'Escape') {
+            closeChatSearch();
+        }
+    });
+    document.getElementById('chatSearchPrev').addEventListener('click', () => moveChatSearch(-1));
+    document.getElementById('chatSearchNext').addEventListener('click', () => moveChatSearch(1));
+    document.getElementById('chatSearchClose').addEventListener('click', closeChatSearch);
+    
+    // Conversation playback for screen recording
+    document.getElementById('playbackBtn').addEventListener('click', showPlaybackModal);
+    document.getElementById('playbackPauseBtn').addEventListener('click', togglePlaybackPause);
+    document.getElementById('playbackRestartBtn').addEventListener('click', restartPlayback);
+    document.getElementById('playbackStopBtn').addEventListener('click', stopPlayback);
+    
+    // Conversation script editor
+    document.getElementById('scriptBtn').addEventListener('click', showScriptModal);
+    document.getElementById('viewpointBtn').addEventListener('click', showViewpointOptions);
+    document.getElementById('mimiBankBtn').addEventListener('click', () => showMimiBankModal(currentChat.bot.bankId));
+    document.getElementById('mimiBankSelect').addEventListener('change', selectMimiBank);
+    document.getElementById('mimiBankSearch').addEventListener('input', renderMimiBankList);
+    document.getElementById('mimiBankFilter').addEventListener('change', renderMimiBankList);
+    document.getElementById('mimiTestInput').addEventListener('input', testMimiPhrase);
+    document.getElementById('mimiBankImportInput').addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) importMimiBank(file);
+        e.target.value = '';
+    });
+    document.getElementById('personaAvatarInput').addEventListener('change', function(e) {
+        setPersonaAvatar(e.target.files[0]);
+        e.target.value = '';
+    });
+    document.getElementById('scriptInput').addEventListener('input', updateScriptPreview);
+    document.getElementById('scriptPhotosInput').addEventListener('change', function(e) {
+        loadScriptPhotos(e.target.files);
+        e.target.value = '';
+    });
     
     // Message input handling
     const messageInput = document.getElementById('messageInput');
@@ -225,6 +783,9 @@ function initializeEventListeners() {
     
     document.getElementById('sendBtn').addEventListener('click', handleSendMessage);
     
+    // Load older/newer pages of long conversations while scrolling
+    document.getElementById('messagesContainer').addEventListener('scroll', handleMessagesScroll);
+    
     // Add like button functionality - always show action options (Send as / Receive from)
     document.getElementById('likeBtn').addEventListener('click', function() {
         if (!currentChat || isTyping) return; // Prevent like when typing
@@ -250,6 +811,40 @@ function initializeEventListeners() {
     document.body.appendChild(fileInput);
     hiddenAttachmentInput = fileInput;
     
+    // Hidden file input for restoring JSON backups
+    const backupInput = document.createElement('input');
+    backupInput.type = 'file';
+    backupInput.accept = '.json,application/json';
+    backupInput.style.display = 'none';
+    document.body.appendChild(backupInput);
+    hiddenBackupInput = backupInput;
+    
+    // Hidden file input for importing voice messages
+    const audioInput = document.createElement('input');
+    audioInput.type = 'file';
+    audioInput.accept = 'audio/*';
+    audioInput.style.display = 'none';
+    document.body.appendChild(audioInput);
+    hiddenAudioInput = audioInput;
+    
+    audioInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) prepareVoiceClip(file);
+        e.target.value = '';
+    });
+    
+    backupInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = function(ev) {
+                importBackupText(ev.target.result);
+            };
+            reader.readAsText(file);
+        }
+        e.target.value = '';
+    });
+    
     // Add action button event listeners
     document.getElementById('addBtn').addEventListener('click', function() {
         // Check if we have an active chat before allowing photo upload
@@ -299,29 +894,41 @@ function initializeEventListeners() {
         e.target.value = '';
     });
 
-    // Voice message simulation
+    // Voice messages: record or import
     const voiceBtn = document.getElementById('voiceBtn');
     if (voiceBtn) {
         voiceBtn.addEventListener('click', function() {
-            if (!currentChat) return;
-            showVoiceSendOptions();
+            if (!currentChat || voiceRecording) return;
+            showVoiceSourceOptions();
         });
     }
     
+    // GIFs and stickers from your library
     document.getElementById('gifBtn').addEventListener('click', function() {
-        // Handle GIF button functionality
-        console.log('GIF button clicked');
+        if (!currentChat) return;
+        showStickerPanel();
+    });
+    document.getElementById('stickerSearch').addEventListener('input', renderStickerGrid);
+    document.getElementById('forwardSearch').addEventListener('input', renderForwardChatList);
+    document.getElementById('stickerImportInput').addEventListener('change', function(e) {
+        if (e.target.files.length > 0) importStickerFiles(Array.from(e.target.files));
+        e.target.value = '';
+    });
+    document.getElementById('stickerPackImportInput').addEventListener('change', function(e) {
+        if (e.target.files[0]) importStickerPackZip(e.target.files[0]);
+        e.target.value = '';
     });
-    
     
     // Add emoji button event listener
     document.getElementById('emojiBtn').addEventListener('click', function() {
-        showEmojiPicker();
+        toggleEmojiPicker();
+    });
+    document.getElementById('emojiSearch').addEventListener('input', renderEmojiPicker);
+    document.getElementById('emojiSkinToneBtn').addEventListener('click', toggleEmojiSkinTones);
+    document.getElementById('emojiPickerBody').addEventListener('click', function(e) {
+        const cell = e.target.closest('.emoji');
+        if (cell) pickEmoji(cell.dataset.emoji);
     });
-    
-    // DEFENSIVE: Force remove any sticker elements (anti-cache protection)
-    document.querySelectorAll('[title="Sticker"], #stickerBtn, .sticker-btn').forEach(el => el.remove());
-    console.log('FORCED STICKER REMOVAL: Any cached sticker icons eliminated');
     
     // Avatar preview handlers
     document.getElementById('userAvatarMobile').addEventListener('change', function(e) {
@@ -337,15 +944,22 @@ function initializeEventListeners() {
         if (!e.target.closest('.context-menu') && !e.target.closest('.message-bubble')) {
             hideContextMenu();
         }
-        if (!e.target.closest('.emoji-picker') && !e.target.closest('.context-menu-item')) {
+        if (!e.target.closest('.emoji-picker') && !e.target.closest('#emojiBtn') && !e.target.closest('.context-menu-item')) {
             hideEmojiPicker();
         }
-        if (!e.target.closest('.action-options-modal') && !e.target.closest('#sendBtn') && !e.target.closest('#messageInput')) {
+        if (!e.target.closest('.action-options-modal') && !e.target.closest('#sendBtn') && !e.target.closest('#backupBtn') && !e.target.closest('#messageInput') && !e.target.closest('.context-menu-item') && !e.target.closest('#selectionToolbar')) {
             hideActionOptions();
         }
         if (!e.target.closest('.rules-modal-content') && !e.target.closest('#rulesBtn')) {
             hideRulesModal();
         }
+        if (!e.target.closest('.emoji-picker')) {
+            hideReactionSheet();
+        }
+    });
+    // Sheet contents are re-rendered on click, so keep those clicks from reading as outside ones
+    document.getElementById('reactionSheet').addEventListener('click', function(e) {
+        e.stopPropagation();
     });
     
     // Status text editing
@@ -416,6 +1030,7 @@ function loadSampleData() {
             lastActive: new Date(),
             isOnline: true,
             isChatProfile: true, // Special flag for chatting profile
+            bot: createBotConfig(),
             messages: []
         }
     ];
@@ -442,6 +1057,33 @@ function previewAvatar(event, previewId) {
 }
 
 // User Management (Mobile)
+// The add-user view doubles as the edit form: pass a user to edit it
+function openUserForm(user = null) {
+    clearUserForm();
+    editingUserId = user ? user.id : null;
+    
+    document.getElementById('userFormTitle').textContent = user ? 'Edit User' : 'Add User';
+    document.getElementById('userFormSubmitBtn').textContent = user ? 'Save Changes' : 'Add User';
+    if (user) {
+        document.getElementById('userNameMobile').value = user.name;
+        document.getElementById('userStatusMobile').value = user.statusText || '';
+        document.getElementById('userOnlineMobile').checked = !!user.isOnline;
+        const preview = document.getElementById('userAvatarPreviewMobile');
+        preview.src = user.avatarDataUrl || generateDefaultAvatar(user.name);
+        preview.style.display = 'block';
+    }
+    fillBotForm(user && user.bot);
+    showView('addUserView');
+}
+
+function submitUserForm() {
+    if (editingUserId) {
+        updateUserMobile();
+    } else {
+        addUserMobile();
+    }
+}
+
 function addUserMobile() {
     const name = document.getElementById('userNameMobile').value.trim();
     const statusText = document.getElementById('userStatusMobile').value.trim() || 'Active';
@@ -451,23 +1093,27 @@ function addUserMobile() {
         alert('Please enter a user name');
         return;
     }
+    const bot = readBotForm();
+    if (bot === null) return;
     
     const user = {
         id: 'user_' + userIdCounter++,
         name: name,
         statusText: statusText,
         avatarDataUrl: null,
-        isOnline: true, // Always online
+        isOnline: document.getElementById('userOnlineMobile').checked,
         lastActive: new Date(Date.now() - Math.floor(Math.random() * 3600000)), // Random time within last hour
         messages: []
     };
+    if (bot) user.bot = bot;
     
     if (avatarFile) {
         const reader = new FileReader();
         reader.onload = async function(e) {
             user.avatarDataUrl = e.target.result;
             insertUserAfterSpecialProfiles(user);
-            await saveAllData(); // Save to IndexedDB
+            queueChatSave(user, 'user'); // Save to IndexedDB
+            queueSettingsSave(); // userIdCounter changed
             renderContacts();
             clearUserForm();
             showView('contactsView');
@@ -475,7 +1121,8 @@ function addUserMobile() {
         reader.readAsDataURL(avatarFile);
     } else {
         insertUserAfterSpecialProfiles(user);
-        saveAllData(); // Save to IndexedDB
+        queueChatSave(user, 'user'); // Save to IndexedDB
+        queueSettingsSave(); // userIdCounter changed
         renderContacts();
         clearUserForm();
         showView('contactsView');
@@ -501,27 +1148,163 @@ function insertUserAfterSpecialProfiles(user) {
     users.splice(insertIndex, 0, user);
 }
 
+// Only the profile fields change; the user's id and messages are left alone
+function updateUserMobile() {
+    const user = users.find(u => u.id === editingUserId);
+    const name = document.getElementById('userNameMobile').value.trim();
+    const avatarFile = document.getElementById('userAvatarMobile').files[0];
+    
+    if (!user) return;
+    if (!name) {
+        alert('Please enter a user name');
+        return;
+    }
+    const bot = readBotForm();
+    if (bot === null) return;
+    
+    const applyChanges = (avatarDataUrl) => {
+        user.name = name;
+        user.statusText = document.getElementById('userStatusMobile').value.trim() || 'Active';
+        user.isOnline = document.getElementById('userOnlineMobile').checked;
+        if (bot) {
+            user.bot = bot;
+        } else {
+            delete user.bot;
+        }
+        if (avatarDataUrl) {
+            user.avatarDataUrl = avatarDataUrl;
+        }
+        queueChatSave(user, 'user'); // Save to IndexedDB
+        editingUserId = null;
+        renderContacts();
+        
+        // The open chat shows the new name and avatar
+        if (currentChat === user) {
+            updateChatHeader(user);
+            renderMessages();
+        }
+        clearUserForm();
+        showView('contactsView');
+    };
+    
+    if (avatarFile) {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            applyChanges(e.target.result);
+        };
+        reader.readAsDataURL(avatarFile);
+    } else {
+        applyChanges(null);
+    }
+}
+
 function clearUserForm() {
     document.getElementById('userNameMobile').value = '';
     document.getElementById('userStatusMobile').value = '';
     document.getElementById('userAvatarMobile').value = '';
     document.getElementById('userAvatarPreviewMobile').style.display = 'none';
+    document.getElementById('userOnlineMobile').checked = true;
+    fillBotForm(null);
 }
 
-function populateMembersListMobile() {
-    const membersList = document.getElementById('membersListMobile');
-    membersList.innerHTML = '';
-    
-    users.forEach(user => {
-        const memberDiv = document.createElement('div');
-        memberDiv.className = 'member-checkbox';
-        
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `member_mobile_${user.id}`;
-        checkbox.value = user.id;
-        
-        const img = document.createElement('img');
+// Bot profile fields of the user form; a user without a bot profile gets Mimi's defaults to start from
+const BOT_DELAY_KEYS = ['reply', 'fallback', 'groupReply', 'groupFallback'];
+
+function fillBotForm(bot) {
+    const config = bot || createBotConfig();
+    document.getElementById('userBotMobile').checked = !!bot;
+    document.getElementById('userBotSettings').style.display = bot ? '' : 'none';
+    document.getElementById('userBotReactions').value = config.reactions.join(' ');
+    BOT_DELAY_KEYS.forEach(key => {
+        const [min, max] = config.delays[key];
+        document.getElementById(`userBotDelay_${key}`).value = `${min / 1000}-${max / 1000}`;
+    });
+    document.getElementById('userBotFallbacks').value = config.fallbacks.join('\n');
+    document.getElementById('userBotGroupFallbacks').value = config.groupFallbacks.join('\n');
+    renderBotBankSelect(config.bankId);
+}
+
+async function renderBotBankSelect(selectedId) {
+    const select = document.getElementById('userBotBank');
+    const banks = await loadResponseBanks();
+    select.innerHTML = '';
+    banks.forEach(bank => {
+        const option = document.createElement('option');
+        option.value = bank.id;
+        option.textContent = bank.name;
+        select.appendChild(option);
+    });
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = '＋ New bank…';
+    select.appendChild(newOption);
+    select.value = banks.has(selectedId) ? selectedId : BUILT_IN_BANKS[0].id;
+    select.dataset.selected = select.value;
+}
+
+async function selectBotBank() {
+    const select = document.getElementById('userBotBank');
+    if (select.value) {
+        select.dataset.selected = select.value;
+        return;
+    }
+    const bank = await addResponseBank(document.getElementById('userNameMobile').value.trim());
+    renderBotBankSelect(bank ? bank.id : select.dataset.selected);
+}
+
+// The bot profile, false when the user is not a bot, or null (after telling the user) when a field is invalid
+function readBotForm() {
+    if (!document.getElementById('userBotMobile').checked) return false;
+    
+    const readLines = id => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+    const bot = {
+        bankId: document.getElementById('userBotBank').value || BUILT_IN_BANKS[0].id,
+        reactions: document.getElementById('userBotReactions').value.split(/\s+/).filter(Boolean),
+        delays: {},
+        fallbacks: readLines('userBotFallbacks'),
+        groupFallbacks: readLines('userBotGroupFallbacks')
+    };
+    for (const key of BOT_DELAY_KEYS) {
+        // "1-3" or a single number of seconds
+        const parts = document.getElementById(`userBotDelay_${key}`).value.split(/[-–]/).map(part => parseFloat(part));
+        const [min, max] = parts.length === 1 ? [parts[0], parts[0]] : parts;
+        if (parts.length > 2 || !(min >= 0) || !(max >= min)) {
+            alert('Typing delays must be a number of seconds or a range like 1-3');
+            return null;
+        }
+        bot.delays[key] = [Math.round(min * 1000), Math.round(max * 1000)];
+    }
+    return bot;
+}
+
+// Member checkboxes, each with a group nickname field; pre-filled from group when editing
+function populateMembersListMobile(group = null) {
+    const membersList = document.getElementById('membersListMobile');
+    membersList.innerHTML = '';
+    const nicknames = (group && group.nicknames) || {};
+    
+    users.forEach(user => {
+        const memberDiv = document.createElement('div');
+        memberDiv.className = 'member-checkbox';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `member_mobile_${user.id}`;
+        checkbox.value = user.id;
+        checkbox.checked = !!(group && group.members.includes(user.id));
+        
+        const nickname = document.createElement('input');
+        nickname.type = 'text';
+        nickname.className = 'member-nickname';
+        nickname.dataset.userId = user.id;
+        nickname.placeholder = 'Nickname';
+        nickname.value = nicknames[user.id] || '';
+        nickname.style.display = checkbox.checked ? '' : 'none';
+        checkbox.addEventListener('change', () => {
+            nickname.style.display = checkbox.checked ? '' : 'none';
+        });
+        
+        const img = document.createElement('img');
         img.src = user.avatarDataUrl || generateDefaultAvatar(user.name);
         img.alt = user.name;
         img.onerror = function() { this.style.display = 'none'; };
@@ -533,11 +1316,49 @@ function populateMembersListMobile() {
         memberDiv.appendChild(checkbox);
         memberDiv.appendChild(img);
         memberDiv.appendChild(label);
+        memberDiv.appendChild(nickname);
         
         membersList.appendChild(memberDiv);
     });
 }
 
+// Nicknames typed for the checked members, without empty ones
+function collectMemberNicknames(memberIds) {
+    const nicknames = {};
+    document.querySelectorAll('#membersListMobile .member-nickname').forEach(input => {
+        const value = input.value.trim();
+        if (value && memberIds.includes(input.dataset.userId)) {
+            nicknames[input.dataset.userId] = value;
+        }
+    });
+    return nicknames;
+}
+
+// The add-group view doubles as the edit form: pass a group to edit it
+function openGroupForm(group = null) {
+    clearGroupForm();
+    editingGroupId = group ? group.id : null;
+    populateMembersListMobile(group);
+    
+    document.getElementById('groupFormTitle').textContent = group ? 'Edit Group' : 'Create Group';
+    document.getElementById('groupFormSubmitBtn').textContent = group ? 'Save Changes' : 'Create Group';
+    if (group) {
+        document.getElementById('groupNameMobile').value = group.name;
+        const preview = document.getElementById('groupAvatarPreviewMobile');
+        preview.src = group.avatarDataUrl || generateDefaultAvatar(group.name);
+        preview.style.display = 'block';
+    }
+    showView('addGroupView');
+}
+
+function submitGroupForm() {
+    if (editingGroupId) {
+        updateGroupMobile();
+    } else {
+        addGroupMobile();
+    }
+}
+
 function addGroupMobile() {
     const name = document.getElementById('groupNameMobile').value.trim();
     const avatarFile = document.getElementById('groupAvatarMobile').files[0];
@@ -563,6 +1384,7 @@ function addGroupMobile() {
         name: name,
         avatarDataUrl: null,
         members: selectedMembers,
+        nicknames: collectMemberNicknames(selectedMembers),
         messages: []
     };
     
@@ -571,7 +1393,8 @@ function addGroupMobile() {
         reader.onload = async function(e) {
             group.avatarDataUrl = e.target.result;
             groups.push(group);
-            await saveAllData(); // Save to IndexedDB
+            queueChatSave(group, 'group'); // Save to IndexedDB
+            queueSettingsSave(); // groupIdCounter changed
             renderContacts();
             clearGroupForm();
             showView('contactsView');
@@ -579,10 +1402,60 @@ function addGroupMobile() {
         reader.readAsDataURL(avatarFile);
     } else {
         groups.push(group);
-        saveAllData(); // Save to IndexedDB
+        queueChatSave(group, 'group'); // Save to IndexedDB
+        queueSettingsSave(); // groupIdCounter changed
+        renderContacts();
+        clearGroupForm();
+        showView('contactsView');
+    }
+}
+
+// Members who leave keep their old messages in the group; only the settings change
+function updateGroupMobile() {
+    const group = groups.find(g => g.id === editingGroupId);
+    const name = document.getElementById('groupNameMobile').value.trim();
+    const avatarFile = document.getElementById('groupAvatarMobile').files[0];
+    const selectedMembers = Array.from(document.querySelectorAll('#membersListMobile input[type="checkbox"]:checked')).map(cb => cb.value);
+    
+    if (!group) return;
+    if (!name) {
+        alert('Please enter a group name');
+        return;
+    }
+    
+    if (selectedMembers.length === 0) {
+        alert('Please select at least one member');
+        return;
+    }
+    
+    const applyChanges = (avatarDataUrl) => {
+        group.name = name;
+        group.members = selectedMembers;
+        group.nicknames = collectMemberNicknames(selectedMembers);
+        if (avatarDataUrl) {
+            group.avatarDataUrl = avatarDataUrl;
+        }
+        queueChatSave(group, 'group'); // Save to IndexedDB
+        editingGroupId = null;
         renderContacts();
+        
+        // The open chat shows the new name, avatar and nicknames
+        if (currentChat === group) {
+            updateChatHeader(group);
+            renderMessages();
+        }
         clearGroupForm();
         showView('contactsView');
+    };
+    
+    if (avatarFile) {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            applyChanges(e.target.result);
+        };
+        reader.readAsDataURL(avatarFile);
+    } else {
+        applyChanges(null);
     }
 }
 
@@ -742,6 +1615,9 @@ function renderContacts() {
         groupElement.addEventListener('click', () => openChat(group, 'group'));
         groupsList.appendChild(groupElement);
     });
+    
+    // Keep search results in sync with the contact list
+    handleContactsSearch();
 }
 
 // Contact Menu Functions
@@ -753,6 +1629,21 @@ function showContactMenu(contactId, contactType, buttonElement) {
     menu.className = 'contact-menu';
     menu.id = 'contactMenu';
     
+    // Edit option
+    const editOption = document.createElement('div');
+    editOption.className = 'contact-menu-item';
+    editOption.innerHTML = '✏️ Edit';
+    editOption.addEventListener('click', () => {
+        hideContactMenu();
+        if (contactType === 'user') {
+            openUserForm(users.find(u => u.id === contactId));
+        } else {
+            openGroupForm(groups.find(g => g.id === contactId));
+        }
+    });
+    
+    menu.appendChild(editOption);
+    
     // Delete option
     const deleteOption = document.createElement('div');
     deleteOption.className = 'contact-menu-item delete-option';
@@ -820,6 +1711,7 @@ function deleteContact(contactId, contactType) {
         // Remove user from users array
         const userIndex = users.findIndex(u => u.id === contactId);
         if (userIndex !== -1) {
+            queueChatDelete(users[userIndex], 'user'); // Save to IndexedDB
             users.splice(userIndex, 1);
         }
         
@@ -827,12 +1719,15 @@ function deleteContact(contactId, contactType) {
         groups.forEach(group => {
             if (group.members && group.members.includes(contactId)) {
                 group.members = group.members.filter(memberId => memberId !== contactId);
+                if (group.nicknames) delete group.nicknames[contactId];
+                queueChatSave(group, 'group');
             }
         });
     } else {
         // Remove group from groups array
         const groupIndex = groups.findIndex(g => g.id === contactId);
         if (groupIndex !== -1) {
+            queueChatDelete(groups[groupIndex], 'group'); // Save to IndexedDB
             groups.splice(groupIndex, 1);
         }
     }
@@ -844,1924 +1739,7706 @@ function deleteContact(contactId, contactType) {
         currentChatType = null;
     }
     
-    // Save changes and re-render contacts
-    saveAllData(); // Save to IndexedDB
+    // Re-render contacts
     renderContacts();
 }
 
-// Chat Functions
-function openChat(chatData, type) {
-    currentChat = chatData;
-    currentChatType = type;
-    
-    // Update active state
-    document.querySelectorAll('.contact-item').forEach(item => item.classList.remove('active'));
-    document.querySelector(`.contact-item[data-id="${chatData.id}"]`).classList.add('active');
+// Persona Functions
+// Personas are your own identities. Each chat is played by one of them (chat.personaId) and
+// can be shown from any participant's point of view (chat.viewpointId), which becomes currentUser.
+let editingPersonaId = null; // Persona whose avatar is being picked
+
+function isPersonaId(id) {
+    return personas.some(persona => persona.id === id);
+}
+
+function getPersona(id) {
+    return personas.find(persona => persona.id === id) || null;
+}
+
+// Anyone who can appear in a chat: one of your personas or a contact
+function getParticipant(id) {
+    return getPersona(id) || users.find(u => u.id === id) || null;
+}
+
+function getChatPersona(chat) {
+    return getPersona(chat.personaId) || personas[0];
+}
+
+// The chat's persona followed by the contact, or by the group members
+function getChatParticipants(chat) {
+    const others = Array.isArray(chat.members) ? chat.members.map(memberId => users.find(u => u.id === memberId)) : [chat];
+    return [getChatPersona(chat), ...others.filter(Boolean)];
+}
+
+function getChatViewer(chat) {
+    const viewer = chat.viewpointId && getChatParticipants(chat).find(p => p.id === chat.viewpointId);
+    return viewer || getChatPersona(chat);
+}
+
+// Everyone in the open chat except the person it is viewed as
+function getOtherParticipants() {
+    return getChatParticipants(currentChat).filter(p => p.id !== currentUser.id);
+}
+
+// Only changes how the chat is shown: the viewer's own seen state never appears on screen,
+// so nothing is marked as seen on their behalf
+function applyChatViewpoint() {
+    currentUser = getChatViewer(currentChat);
+    resetMessageWindow();
+    renderMessages();
+}
+
+function showViewpointOptions() {
+    if (!currentChat || currentChat.isDeveloper || currentChat.isSpecialProfile) return;
     
-    // Show chat view
-    showView('chatView');
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    setActionOptionsTitle('View conversation as:');
+    
+    getChatParticipants(currentChat).forEach(participant => {
+        const option = document.createElement('div');
+        option.className = 'action-option receive-option';
+        const isViewer = participant.id === currentUser.id;
+        option.textContent = isViewer ? `✓ ${participant.name}` : participant.name;
+        option.addEventListener('click', () => {
+            hideActionOptions();
+            if (isViewer) return;
+            // Viewing as your own persona is the default and needs no override
+            currentChat.viewpointId = isPersonaId(participant.id) ? null : participant.id;
+            queueChatSave(currentChat, currentChatType); // Save to IndexedDB
+            applyChatViewpoint();
+        });
+        list.appendChild(option);
+    });
     
-    // Update chat header
-    const chatAvatar = document.getElementById('chatAvatar');
-    const chatName = document.getElementById('chatName');
-    const chatStatus = document.getElementById('chatStatus');
+    // Which of your personas takes part in this chat
+    personas.filter(persona => persona.id !== getChatPersona(currentChat).id).forEach(persona => {
+        const option = document.createElement('div');
+        option.className = 'action-option send-option';
+        option.textContent = `Chat as ${persona.name}`;
+        option.addEventListener('click', () => {
+            hideActionOptions();
+            switchChatPersona(persona);
+        });
+        list.appendChild(option);
+    });
     
-    const avatarSrc = chatData.avatarDataUrl || generateDefaultAvatar(chatData.name);
-    chatAvatar.src = avatarSrc;
-    chatName.textContent = chatData.name;
+    const manageOption = document.createElement('div');
+    manageOption.className = 'action-option typing-option';
+    manageOption.textContent = '👤 Manage personas…';
+    manageOption.addEventListener('click', () => {
+        hideActionOptions();
+        showPersonasModal();
+    });
+    list.appendChild(manageOption);
     
-    // Add active indicator to chat avatar if user is online
-    const existingIndicator = chatAvatar.parentElement.querySelector('.active-indicator');
-    if (existingIndicator) {
-        existingIndicator.remove();
+    modal.style.display = 'block';
+}
+
+// The new persona takes over the old one's messages, so they stay on the same side
+function switchChatPersona(persona) {
+    const previous = getChatPersona(currentChat);
+    const messages = currentChat.messages || [];
+    const sentCount = messages.filter(message => message.senderId === previous.id).length;
+    if (sentCount > 0 && !confirm(`${sentCount} messages sent as ${previous.name} will be sent as ${persona.name} instead. Continue?`)) {
+        return;
     }
     
-    if (chatData.isOnline) {
-        // Wrap avatar in container if not already wrapped
-        if (!chatAvatar.parentElement.classList.contains('chat-avatar-container')) {
-            const container = document.createElement('div');
-            container.className = 'chat-avatar-container';
-            chatAvatar.parentElement.insertBefore(container, chatAvatar);
-            container.appendChild(chatAvatar);
+    messages.forEach(message => {
+        if (reassignMessageParticipant(message, previous.id, persona.id)) {
+            queueMessageSave(message, currentChat); // Save to IndexedDB
         }
-        
-        const indicator = document.createElement('div');
-        indicator.className = 'active-indicator';
-        chatAvatar.parentElement.appendChild(indicator);
-    }
+    });
+    currentChat.personaId = persona.id;
+    queueChatSave(currentChat, currentChatType); // Save to IndexedDB
+    applyChatViewpoint();
+}
+
+function showPersonasModal() {
+    renderPersonaList();
+    document.getElementById('personasModal').style.display = 'block';
+}
+
+function hidePersonasModal() {
+    document.getElementById('personasModal').style.display = 'none';
+}
+
+function renderPersonaList() {
+    const list = document.getElementById('personaList');
+    list.innerHTML = '';
     
-    // Handle developer profile differently
-    if (chatData.isDeveloper) {
-        chatStatus.textContent = 'Developer';
-        chatStatus.className = 'status';
-        chatStatus.style.cursor = 'default';
-        chatStatus.onclick = null;
+    personas.forEach((persona, index) => {
+        const item = document.createElement('div');
+        item.className = 'persona-item';
         
-        // Hide message input container for developer profile
-        const messageInputContainer = document.querySelector('.message-input-container');
-        if (messageInputContainer) {
-            messageInputContainer.style.display = 'none';
-        }
+        const avatar = document.createElement('img');
+        avatar.className = 'persona-avatar';
+        avatar.src = persona.avatarDataUrl || generateDefaultAvatar(persona.name);
+        avatar.alt = persona.name;
+        avatar.title = 'Change avatar';
+        avatar.addEventListener('click', () => {
+            editingPersonaId = persona.id;
+            document.getElementById('personaAvatarInput').click();
+        });
         
+        const name = document.createElement('span');
+        name.className = 'persona-name';
+        name.textContent = index === 0 ? `${persona.name} (default)` : persona.name;
         
-        // Render developer info
-        renderDeveloperInfo();
-        return;
-    }
-    
-    // Handle special profile differently
-    if (chatData.isSpecialProfile) {
-        chatStatus.textContent = 'জাতির ভাবি';
-        chatStatus.className = 'status';
-        chatStatus.style.cursor = 'default';
-        chatStatus.onclick = null;
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'persona-action-btn';
+        renameBtn.textContent = '✏️';
+        renameBtn.title = 'Rename';
+        renameBtn.addEventListener('click', () => renamePersona(persona.id));
         
-        // Hide message input container for special profile
-        const messageInputContainer = document.querySelector('.message-input-container');
-        if (messageInputContainer) {
-            messageInputContainer.style.display = 'none';
-        }
+        item.appendChild(avatar);
+        item.appendChild(name);
+        item.appendChild(renameBtn);
         
-        // Render special profile info
-        renderSpecialProfileInfo();
-        return;
-    } else {
-        // Show message input container for regular chats
-        const messageInputContainer = document.querySelector('.message-input-container');
-        if (messageInputContainer) {
-            messageInputContainer.style.display = 'flex';
+        // The default persona owns every chat that never picked one, so it stays
+        if (index > 0) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'persona-action-btn';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete';
+            deleteBtn.addEventListener('click', () => deletePersona(persona.id));
+            item.appendChild(deleteBtn);
         }
-    }
-    
-    if (type === 'user') {
-        // Always show as Active by default, but allow users to click and change
-        chatStatus.textContent = chatData.customStatus || 'Active';
-        chatStatus.className = 'status';
         
-        // Make status clickable to change
-        chatStatus.style.cursor = 'pointer';
-        chatStatus.onclick = function() {
-            const options = ['Active', '5 minutes ago', '10 minutes ago', '15 minutes ago', '30 minutes ago', '1 hour ago'];
-            const currentIndex = options.indexOf(chatStatus.textContent);
-            const nextIndex = (currentIndex + 1) % options.length;
-            chatStatus.textContent = options[nextIndex];
-            // Store the custom status
-            chatData.customStatus = options[nextIndex];
-        };
-    } else {
-        // Group chat: do not show member names or counts under the group name
-        chatStatus.textContent = '';
-        chatStatus.className = 'status';
-    }
-    
-    // Mark all messages as seen when opening chat
-    markAllMessagesAsSeenByCurrentUser();
-    
-    // Render messages
-    renderMessages();
-    
-    // Initialize textarea height
-    const messageInput = document.getElementById('messageInput');
-    if (messageInput) {
-        autoResizeTextarea(messageInput);
-    }
+        list.appendChild(item);
+    });
 }
 
-function renderMessages() {
-    const messagesList = document.getElementById('messagesList');
-    messagesList.innerHTML = '';
-    
-    if (!currentChat) return;
-    
-    // Add contact info section if it exists (hhh.html style)
-    if (currentChatType === 'user' && currentChat.contactInfo) {
-        const contactInfoElement = createContactInfoElement(currentChat);
-        messagesList.appendChild(contactInfoElement);
-    }
-    
-    if (!currentChat.messages) return;
+function addPersona() {
+    const name = prompt('Persona name:');
+    if (!name || !name.trim()) return;
     
-    currentChat.messages.forEach((message, index) => {
-        // Determine if we should show avatar for this received message: only for the last
-        // message in a consecutive sequence from the same sender
-        let showAvatarForReceived = true;
-        const nextMessage = currentChat.messages[index + 1];
-        if (nextMessage && nextMessage.senderId === message.senderId) {
-            showAvatarForReceived = false;
+    personas.push({
+        id: 'persona_' + personaIdCounter++,
+        name: name.trim(),
+        avatarDataUrl: null,
+        statusText: 'Active'
+    });
+    queueSettingsSave(); // Save to IndexedDB
+    renderPersonaList();
+}
+
+function renamePersona(personaId) {
+    const persona = getPersona(personaId);
+    const name = prompt('Persona name:', persona.name);
+    if (!name || !name.trim()) return;
+    
+    persona.name = name.trim();
+    queueSettingsSave(); // Save to IndexedDB
+    renderPersonaList();
+    refreshPersonaChat();
+}
+
+function setPersonaAvatar(file) {
+    const persona = getPersona(editingPersonaId);
+    editingPersonaId = null;
+    if (!persona || !file) return;
+    
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        persona.avatarDataUrl = e.target.result;
+        queueSettingsSave(); // Save to IndexedDB
+        renderPersonaList();
+        refreshPersonaChat();
+    };
+    reader.readAsDataURL(file);
+}
+
+// A deleted persona's messages, reactions and read receipts pass to the default persona
+function deletePersona(personaId) {
+    const persona = getPersona(personaId);
+    if (!persona || persona === personas[0]) return;
+    if (!confirm(`Delete ${persona.name}? Their messages will be shown as sent by ${personas[0].name}.`)) return;
+    
+    const fallbackId = personas[0].id;
+    [...users, ...groups].forEach(chat => {
+        const isGroup = Array.isArray(chat.members);
+        let chatChanged = false;
+        if (chat.personaId === personaId) {
+            chat.personaId = null;
+            chatChanged = true;
+        }
+        if (chat.viewpointId === personaId) {
+            chat.viewpointId = null;
+            chatChanged = true;
         }
-        const messageElement = createMessageElement(message, showAvatarForReceived);
-        messagesList.appendChild(messageElement);
+        if (chatChanged) queueChatSave(chat, isGroup ? 'group' : 'user');
+        
+        (chat.messages || []).forEach(message => {
+            if (reassignMessageParticipant(message, personaId, fallbackId)) {
+                queueMessageSave(message, chat);
+            }
+        });
     });
     
-    // Auto scroll to bottom
-    const messagesContainer = document.getElementById('messagesContainer');
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    personas = personas.filter(p => p.id !== personaId);
+    queueSettingsSave(); // Save to IndexedDB
+    renderPersonaList();
+    refreshPersonaChat();
 }
 
-// Render developer info for developer profile
-function renderDeveloperInfo() {
-    const messagesList = document.getElementById('messagesList');
-    messagesList.innerHTML = '';
-    
-    if (!currentChat || !currentChat.isDeveloper || !currentChat.contactInfo) return;
-    
-    const developerInfoDiv = document.createElement('div');
-    developerInfoDiv.className = 'developer-info-section';
-    
-    const avatarSrc = currentChat.avatarDataUrl || generateDefaultAvatar(currentChat.name);
+// Returns true when the message referred to fromId
+function reassignMessageParticipant(message, fromId, toId) {
+    let changed = false;
+    if (message.senderId === fromId) {
+        message.senderId = toId;
+        changed = true;
+    }
+    if (message.replyTo && message.replyTo.senderId === fromId) {
+        message.replyTo.senderId = toId;
+        changed = true;
+    }
+    if (Array.isArray(message.seenBy) && message.seenBy.includes(fromId)) {
+        message.seenBy = [...new Set(message.seenBy.map(id => id === fromId ? toId : id))];
+        changed = true;
+    }
+    if (message.reactions && message.reactions[fromId]) {
+        const target = message.reactions[toId] || {};
+        Object.entries(message.reactions[fromId]).forEach(([emoji, count]) => {
+            target[emoji] = (target[emoji] || 0) + count;
+        });
+        message.reactions[toId] = target;
+        delete message.reactions[fromId];
+        changed = true;
+    }
+    return changed;
+}
+
+// Persona names and avatars show up in the open chat's bubbles
+function refreshPersonaChat() {
+    if (currentChat && !currentChat.isDeveloper && !currentChat.isSpecialProfile) {
+        applyChatViewpoint();
+    } else {
+        currentUser = personas[0];
+    }
+}
+
+// Search Functions
+const SEARCH_RESULTS_PER_CHAT = 20;
+const SEARCH_SNIPPET_RADIUS = 40; // characters of context shown around a match
+
+// In-chat search: ids of matching messages in chat order, and the one currently shown
+let chatSearch = { query: '', matchIds: [], currentIndex: -1 };
+
+// Match on normalized text so ZWJ/ZWNJ, case and punctuation differences are ignored
+function textMatchesQuery(text, normalizedQuery) {
+    return !!normalizedQuery && normalizeText(text).includes(normalizedQuery);
+}
+
+function searchAllChats(query) {
+    const normalizedQuery = normalizeText(query);
+    const results = [];
+    if (!normalizedQuery) return results;
+    
+    const collect = (chat, type) => {
+        const nameMatches = textMatchesQuery(chat.name, normalizedQuery);
+        const messageMatches = (chat.messages || []).filter(message => textMatchesQuery(message.text, normalizedQuery));
+        if (nameMatches || messageMatches.length > 0) {
+            // Newest matches first, like the contacts list
+            results.push({ chat: chat, type: type, nameMatches: nameMatches, messages: messageMatches.reverse() });
+        }
+    };
+    users.forEach(user => collect(user, 'user'));
+    groups.forEach(group => collect(group, 'group'));
     
-    developerInfoDiv.innerHTML = `
-        <div class="developer-info-container">
-            <div class="developer-info-avatar-container">
-                <img src="${avatarSrc}" alt="Developer Profile" class="developer-info-avatar">
-                ${currentChat.isOnline ? '<div class="developer-info-active-dot"></div>' : ''}
-            </div>
-            <div class="developer-info-name">${currentChat.name}</div>
-            <div class="developer-info-description">
-                ${currentChat.contactInfo.description}
-            </div>
-            <div class="developer-contact-info">
-                <div class="contact-item">
-                    <strong>Facebook:</strong> 
-                    <a href="${currentChat.contactInfo.developerInfo.facebook}" target="_blank" rel="noopener noreferrer">
-                        ${currentChat.contactInfo.developerInfo.facebook}
-                    </a>
-                </div>
-                <div class="contact-item">
-                    <strong>WhatsApp:</strong> 
-                    <a href="https://wa.me/${currentChat.contactInfo.developerInfo.whatsapp.replace('+', '')}" target="_blank" rel="noopener noreferrer">
-                        ${currentChat.contactInfo.developerInfo.whatsapp}
-                    </a>
-                </div>
-                <div class="contact-item">
-                    <strong>Email:</strong> 
-                    <a href="mailto:${currentChat.contactInfo.developerInfo.email}">
-                        ${currentChat.contactInfo.developerInfo.email}
-                    </a>
-                </div>
-            </div>
-            <div class="developer-end-message">
-                ${currentChat.contactInfo.endMessage}
-            </div>
-        </div>
-    `;
+    return results;
+}
+
+function handleContactsSearch() {
+    const query = document.getElementById('contactsSearchInput').value;
+    const contactsContainer = document.getElementById('contactsList');
+    const resultsContainer = document.getElementById('searchResults');
+    
+    if (!normalizeText(query)) {
+        resultsContainer.style.display = 'none';
+        resultsContainer.innerHTML = '';
+        contactsContainer.style.display = '';
+        return;
+    }
     
-    messagesList.appendChild(developerInfoDiv);
+    contactsContainer.style.display = 'none';
+    resultsContainer.style.display = 'block';
+    renderSearchResults(searchAllChats(query), query);
+}
+
+function renderSearchResults(results, query) {
+    const resultsContainer = document.getElementById('searchResults');
+    resultsContainer.innerHTML = '';
+    
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'search-empty';
+        empty.textContent = 'No chats or messages found';
+        resultsContainer.appendChild(empty);
+        return;
+    }
     
-    // Auto scroll to top for developer info
-    const messagesContainer = document.getElementById('messagesContainer');
-    messagesContainer.scrollTop = 0;
+    results.forEach(result => {
+        const { chat, type } = result;
+        const group = document.createElement('div');
+        group.className = 'search-result-group';
+        
+        // Chat header row opens the chat itself
+        const header = document.createElement('div');
+        header.className = 'contact-item search-result-chat';
+        
+        const avatar = document.createElement('div');
+        avatar.className = 'contact-avatar';
+        const avatarImg = document.createElement('img');
+        avatarImg.src = chat.avatarDataUrl || generateDefaultAvatar(chat.name);
+        avatarImg.alt = chat.name;
+        avatarImg.style.width = '100%';
+        avatarImg.style.height = '100%';
+        avatarImg.style.borderRadius = '50%';
+        avatarImg.style.objectFit = 'cover';
+        avatar.appendChild(avatarImg);
+        
+        const contactInfo = document.createElement('div');
+        contactInfo.className = 'contact-info';
+        const contactName = document.createElement('div');
+        contactName.className = 'contact-name';
+        appendHighlightedText(contactName, chat.name, query);
+        const contactStatus = document.createElement('div');
+        contactStatus.className = 'contact-status';
+        const count = result.messages.length;
+        contactStatus.textContent = count > 0 ? `${count} matching message${count === 1 ? '' : 's'}` : (type === 'group' ? 'Group' : (chat.statusText || ''));
+        contactInfo.appendChild(contactName);
+        contactInfo.appendChild(contactStatus);
+        
+        header.appendChild(avatar);
+        header.appendChild(contactInfo);
+        header.addEventListener('click', () => openSearchResult(chat, type, query, null));
+        group.appendChild(header);
+        
+        result.messages.slice(0, SEARCH_RESULTS_PER_CHAT).forEach(message => {
+            group.appendChild(createSearchResultMessage(result, message, query));
+        });
+        
+        if (count > SEARCH_RESULTS_PER_CHAT) {
+            const more = document.createElement('div');
+            more.className = 'search-result-more';
+            more.textContent = `See all ${count} messages in this chat`;
+            more.addEventListener('click', () => openSearchResult(chat, type, query, result.messages[0].id));
+            group.appendChild(more);
+        }
+        
+        resultsContainer.appendChild(group);
+    });
 }
 
-// Render special profile info for special profile
-function renderSpecialProfileInfo() {
-    const messagesList = document.getElementById('messagesList');
-    messagesList.innerHTML = '';
+function createSearchResultMessage(result, message, query) {
+    const item = document.createElement('div');
+    item.className = 'search-result-message';
     
-    if (!currentChat || !currentChat.isSpecialProfile || !currentChat.contactInfo) return;
+    const meta = document.createElement('div');
+    meta.className = 'search-result-meta';
+    let senderName;
+    if (message.senderId === getChatViewer(result.chat).id) {
+        senderName = 'You';
+    } else {
+        const sender = getParticipant(message.senderId);
+        senderName = sender ? getMemberDisplayName(sender, result.chat) : 'Unknown';
+    }
+    meta.textContent = message.timestamp ? `${senderName} · ${formatTimeSeparator(new Date(message.timestamp))}` : senderName;
     
-    const specialProfileDiv = document.createElement('div');
-    specialProfileDiv.className = 'special-profile-section';
+    const snippet = document.createElement('div');
+    snippet.className = 'search-result-snippet';
+    appendHighlightedText(snippet, createSnippet(message.text, query), query);
     
-    const avatarSrc = currentChat.avatarDataUrl || generateDefaultAvatar(currentChat.name);
+    item.appendChild(meta);
+    item.appendChild(snippet);
+    item.addEventListener('click', () => openSearchResult(result.chat, result.type, query, message.id));
+    return item;
+}
+
+// Cut long messages down to the text around the first match, found the way textMatchesQuery() finds it
+function createSnippet(text, query) {
+    const needle = normalizeText(query);
+    const { normalized, positions } = normalizeTextWithPositions(text);
+    const found = needle ? normalized.indexOf(needle) : -1;
+    if (found === -1 || text.length <= SEARCH_SNIPPET_RADIUS * 2) {
+        return text.length > SEARCH_SNIPPET_RADIUS * 2 ? text.slice(0, SEARCH_SNIPPET_RADIUS * 2) + '…' : text;
+    }
+    const position = positions[found];
+    const matchEnd = positions[found + needle.length - 1] + 1;
+    const start = Math.max(0, position - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, matchEnd + SEARCH_SNIPPET_RADIUS);
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+// normalizeText(), also returning where in the original text each normalized character came from
+function normalizeTextWithPositions(text) {
+    let normalized = '';
+    const positions = [];
+    let pendingSpace = false;
+    let index = 0;
+    
+    for (const char of text || '') {
+        if (/[\u200C\u200D]/.test(char)) {
+            // Dropped, like ZWNJ/ZWJ in normalizeText()
+        } else if (/[\p{P}\p{S}\s]/u.test(char)) {
+            pendingSpace = normalized.length > 0;
+        } else {
+            if (pendingSpace) {
+                normalized += ' ';
+                positions.push(index);
+                pendingSpace = false;
+            }
+            for (const unit of char.toLowerCase().split('')) {
+                normalized += unit;
+                positions.push(index);
+            }
+        }
+        index += char.length;
+    }
+    return { normalized: normalized, positions: positions };
+}
+
+// Append text to an element with literal occurrences of the query wrapped in <mark>.
+// Matches that only exist after normalization are shown without a mark.
+function appendHighlightedText(element, text, query) {
+    const needle = query.trim().toLowerCase();
+    const haystack = text.toLowerCase();
+    let position = 0;
+    
+    while (needle) {
+        const found = haystack.indexOf(needle, position);
+        if (found === -1) break;
+        element.appendChild(document.createTextNode(text.slice(position, found)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = text.slice(found, found + needle.length);
+        element.appendChild(mark);
+        position = found + needle.length;
+    }
+    element.appendChild(document.createTextNode(text.slice(position)));
+}
+
+function openSearchResult(chat, type, query, messageId) {
+    openChat(chat, type);
+    if (messageId) {
+        openChatSearch(query, messageId);
+    }
+}
+
+// In-chat search with previous/next navigation
+function openChatSearch(query = '', messageId = null) {
+    if (!currentChat || currentChat.isDeveloper || currentChat.isSpecialProfile) return;
+    
+    const searchBar = document.getElementById('chatSearchBar');
+    const input = document.getElementById('chatSearchInput');
+    searchBar.style.display = 'flex';
+    input.value = query;
+    updateChatSearch(messageId);
+    input.focus();
+}
+
+function closeChatSearch() {
+    const previous = chatSearch;
+    resetChatSearch();
+    refreshSearchHighlights(previous);
+}
+
+function resetChatSearch() {
+    const searchBar = document.getElementById('chatSearchBar');
+    if (searchBar) {
+        searchBar.style.display = 'none';
+    }
+    chatSearch = { query: '', matchIds: [], currentIndex: -1 };
+}
+
+// Recompute matches for the typed query and show the newest one (or messageId if given)
+function updateChatSearch(messageId = null) {
+    const query = document.getElementById('chatSearchInput').value;
+    const normalizedQuery = normalizeText(query);
+    const matchIds = normalizedQuery
+        ? (currentChat.messages || []).filter(message => textMatchesQuery(message.text, normalizedQuery)).map(message => message.id)
+        : [];
+    
+    let currentIndex = matchIds.length - 1;
+    if (messageId && matchIds.includes(messageId)) {
+        currentIndex = matchIds.indexOf(messageId);
+    }
+    const previous = chatSearch;
+    chatSearch = { query: query, matchIds: matchIds, currentIndex: currentIndex };
     
-    specialProfileDiv.innerHTML = `
-        <div class="special-profile-container">
-            <div class="special-profile-avatar-container">
-                <img src="${avatarSrc}" alt="Special Profile" class="special-profile-avatar">
-                ${currentChat.isOnline ? '<div class="special-profile-active-dot"></div>' : ''}
-            </div>
-            <div class="special-profile-name">${currentChat.name}</div>
-            <div class="special-profile-description">
-                ${currentChat.contactInfo.description}
-            </div>
-            <div class="special-profile-keyboard-section">
-                <img src="${currentChat.contactInfo.keyboardImage}" alt="Keyboard" class="special-profile-keyboard-image">
-                <div class="special-profile-keyboard-caption">
-                    ${currentChat.contactInfo.keyboardCaption}
-                </div>
-            </div>
-            <div class="special-profile-end-message">
-                ${currentChat.contactInfo.endMessage}
-            </div>
-        </div>
-    `;
+    refreshSearchHighlights(previous);
+    showCurrentSearchMatch();
+}
+
+// step -1 moves to the older match, +1 to the newer one
+function moveChatSearch(step) {
+    if (chatSearch.matchIds.length === 0) return;
+    const previousId = chatSearch.matchIds[chatSearch.currentIndex];
+    const count = chatSearch.matchIds.length;
+    chatSearch.currentIndex = (chatSearch.currentIndex + step + count) % count;
+    refreshMessageElement(previousId);
+    showCurrentSearchMatch();
+}
+
+function showCurrentSearchMatch() {
+    const countLabel = document.getElementById('chatSearchCount');
+    const total = chatSearch.matchIds.length;
+    countLabel.textContent = total > 0 ? `${chatSearch.currentIndex + 1}/${total}` : (normalizeText(chatSearch.query) ? '0/0' : '');
+    document.getElementById('chatSearchPrev').disabled = total < 2;
+    document.getElementById('chatSearchNext').disabled = total < 2;
+    
+    if (total > 0) {
+        scrollToMessage(chatSearch.matchIds[chatSearch.currentIndex]);
+    }
+}
+
+function getSearchHighlightClass(messageId) {
+    const index = chatSearch.matchIds.indexOf(messageId);
+    if (index === -1) return null;
+    return index === chatSearch.currentIndex ? 'search-current' : 'search-match';
+}
+
+// Patch only the rendered messages whose highlight differs from the previous search's
+function refreshSearchHighlights(previous) {
+    if (!currentChat || !currentChat.messages || renderedChatId !== currentChat.id) return;
+    const highlights = search => new Map(search.matchIds.map((id, index) => [id, index === search.currentIndex ? 'search-current' : 'search-match']));
+    const before = highlights(previous);
+    const after = highlights(chatSearch);
+    
+    const changed = [];
+    const end = Math.min(renderedRange.end, currentChat.messages.length);
+    for (let index = renderedRange.start; index < end; index++) {
+        const id = currentChat.messages[index].id;
+        if (before.get(id) !== after.get(id)) changed.push(index);
+    }
+    patchRenderedMessages(changed);
+}
+
+// Make sure a message is inside the rendered window, then center it in the view
+function scrollToMessage(messageId) {
+    if (!currentChat || !currentChat.messages) return;
+    const index = currentChat.messages.findIndex(m => m.id === messageId);
+    if (index === -1) return;
     
-    messagesList.appendChild(specialProfileDiv);
+    if (!isRenderedIndex(index)) {
+        const start = Math.max(0, index - Math.floor(MESSAGE_PAGE_SIZE / 2));
+        renderedChatId = currentChat.id;
+        renderedRange = { start: start, end: Math.min(currentChat.messages.length, start + MESSAGE_PAGE_SIZE) };
+        renderMessages();
+    } else {
+        refreshMessageElement(messageId);
+    }
     
-    // Auto scroll to top for special profile info
-    const messagesContainer = document.getElementById('messagesContainer');
-    messagesContainer.scrollTop = 0;
+    const element = document.querySelector(`#messagesList > [data-message-id="${messageId}"]`);
+    if (element) {
+        element.scrollIntoView({ block: 'center' });
+    }
 }
 
-// Create contact info element (hhh.html style)
-function createContactInfoElement(chat) {
-    const contactInfoDiv = document.createElement('div');
-    contactInfoDiv.className = 'contact-info-section';
+// Chat Functions
+function openChat(chatData, type) {
+    stopPlayback();
+    stopVoicePlayback();
+    hideReactionSheet();
+    exitSelectionMode();
+    currentChat = chatData;
+    currentChatType = type;
+    currentUser = getChatViewer(chatData);
+    resetChatSearch();
     
-    const avatarSrc = chat.avatarDataUrl || generateDefaultAvatar(chat.name);
+    // A bot's phrases can be edited from its chat
+    document.getElementById('mimiBankBtn').style.display = type === 'user' && isBot(chatData) ? '' : 'none';
     
-    contactInfoDiv.innerHTML = `
-        <div class="contact-info-container">
-            <div class="contact-info-avatar-container">
-                <img src="${avatarSrc}" alt="Profile pic" class="contact-info-avatar">
-                ${chat.isOnline ? '<div class="contact-info-active-dot"></div>' : ''}
-            </div>
-            <div class="contact-info-details">
-                <div class="contact-info-name">${chat.name}</div>
-                <div class="contact-info-description">
-                    ${chat.contactInfo.description}
-                </div>
-                <div class="contact-info-connection">
-                    ${chat.contactInfo.connectionDate}<br>
-                    ${chat.contactInfo.connectionText}
-                </div>
-            </div>
-        </div>
-    `;
+    // Update active state
+    document.querySelectorAll('.contact-item').forEach(item => item.classList.remove('active'));
+    document.querySelector(`.contact-item[data-id="${chatData.id}"]`).classList.add('active');
     
-    return contactInfoDiv;
-}
-
-function createMessageElement(message, showAvatarForReceived = true) {
-    const messageDiv = document.createElement('div');
-    const isFromMe = message.senderId === currentUser.id;
-    messageDiv.className = `message ${isFromMe ? 'sent' : 'received'}`;
-    messageDiv.dataset.messageId = message.id;
+    // Show chat view
+    showView('chatView');
     
-    // Create message content wrapper
-    const messageContent = document.createElement('div');
-    messageContent.className = 'message-content';
+    // Update chat header
+    updateChatHeader(chatData);
+    const chatStatus = document.getElementById('chatStatus');
     
-    // Add reply information if this message is a reply
-    if (message.replyTo) {
-        const replyDiv = document.createElement('div');
-        replyDiv.className = 'message-reply';
+    // Handle developer profile differently
+    if (chatData.isDeveloper) {
+        chatStatus.textContent = 'Developer';
+        chatStatus.className = 'status';
+        chatStatus.style.cursor = 'default';
+        chatStatus.onclick = null;
         
-        // Get the name of who we're replying to
-        let replySenderName;
-        if (message.replyTo.senderId === currentUser.id) {
-            replySenderName = 'You';
-        } else if (currentChatType === 'group') {
-            const replySender = users.find(u => u.id === message.replyTo.senderId);
-            replySenderName = replySender ? replySender.name : 'Unknown';
-        } else {
-            replySenderName = currentChat.name;
+        // Hide message input container for developer profile
+        const messageInputContainer = document.querySelector('.message-input-container');
+        if (messageInputContainer) {
+            messageInputContainer.style.display = 'none';
         }
         
-        const replySender = document.createElement('div');
-        replySender.className = 'reply-sender';
-        replySender.textContent = replySenderName;
-        
-        const replyText = document.createElement('div');
-        replyText.className = 'reply-text';
-        replyText.textContent = message.replyTo.text;
         
-        replyDiv.appendChild(replySender);
-        replyDiv.appendChild(replyText);
-        messageContent.appendChild(replyDiv);
+        // Render developer info
+        renderDeveloperInfo();
+        return;
     }
     
-    // Add sender name for group messages (only for received messages)
-    if (currentChatType === 'group' && !isFromMe) {
-        const sender = users.find(u => u.id === message.senderId);
-        if (sender) {
-            const senderNameDiv = document.createElement('div');
-            senderNameDiv.style.fontSize = '12px';
-            senderNameDiv.style.color = '#65676b';
-            senderNameDiv.style.marginBottom = '4px';
-            senderNameDiv.textContent = sender.name;
-            messageContent.appendChild(senderNameDiv);
+    // Handle special profile differently
+    if (chatData.isSpecialProfile) {
+        chatStatus.textContent = 'জাতির ভাবি';
+        chatStatus.className = 'status';
+        chatStatus.style.cursor = 'default';
+        chatStatus.onclick = null;
+        
+        // Hide message input container for special profile
+        const messageInputContainer = document.querySelector('.message-input-container');
+        if (messageInputContainer) {
+            messageInputContainer.style.display = 'none';
         }
-    }
-    
-    // If received message, add avatar or spacer on the left
-    if (!isFromMe) {
-        if (showAvatarForReceived) {
-            const messageAvatarContainer = document.createElement('div');
-            messageAvatarContainer.className = 'message-avatar-container';
-            messageAvatarContainer.style.marginRight = '8px';
-            messageAvatarContainer.style.alignSelf = 'flex-end';
-            const messageAvatar = document.createElement('img');
-            messageAvatar.className = 'message-avatar';
-            messageAvatar.style.width = '28px';
-            messageAvatar.style.height = '28px';
-            messageAvatar.style.borderRadius = '50%';
-            messageAvatar.style.objectFit = 'cover';
-            let sender;
-            if (currentChatType === 'group') {
-                sender = users.find(u => u.id === message.senderId);
-            } else {
-                sender = currentChat;
-            }
-            if (sender) {
-                messageAvatar.src = sender.avatarDataUrl || generateDefaultAvatar(sender.name);
-                messageAvatar.alt = sender.name;
-                messageAvatar.onerror = function() { this.style.display = 'none'; };
-                messageAvatarContainer.appendChild(messageAvatar);
-                if (sender.isOnline) {
-                    const indicator = document.createElement('div');
-                    indicator.className = 'active-indicator';
-                    messageAvatarContainer.appendChild(indicator);
-                }
-            }
-            messageDiv.appendChild(messageAvatarContainer);
-        } else {
-            const spacer = document.createElement('div');
-            spacer.className = 'message-avatar-spacer';
-            spacer.style.width = '28px';
-            spacer.style.height = '28px';
-            spacer.style.marginRight = '8px';
-            spacer.style.flexShrink = '0';
-            messageDiv.appendChild(spacer);
+        
+        // Render special profile info
+        renderSpecialProfileInfo();
+        return;
+    } else {
+        // Show message input container for regular chats
+        const messageInputContainer = document.querySelector('.message-input-container');
+        if (messageInputContainer) {
+            messageInputContainer.style.display = 'flex';
         }
     }
-
-    // Create message bubble
-    const messageBubble = document.createElement('div');
-    messageBubble.className = 'message-bubble';
-    // Add long press and right click for context menu
-    let longPressTimer;
-    
-    messageBubble.addEventListener('mousedown', (event) => {
-        longPressTimer = setTimeout(() => {
-            // Show quick reaction picker instead of context menu for easier access
-            showQuickReactionPicker(event, message.id);
-        }, 500);
-        event.stopPropagation();
-    });
     
-    messageBubble.addEventListener('mouseup', () => {
-        clearTimeout(longPressTimer);
-    });
-    
-    messageBubble.addEventListener('mouseleave', () => {
-        clearTimeout(longPressTimer);
-    });
+    if (type === 'user') {
+        // Always show as Active by default, but allow users to click and change
+        chatStatus.textContent = chatData.customStatus || 'Active';
+        chatStatus.className = 'status';
+        
+        // Make status clickable to change
+        chatStatus.style.cursor = 'pointer';
+        chatStatus.onclick = function() {
+            const options = ['Active', '5 minutes ago', '10 minutes ago', '15 minutes ago', '30 minutes ago', '1 hour ago'];
+            const currentIndex = options.indexOf(chatStatus.textContent);
+            const nextIndex = (currentIndex + 1) % options.length;
+            chatStatus.textContent = options[nextIndex];
+            // Store the custom status
+            chatData.customStatus = options[nextIndex];
+        };
+    } else {
+        // Group chat: do not show member names or counts under the group name
+        chatStatus.textContent = '';
+        chatStatus.className = 'status';
+    }
     
-    // Touch events for mobile
-    messageBubble.addEventListener('touchstart', (event) => {
-        longPressTimer = setTimeout(() => {
-            // Show quick reaction picker for easier mobile interaction
-            showQuickReactionPicker(event, message.id);
-        }, 500);
-        event.stopPropagation();
-    });
+    // Mark all messages as seen when opening chat
+    markAllMessagesAsSeenByCurrentUser();
     
-    messageBubble.addEventListener('touchend', (event) => {
-        clearTimeout(longPressTimer);
-        event.preventDefault();
-    });
+    // Render messages, starting from the newest page
+    resetMessageWindow();
+    renderMessages();
     
-    // Right click context menu
-    messageBubble.addEventListener('contextmenu', (event) => {
-        event.preventDefault();
-        showMessageContextMenu(event, message.id);
-    });
+    // Initialize textarea height
+    const messageInput = document.getElementById('messageInput');
+    if (messageInput) {
+        autoResizeTextarea(messageInput);
+    }
+}
+
+// Chat header avatar, name and online dot
+function updateChatHeader(chatData) {
+    const chatAvatar = document.getElementById('chatAvatar');
+    const chatName = document.getElementById('chatName');
     
-    // Double click/tap for context menu (easier access)
-    let clickCount = 0;
-    messageBubble.addEventListener('click', (event) => {
-        event.stopPropagation();
-        clickCount++;
-        
-        if (clickCount === 1) {
-            setTimeout(() => {
-                if (clickCount === 2) {
-                    // Double click detected - show context menu
-                    showMessageContextMenu(event, message.id);
-                }
-                clickCount = 0;
-            }, 300);
-        }
-    });
+    const avatarSrc = chatData.avatarDataUrl || generateDefaultAvatar(chatData.name);
+    chatAvatar.src = avatarSrc;
+    chatName.textContent = chatData.name;
     
-    // Check if this is an image-only message
-    const isImageOnlyMessage = message.imageDataUrl && (!message.text || message.text === message.imageName || message.text === 'Photo');
+    // Add active indicator to chat avatar if user is online
+    const existingIndicator = chatAvatar.parentElement.querySelector('.active-indicator');
+    if (existingIndicator) {
+        existingIndicator.remove();
+    }
     
-    if (isImageOnlyMessage) {
-        // For image-only messages, make bubble transparent and remove padding
-        messageBubble.style.background = 'transparent';
-        messageBubble.style.padding = '0';
-        messageBubble.style.boxShadow = 'none';
-        messageBubble.className = 'message-bubble image-only-bubble';
-        // Add class to main message div for spacing control
-        messageDiv.classList.add('image-only-message');
-        
-        // Display image
-        const messageImage = document.createElement('img');
-        messageImage.className = 'message-image-only';
-        messageImage.src = message.imageDataUrl;
-        messageImage.alt = message.imageName || 'Shared image';
-        messageImage.style.maxWidth = '250px';
-        messageImage.style.maxHeight = '200px';
-        messageImage.style.borderRadius = '12px';
-        messageImage.style.cursor = 'pointer';
-        messageImage.style.display = 'block';
-        
-        // Add click to view full size
-        messageImage.addEventListener('click', function(event) {
-            event.stopPropagation(); // Prevent bubble click handlers
-            showImagePreview(message.imageDataUrl);
-        });
-        
-        // Prevent context menu on image from triggering bubble context menu
-        messageImage.addEventListener('contextmenu', function(event) {
-            event.stopPropagation();
-        });
-        
-        messageBubble.appendChild(messageImage);
-    } else {
-        // Regular text message or image with text
-        if (message.imageDataUrl) {
-            // Display image
-            const messageImage = document.createElement('img');
-            messageImage.className = 'message-image';
-            messageImage.src = message.imageDataUrl;
-            messageImage.alt = message.imageName || 'Shared image';
-            messageImage.style.maxWidth = '250px';
-            messageImage.style.maxHeight = '200px';
-            messageImage.style.borderRadius = '12px';
-            messageImage.style.cursor = 'pointer';
-            messageImage.style.display = 'block';
-            
-            // Add click to view full size
-            messageImage.addEventListener('click', function(event) {
-                event.stopPropagation(); // Prevent bubble click handlers
-                showImagePreview(message.imageDataUrl);
-            });
-            
-            // Prevent context menu on image from triggering bubble context menu
-            messageImage.addEventListener('contextmenu', function(event) {
-                event.stopPropagation();
-            });
-            
-            messageBubble.appendChild(messageImage);
+    if (chatData.isOnline) {
+        // Wrap avatar in container if not already wrapped
+        if (!chatAvatar.parentElement.classList.contains('chat-avatar-container')) {
+            const container = document.createElement('div');
+            container.className = 'chat-avatar-container';
+            chatAvatar.parentElement.insertBefore(container, chatAvatar);
+            container.appendChild(chatAvatar);
         }
         
-        // Attachment pill
-        if (message.attachment) {
-            const link = document.createElement('a');
-            link.className = 'attachment-pill';
-            link.href = message.attachment.dataUrl || '#';
-            link.download = message.attachment.name || 'file';
-            link.target = message.attachment.dataUrl ? '_blank' : '';
-            link.rel = 'noopener noreferrer';
-            link.innerHTML = `
-                <span class="attachment-icon">📎</span>
-                <span class="attachment-name">${message.attachment.name}</span>
-            `;
-            messageBubble.appendChild(link);
-        }
+        const indicator = document.createElement('div');
+        indicator.className = 'active-indicator';
+        chatAvatar.parentElement.appendChild(indicator);
+    }
+}
 
-        // Voice message bubble
-        if (message.voice) {
-            const vb = document.createElement('div');
-            vb.className = 'voice-bubble';
-            const play = document.createElement('button');
-            play.className = 'input-action-btn';
-            play.title = 'Play (simulated)';
-            play.innerHTML = '▶️';
-            play.addEventListener('click', (e) => { e.stopPropagation(); });
-            const wave = document.createElement('div');
-            wave.className = 'voice-wave';
-            for (let i = 0; i < 10; i++) {
-                const bar = document.createElement('span');
-                bar.className = 'voice-bar';
-                bar.style.height = (8 + Math.floor(Math.random()*12)) + 'px';
-                wave.appendChild(bar);
-            }
-            const dur = document.createElement('span');
-            dur.className = 'voice-duration';
-            dur.textContent = `${message.voice.duration}s`;
-            vb.appendChild(play);
-            vb.appendChild(wave);
-            vb.appendChild(dur);
-            messageBubble.appendChild(vb);
-        }
+// Message list rendering is windowed: only messages [renderedRange.start, renderedRange.end)
+// of the current chat are in the DOM. Older pages load while scrolling up, and single
+// messages are patched in place instead of re-rendering the conversation.
+const MESSAGE_PAGE_SIZE = 40;
+const MAX_RENDERED_MESSAGES = 120;
+const SCROLL_LOAD_THRESHOLD = 200; // px from the top/bottom edge that triggers loading a page
 
-        // Message text (if present and not just the image name)
-        if (message.text && message.text !== message.imageName && message.text !== 'Photo') {
-            const messageText = document.createElement('div');
-            messageText.className = 'message-text';
-            messageText.textContent = message.text;
-            messageBubble.appendChild(messageText);
-        }
+let renderedChatId = null;
+let renderedRange = { start: 0, end: 0 };
+
+// Forget the current window so the next renderMessages() starts at the newest messages
+function resetMessageWindow() {
+    renderedChatId = null;
+    renderedRange = { start: 0, end: 0 };
+}
+
+function renderMessages() {
+    const messagesList = document.getElementById('messagesList');
+    messagesList.innerHTML = '';
+    
+    if (!currentChat) return;
+    
+    const messages = currentChat.messages || [];
+    const wasAtEnd = renderedChatId !== currentChat.id || renderedRange.end >= messages.length - 1;
+    if (wasAtEnd) {
+        renderedRange = { start: Math.max(0, messages.length - MESSAGE_PAGE_SIZE), end: messages.length };
+    } else {
+        renderedRange.start = Math.min(renderedRange.start, messages.length);
+        renderedRange.end = Math.min(renderedRange.end, messages.length);
     }
+    renderedChatId = currentChat.id;
     
-    // Add quick reaction button (Facebook Messenger style) - only for received messages
-    const messageWrapper = document.createElement('div');
-    messageWrapper.className = 'message-wrapper';
-    messageWrapper.appendChild(messageBubble);
+    messagesList.appendChild(buildMessageNodes(currentChat, currentChatType, renderedRange.start, renderedRange.end));
+    renderTypingIndicators();
     
-    // Only add reaction button for received messages (not sent messages)
-    if (!isFromMe) {
-        const reactionButton = document.createElement('button');
-        reactionButton.className = 'quick-reaction-btn';
-        reactionButton.innerHTML = '😀';
-        reactionButton.title = 'Add reaction';
-        reactionButton.onclick = (event) => {
-            event.stopPropagation();
-            showQuickReactionPicker(event, message.id);
-        };
-        messageWrapper.appendChild(reactionButton);
+    // Auto scroll to bottom
+    if (wasAtEnd) {
+        const messagesContainer = document.getElementById('messagesContainer');
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
+}
+
+// Build the DOM for messages [start, end) of a chat as viewer sees it, including time
+// separators and, when starting at the first message, the contact info header
+function buildMessageNodes(chat, chatType, start, end, viewer = currentUser) {
+    const fragment = document.createDocumentFragment();
     
-    messageContent.appendChild(messageWrapper);
+    // Add contact info section if it exists (hhh.html style)
+    if (start === 0 && chatType === 'user' && chat.contactInfo) {
+        fragment.appendChild(createContactInfoElement(chat));
+    }
     
-    // Add reactions
-    if (message.reactions && Object.keys(message.reactions).length > 0) {
-        // Add has-reactions class to prevent overlap
-        messageDiv.classList.add('has-reactions');
-        
-        const reactionCounts = {};
-        // Handle both old format (1:1 chats) and new format (group chats)
-        Object.entries(message.reactions).forEach(([userId, userReactions]) => {
-            if (currentChatType === 'group' && typeof userReactions === 'object') {
-                // New format: user has multiple reactions with counts
-                Object.entries(userReactions).forEach(([emoji, count]) => {
-                    reactionCounts[emoji] = (reactionCounts[emoji] || 0) + count;
+    for (let index = start; index < end; index++) {
+        createMessageNodes(chat.messages, index, viewer).forEach(node => fragment.appendChild(node));
+    }
+    
+    return fragment;
+}
+
+// The separator (if any) and message element for messages[index]
+function createMessageNodes(messages, index, viewer = currentUser) {
+    const nodes = [];
+    const message = messages[index];
+    
+    // Messenger-style time divider before the first message and after long gaps
+    const previousMessage = messages[index - 1];
+    if (shouldShowTimeSeparator(previousMessage, message)) {
+        const separator = createTimeSeparatorElement(message.timestamp);
+        separator.dataset.separatorFor = message.id;
+        nodes.push(separator);
+    }
+    
+    // Determine if we should show avatar for this received message: only for the last
+    // message in a consecutive sequence from the same sender
+    let showAvatarForReceived = true;
+    const nextMessage = messages[index + 1];
+    if (nextMessage && nextMessage.senderId === message.senderId) {
+        showAvatarForReceived = false;
+    }
+    nodes.push(createMessageElement(message, showAvatarForReceived, viewer));
+    
+    return nodes;
+}
+
+function getRenderedMessageNodes(messageId) {
+    const messagesList = document.getElementById('messagesList');
+    return Array.from(messagesList.querySelectorAll(
+        `[data-message-id="${messageId}"], [data-separator-for="${messageId}"]`
+    )).filter(node => node.parentElement === messagesList);
+}
+
+function isRenderedIndex(index) {
+    return renderedChatId === (currentChat && currentChat.id) && index >= renderedRange.start && index < renderedRange.end;
+}
+
+// Re-create the nodes of the messages at these indices in place
+function patchRenderedMessages(indices) {
+    const messages = currentChat.messages;
+    indices.filter(isRenderedIndex).forEach(index => replaceMessageNodes(messages, index));
+}
+
+function replaceMessageNodes(messages, index) {
+    const oldNodes = getRenderedMessageNodes(messages[index].id);
+    if (oldNodes.length === 0) return;
+    const newNodes = createMessageNodes(messages, index);
+    oldNodes[0].before(...newNodes);
+    oldNodes.forEach(node => node.remove());
+}
+
+// Patch one message after its text, reactions, seen state or time changed. Neighbours are
+// refreshed too because avatars and separators depend on the adjacent messages.
+function refreshMessageElement(messageId) {
+    if (!currentChat || !currentChat.messages) return;
+    const index = currentChat.messages.findIndex(m => m.id === messageId);
+    if (index === -1) return;
+    patchRenderedMessages([index - 1, index, index + 1]);
+}
+
+// Show a message that was just pushed onto the current chat
+function appendRenderedMessage(message) {
+    if (!currentChat || !currentChat.messages || renderedChatId !== currentChat.id) return;
+    const index = currentChat.messages.indexOf(message);
+    if (index === -1) return;
+    
+    // Jump to the newest messages if the user had scrolled far back
+    if (renderedRange.end !== index) {
+        resetMessageWindow();
+        renderMessages();
+        return;
+    }
+    
+    const messagesList = document.getElementById('messagesList');
+    messagesList.appendChild(buildMessageNodes(currentChat, currentChatType, index, index + 1));
+    renderedRange.end = index + 1;
+    patchRenderedMessages([index - 1]);
+    trimRenderedMessages('top');
+    
+    // Sending a message ends that person's typing bubble
+    if (isShowingTypingIndicator(currentChat, message.senderId)) {
+        hideTypingIndicator(currentChat, message.senderId);
+    } else {
+        renderTypingIndicators();
+    }
+    
+    // Auto scroll to bottom
+    const messagesContainer = document.getElementById('messagesContainer');
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+// Drop the nodes of a message that was removed from the current chat at formerIndex
+function removeRenderedMessage(messageId, formerIndex) {
+    if (!currentChat || renderedChatId !== currentChat.id) return;
+    const wasRendered = formerIndex >= renderedRange.start && formerIndex < renderedRange.end;
+    getRenderedMessageNodes(messageId).forEach(node => node.remove());
+    
+    if (formerIndex < renderedRange.start) renderedRange.start--;
+    if (formerIndex < renderedRange.end) renderedRange.end--;
+    if (wasRendered) {
+        patchRenderedMessages([formerIndex - 1, formerIndex]);
+    }
+}
+
+// Scroll position changes must not animate while content is being swapped above the viewport
+function setScrollTopInstantly(container, scrollTop) {
+    const previousBehavior = container.style.scrollBehavior;
+    container.style.scrollBehavior = 'auto';
+    container.scrollTop = scrollTop;
+    container.style.scrollBehavior = previousBehavior;
+}
+
+function handleMessagesScroll() {
+    if (!currentChat || renderedChatId !== currentChat.id || !currentChat.messages) return;
+    const container = document.getElementById('messagesContainer');
+    
+    if (container.scrollTop < SCROLL_LOAD_THRESHOLD && renderedRange.start > 0) {
+        loadOlderMessages();
+    } else if (container.scrollHeight - container.scrollTop - container.clientHeight < SCROLL_LOAD_THRESHOLD &&
+               renderedRange.end < currentChat.messages.length) {
+        loadNewerMessages();
+    }
+}
+
+function loadOlderMessages() {
+    const container = document.getElementById('messagesContainer');
+    const messagesList = document.getElementById('messagesList');
+    const start = Math.max(0, renderedRange.start - MESSAGE_PAGE_SIZE);
+    const previousHeight = container.scrollHeight;
+    
+    messagesList.prepend(buildMessageNodes(currentChat, currentChatType, start, renderedRange.start));
+    renderedRange.start = start;
+    
+    // Keep the messages the user was looking at in place
+    setScrollTopInstantly(container, container.scrollTop + container.scrollHeight - previousHeight);
+    trimRenderedMessages('bottom');
+    renderTypingIndicators();
+}
+
+function loadNewerMessages() {
+    const messagesList = document.getElementById('messagesList');
+    const end = Math.min(currentChat.messages.length, renderedRange.end + MESSAGE_PAGE_SIZE);
+    
+    messagesList.appendChild(buildMessageNodes(currentChat, currentChatType, renderedRange.end, end));
+    renderedRange.end = end;
+    trimRenderedMessages('top');
+    renderTypingIndicators();
+}
+
+// Keep at most MAX_RENDERED_MESSAGES in the DOM by dropping messages from one end
+function trimRenderedMessages(side) {
+    const excess = (renderedRange.end - renderedRange.start) - MAX_RENDERED_MESSAGES;
+    if (excess <= 0) return;
+    
+    const container = document.getElementById('messagesContainer');
+    const messages = currentChat.messages;
+    
+    if (side === 'top') {
+        const previousHeight = container.scrollHeight;
+        for (let index = renderedRange.start; index < renderedRange.start + excess; index++) {
+            getRenderedMessageNodes(messages[index].id).forEach(node => node.remove());
+        }
+        if (renderedRange.start === 0) {
+            const contactInfo = document.querySelector('#messagesList > .contact-info-section');
+            if (contactInfo) contactInfo.remove();
+        }
+        renderedRange.start += excess;
+        setScrollTopInstantly(container, container.scrollTop - (previousHeight - container.scrollHeight));
+    } else {
+        for (let index = renderedRange.end - excess; index < renderedRange.end; index++) {
+            getRenderedMessageNodes(messages[index].id).forEach(node => node.remove());
+        }
+        renderedRange.end -= excess;
+    }
+}
+
+// Render developer info for developer profile
+function renderDeveloperInfo() {
+    const messagesList = document.getElementById('messagesList');
+    messagesList.innerHTML = '';
+    resetMessageWindow();
+    
+    if (!currentChat || !currentChat.isDeveloper || !currentChat.contactInfo) return;
+    
+    const developerInfoDiv = document.createElement('div');
+    developerInfoDiv.className = 'developer-info-section';
+    
+    const avatarSrc = currentChat.avatarDataUrl || generateDefaultAvatar(currentChat.name);
+    
+    developerInfoDiv.innerHTML = `
+        <div class="developer-info-container">
+            <div class="developer-info-avatar-container">
+                <img src="${avatarSrc}" alt="Developer Profile" class="developer-info-avatar">
+                ${currentChat.isOnline ? '<div class="developer-info-active-dot"></div>' : ''}
+            </div>
+            <div class="developer-info-name">${currentChat.name}</div>
+            <div class="developer-info-description">
+                ${currentChat.contactInfo.description}
+            </div>
+            <div class="developer-contact-info">
+                <div class="contact-item">
+                    <strong>Facebook:</strong> 
+                    <a href="${currentChat.contactInfo.developerInfo.facebook}" target="_blank" rel="noopener noreferrer">
+                        ${currentChat.contactInfo.developerInfo.facebook}
+                    </a>
+                </div>
+                <div class="contact-item">
+                    <strong>WhatsApp:</strong> 
+                    <a href="https://wa.me/${currentChat.contactInfo.developerInfo.whatsapp.replace('+', '')}" target="_blank" rel="noopener noreferrer">
+                        ${currentChat.contactInfo.developerInfo.whatsapp}
+                    </a>
+                </div>
+                <div class="contact-item">
+                    <strong>Email:</strong> 
+                    <a href="mailto:${currentChat.contactInfo.developerInfo.email}">
+                        ${currentChat.contactInfo.developerInfo.email}
+                    </a>
+                </div>
+            </div>
+            <div class="developer-end-message">
+                ${currentChat.contactInfo.endMessage}
+            </div>
+        </div>
+    `;
+    
+    messagesList.appendChild(developerInfoDiv);
+    
+    // Auto scroll to top for developer info
+    const messagesContainer = document.getElementById('messagesContainer');
+    messagesContainer.scrollTop = 0;
+}
+
+// Render special profile info for special profile
+function renderSpecialProfileInfo() {
+    const messagesList = document.getElementById('messagesList');
+    messagesList.innerHTML = '';
+    resetMessageWindow();
+    
+    if (!currentChat || !currentChat.isSpecialProfile || !currentChat.contactInfo) return;
+    
+    const specialProfileDiv = document.createElement('div');
+    specialProfileDiv.className = 'special-profile-section';
+    
+    const avatarSrc = currentChat.avatarDataUrl || generateDefaultAvatar(currentChat.name);
+    
+    specialProfileDiv.innerHTML = `
+        <div class="special-profile-container">
+            <div class="special-profile-avatar-container">
+                <img src="${avatarSrc}" alt="Special Profile" class="special-profile-avatar">
+                ${currentChat.isOnline ? '<div class="special-profile-active-dot"></div>' : ''}
+            </div>
+            <div class="special-profile-name">${currentChat.name}</div>
+            <div class="special-profile-description">
+                ${currentChat.contactInfo.description}
+            </div>
+            <div class="special-profile-keyboard-section">
+                <img src="${currentChat.contactInfo.keyboardImage}" alt="Keyboard" class="special-profile-keyboard-image">
+                <div class="special-profile-keyboard-caption">
+                    ${currentChat.contactInfo.keyboardCaption}
+                </div>
+            </div>
+            <div class="special-profile-end-message">
+                ${currentChat.contactInfo.endMessage}
+            </div>
+        </div>
+    `;
+    
+    messagesList.appendChild(specialProfileDiv);
+    
+    // Auto scroll to top for special profile info
+    const messagesContainer = document.getElementById('messagesContainer');
+    messagesContainer.scrollTop = 0;
+}
+
+// Create contact info element (hhh.html style)
+function createContactInfoElement(chat) {
+    const contactInfoDiv = document.createElement('div');
+    contactInfoDiv.className = 'contact-info-section';
+    
+    const avatarSrc = chat.avatarDataUrl || generateDefaultAvatar(chat.name);
+    
+    contactInfoDiv.innerHTML = `
+        <div class="contact-info-container">
+            <div class="contact-info-avatar-container">
+                <img src="${avatarSrc}" alt="Profile pic" class="contact-info-avatar">
+                ${chat.isOnline ? '<div class="contact-info-active-dot"></div>' : ''}
+            </div>
+            <div class="contact-info-details">
+                <div class="contact-info-name">${chat.name}</div>
+                <div class="contact-info-description">
+                    ${chat.contactInfo.description}
+                </div>
+                <div class="contact-info-connection">
+                    ${chat.contactInfo.connectionDate}<br>
+                    ${chat.contactInfo.connectionText}
+                </div>
+            </div>
+        </div>
+    `;
+    
+    return contactInfoDiv;
+}
+
+// viewer is the participant the chat is shown as: their messages are the sent ones
+function createMessageElement(message, showAvatarForReceived = true, viewer = currentUser) {
+    const messageDiv = document.createElement('div');
+    const isFromMe = message.senderId === viewer.id;
+    messageDiv.className = `message ${isFromMe ? 'sent' : 'received'}`;
+    messageDiv.dataset.messageId = message.id;
+    
+    // Highlight in-chat search matches
+    const searchClass = getSearchHighlightClass(message.id);
+    if (searchClass) {
+        messageDiv.classList.add(searchClass);
+    }
+    
+    // Keep selection across re-renders
+    if (messageSelection && messageSelection.has(message.id)) {
+        messageDiv.classList.add('selected');
+    }
+    
+    // Create message content wrapper
+    const messageContent = document.createElement('div');
+    messageContent.className = 'message-content';
+    
+    // Add reply information if this message is a reply
+    if (message.replyTo) {
+        const replyDiv = document.createElement('div');
+        replyDiv.className = 'message-reply';
+        
+        // Get the name of who we're replying to
+        let replySenderName;
+        if (message.replyTo.senderId === viewer.id) {
+            replySenderName = 'You';
+        } else {
+            const replySender = getMessageSender(message.replyTo.senderId);
+            replySenderName = replySender ? getMemberDisplayName(replySender, currentChat) : 'Unknown';
+        }
+        
+        const replySender = document.createElement('div');
+        replySender.className = 'reply-sender';
+        replySender.textContent = replySenderName;
+        
+        const replyText = document.createElement('div');
+        replyText.className = 'reply-text';
+        replyText.textContent = message.replyTo.text;
+        
+        replyDiv.appendChild(replySender);
+        replyDiv.appendChild(replyText);
+        messageContent.appendChild(replyDiv);
+    }
+    
+    // Add sender name for group messages (only for received messages)
+    if (currentChatType === 'group' && !isFromMe) {
+        const sender = getParticipant(message.senderId);
+        if (sender) {
+            const senderNameDiv = document.createElement('div');
+            senderNameDiv.style.fontSize = '12px';
+            senderNameDiv.style.color = '#65676b';
+            senderNameDiv.style.marginBottom = '4px';
+            senderNameDiv.textContent = getMemberDisplayName(sender, currentChat);
+            messageContent.appendChild(senderNameDiv);
+        }
+    }
+    
+    // Label copies forwarded from another message
+    if (message.forwarded) {
+        const forwardedDiv = document.createElement('div');
+        forwardedDiv.className = 'message-forwarded';
+        forwardedDiv.innerHTML = `
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M14 9V5l7 7-7 7v-4.1c-5 0-8.5 1.6-11 5.1 1-5 4-10 11-11z"/>
+            </svg>
+            Forwarded
+        `;
+        messageContent.appendChild(forwardedDiv);
+    }
+    
+    // If received message, add avatar or spacer on the left
+    if (!isFromMe) {
+        if (showAvatarForReceived) {
+            messageDiv.appendChild(createMessageAvatarElement(getMessageSender(message.senderId)));
+        } else {
+            const spacer = document.createElement('div');
+            spacer.className = 'message-avatar-spacer';
+            spacer.style.width = '28px';
+            spacer.style.height = '28px';
+            spacer.style.marginRight = '8px';
+            spacer.style.flexShrink = '0';
+            messageDiv.appendChild(spacer);
+        }
+    }
+
+    // Create message bubble
+    const messageBubble = document.createElement('div');
+    messageBubble.className = 'message-bubble';
+    // Long press enters selection mode, right click / double tap opens the context menu
+    let longPressTimer;
+    let longPressed = false;
+    let touchMoved = false;
+    
+    const startLongPress = () => {
+        longPressed = false;
+        clearTimeout(longPressTimer);
+        longPressTimer = setTimeout(() => {
+            if (!messageSelection) {
+                longPressed = true;
+                enterSelectionMode(message.id);
+            }
+        }, 500);
+    };
+    
+    // Double click/tap for context menu (easier access), or toggle while selecting
+    let clickCount = 0;
+    const handleBubbleTap = (event) => {
+        if (messageSelection) {
+            toggleMessageSelection(message.id);
+            return;
+        }
+        
+        clickCount++;
+        
+        if (clickCount === 1) {
+            setTimeout(() => {
+                if (clickCount === 2) {
+                    // Double click detected - show context menu
+                    showMessageContextMenu(event, message.id);
+                }
+                clickCount = 0;
+            }, 300);
+        }
+    };
+    
+    messageBubble.addEventListener('mousedown', (event) => {
+        startLongPress();
+        event.stopPropagation();
+    });
+    
+    messageBubble.addEventListener('mouseup', () => {
+        clearTimeout(longPressTimer);
+    });
+    
+    messageBubble.addEventListener('mouseleave', () => {
+        clearTimeout(longPressTimer);
+    });
+    
+    // Touch events for mobile
+    messageBubble.addEventListener('touchstart', (event) => {
+        touchMoved = false;
+        startLongPress();
+        event.stopPropagation();
+    });
+    
+    messageBubble.addEventListener('touchmove', () => {
+        touchMoved = true;
+        clearTimeout(longPressTimer);
+    });
+    
+    messageBubble.addEventListener('touchend', (event) => {
+        clearTimeout(longPressTimer);
+        event.preventDefault();
+        if (!longPressed && !touchMoved) {
+            handleBubbleTap(event);
+        }
+    });
+    
+    // Right click context menu
+    messageBubble.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        if (messageSelection || longPressed) return;
+        showMessageContextMenu(event, message.id);
+    });
+    
+    messageBubble.addEventListener('click', (event) => {
+        event.stopPropagation();
+        
+        // The click that ends a long press only enters selection mode
+        if (longPressed) {
+            longPressed = false;
+            return;
+        }
+        
+        handleBubbleTap(event);
+    });
+    
+    // Tapping beside the bubble also toggles while selecting
+    messageDiv.addEventListener('click', () => {
+        if (messageSelection) {
+            toggleMessageSelection(message.id);
+        }
+    });
+    
+    // Check if this is an image-only message
+    const isImageOnlyMessage = message.imageDataUrl && (!message.text || message.text === message.imageName || message.text === 'Photo');
+    
+    if (message.sticker) {
+        // Stickers and GIFs are shown large, without a bubble
+        messageBubble.className = 'message-bubble image-only-bubble';
+        messageDiv.classList.add('image-only-message', 'sticker-message');
+        
+        const stickerImage = document.createElement('img');
+        stickerImage.className = `message-sticker ${message.sticker.kind === 'gif' ? 'message-gif' : ''}`;
+        stickerImage.src = message.sticker.dataUrl || '';
+        stickerImage.alt = message.sticker.name || 'Sticker';
+        stickerImage.draggable = false;
+        
+        // Prevent context menu on the sticker from triggering bubble context menu
+        stickerImage.addEventListener('contextmenu', function(event) {
+            event.stopPropagation();
+        });
+        
+        messageBubble.appendChild(stickerImage);
+    } else if (isImageOnlyMessage) {
+        // For image-only messages, make bubble transparent and remove padding
+        messageBubble.style.background = 'transparent';
+        messageBubble.style.padding = '0';
+        messageBubble.style.boxShadow = 'none';
+        messageBubble.className = 'message-bubble image-only-bubble';
+        // Add class to main message div for spacing control
+        messageDiv.classList.add('image-only-message');
+        
+        // Display image
+        const messageImage = document.createElement('img');
+        messageImage.className = 'message-image-only';
+        messageImage.src = message.imageDataUrl;
+        messageImage.alt = message.imageName || 'Shared image';
+        messageImage.style.maxWidth = '250px';
+        messageImage.style.maxHeight = '200px';
+        messageImage.style.borderRadius = '12px';
+        messageImage.style.cursor = 'pointer';
+        messageImage.style.display = 'block';
+        
+        // Add click to view full size
+        messageImage.addEventListener('click', function(event) {
+            event.stopPropagation(); // Prevent bubble click handlers
+            showImagePreview(message.imageDataUrl);
+        });
+        
+        // Prevent context menu on image from triggering bubble context menu
+        messageImage.addEventListener('contextmenu', function(event) {
+            event.stopPropagation();
+        });
+        
+        messageBubble.appendChild(messageImage);
+    } else {
+        // Regular text message or image with text
+        if (message.imageDataUrl) {
+            // Display image
+            const messageImage = document.createElement('img');
+            messageImage.className = 'message-image';
+            messageImage.src = message.imageDataUrl;
+            messageImage.alt = message.imageName || 'Shared image';
+            messageImage.style.maxWidth = '250px';
+            messageImage.style.maxHeight = '200px';
+            messageImage.style.borderRadius = '12px';
+            messageImage.style.cursor = 'pointer';
+            messageImage.style.display = 'block';
+            
+            // Add click to view full size
+            messageImage.addEventListener('click', function(event) {
+                event.stopPropagation(); // Prevent bubble click handlers
+                showImagePreview(message.imageDataUrl);
+            });
+            
+            // Prevent context menu on image from triggering bubble context menu
+            messageImage.addEventListener('contextmenu', function(event) {
+                event.stopPropagation();
+            });
+            
+            messageBubble.appendChild(messageImage);
+        }
+        
+        // Attachment pill
+        if (message.attachment) {
+            const link = document.createElement('a');
+            link.className = 'attachment-pill';
+            link.href = message.attachment.dataUrl || '#';
+            link.download = message.attachment.name || 'file';
+            link.target = message.attachment.dataUrl ? '_blank' : '';
+            link.rel = 'noopener noreferrer';
+            link.innerHTML = `
+                <span class="attachment-icon">📎</span>
+                <span class="attachment-name">${message.attachment.name}</span>
+            `;
+            messageBubble.appendChild(link);
+        }
+
+        // Voice message bubble
+        if (message.voice) {
+            messageBubble.appendChild(createVoiceBubble(message));
+        }
+
+        // Message text (if present and not just the image name)
+        if (message.text && message.text !== message.imageName && message.text !== 'Photo') {
+            const messageText = document.createElement('div');
+            messageText.className = 'message-text';
+            messageText.textContent = message.text;
+            messageBubble.appendChild(messageText);
+        }
+    }
+    
+    // Add quick reaction button (Facebook Messenger style) - only for received messages
+    const messageWrapper = document.createElement('div');
+    messageWrapper.className = 'message-wrapper';
+    messageWrapper.appendChild(messageBubble);
+    
+    // Only add reaction button for received messages (not sent messages)
+    if (!isFromMe) {
+        const reactionButton = document.createElement('button');
+        reactionButton.className = 'quick-reaction-btn';
+        reactionButton.innerHTML = '😀';
+        reactionButton.title = 'Add reaction';
+        reactionButton.onclick = (event) => {
+            event.stopPropagation();
+            showQuickReactionPicker(event, message.id);
+        };
+        messageWrapper.appendChild(reactionButton);
+    }
+    
+    messageContent.appendChild(messageWrapper);
+    
+    // Add reactions
+    const reactionCounts = getReactionCounts(message);
+    if (Object.keys(reactionCounts).length > 0) {
+        // Add has-reactions class to prevent overlap
+        messageDiv.classList.add('has-reactions');
+        
+        const reactionsDiv = document.createElement('div');
+        reactionsDiv.className = 'message-reactions';
+        
+        // Facebook Messenger style: combine all reactions in single bubble
+        const combinedReaction = document.createElement('div');
+        combinedReaction.className = 'reaction';
+        
+        // Check if current user has reacted with any emoji
+        const userHasReacted = !!(message.reactions[viewer.id] && Object.keys(message.reactions[viewer.id]).length > 0);
+        
+        if (userHasReacted) {
+            combinedReaction.classList.add('user-reacted');
+        }
+        
+        // Calculate total count of all reactions
+        const totalCount = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
+        
+        // Add single-reaction class if total count is 1 (to hide count display)
+        if (totalCount === 1) {
+            combinedReaction.classList.add('single-reaction');
+            reactionsDiv.classList.add('single-reaction'); // For CSS positioning fallback
+        }
+        
+        // Add click handler to show who reacted with what
+        combinedReaction.addEventListener('click', (event) => {
+            event.stopPropagation();
+            showReactionSheet(message.id);
+        });
+        
+        // Create emoji container for all emojis
+        const emojiContainer = document.createElement('span');
+        emojiContainer.className = 'reaction-emojis';
+        
+        // Add all emoji types to the container
+        Object.keys(reactionCounts).forEach(emoji => {
+            const emojiSpan = document.createElement('span');
+            emojiSpan.className = 'reaction-emoji';
+            emojiSpan.textContent = emoji;
+            emojiContainer.appendChild(emojiSpan);
+        });
+        
+        // Create count span for total count
+        const countSpan = document.createElement('span');
+        countSpan.className = 'reaction-count';
+        countSpan.textContent = totalCount;
+        
+        combinedReaction.appendChild(emojiContainer);
+        combinedReaction.appendChild(countSpan);
+        reactionsDiv.appendChild(combinedReaction);
+        
+        messageWrapper.appendChild(reactionsDiv);
+    }
+    
+    // Add seen status indicators for sent messages
+    if (isFromMe && message.seenBy && message.seenBy.length > 0) {
+        const seenIndicators = document.createElement('div');
+        seenIndicators.className = 'seen-indicators';
+        
+        // Get users who have seen this message (excluding sender)
+        const seenUsers = message.seenBy.filter(userId => userId !== message.senderId);
+        
+        // Show up to 3 profile pictures
+        seenUsers.slice(0, 3).forEach(userId => {
+            const user = getMessageSender(userId);
+            
+            if (user) {
+                const seenAvatar = document.createElement('img');
+                seenAvatar.className = 'seen-avatar';
+                seenAvatar.src = user.avatarDataUrl || generateDefaultAvatar(user.name);
+                seenAvatar.alt = user.name;
+                seenAvatar.title = `Seen by ${user.name}`;
+                seenAvatar.onerror = function() { this.style.display = 'none'; };
+                seenIndicators.appendChild(seenAvatar);
+            }
+        });
+        
+        if (seenUsers.length > 0) {
+            messageWrapper.appendChild(seenIndicators);
+        }
+    }
+    
+    // Avatar/spacer for received messages is handled earlier to avoid duplicates
+    
+    // For sent messages, no avatar (like Facebook Messenger)
+    
+    messageDiv.appendChild(messageContent);
+    
+    return messageDiv;
+}
+
+// Who a message in the current chat is from; 1:1 chats fall back to the contact
+function getMessageSender(senderId) {
+    const sender = getParticipant(senderId);
+    if (sender || currentChatType === 'group') {
+        return sender;
+    }
+    return currentChat;
+}
+
+// A member's name as shown in a group: their group nickname if one is set
+function getMemberDisplayName(user, group) {
+    if (group && group.nicknames && group.nicknames[user.id]) {
+        return group.nicknames[user.id];
+    }
+    return user.name;
+}
+
+// Small round avatar (with online dot) shown to the left of received messages
+function createMessageAvatarElement(sender) {
+    const messageAvatarContainer = document.createElement('div');
+    messageAvatarContainer.className = 'message-avatar-container';
+    messageAvatarContainer.style.marginRight = '8px';
+    messageAvatarContainer.style.alignSelf = 'flex-end';
+    const messageAvatar = document.createElement('img');
+    messageAvatar.className = 'message-avatar';
+    messageAvatar.style.width = '28px';
+    messageAvatar.style.height = '28px';
+    messageAvatar.style.borderRadius = '50%';
+    messageAvatar.style.objectFit = 'cover';
+    if (sender) {
+        messageAvatar.src = sender.avatarDataUrl || generateDefaultAvatar(sender.name);
+        messageAvatar.alt = sender.name;
+        messageAvatar.onerror = function() { this.style.display = 'none'; };
+        messageAvatarContainer.appendChild(messageAvatar);
+        if (sender.isOnline) {
+            const indicator = document.createElement('div');
+            indicator.className = 'active-indicator';
+            messageAvatarContainer.appendChild(indicator);
+        }
+    }
+    return messageAvatarContainer;
+}
+
+// Messenger-style "..." bubble shown while someone is typing
+function createTypingIndicatorElement(sender) {
+    const typingDiv = document.createElement('div');
+    typingDiv.className = 'message received typing-indicator';
+    if (sender) {
+        typingDiv.dataset.typingUserId = sender.id;
+    }
+    typingDiv.appendChild(createMessageAvatarElement(sender));
+    
+    const messageContent = document.createElement('div');
+    messageContent.className = 'message-content';
+    const bubble = document.createElement('div');
+    bubble.className = 'message-bubble typing-bubble';
+    for (let i = 0; i < 3; i++) {
+        const dot = document.createElement('span');
+        dot.className = 'typing-dot';
+        bubble.appendChild(dot);
+    }
+    messageContent.appendChild(bubble);
+    typingDiv.appendChild(messageContent);
+    
+    return typingDiv;
+}
+
+// Typing Indicator Functions
+// Who is shown typing in which chat, keyed by `${chatId}:${userId}`
+const typingIndicators = new Map();
+
+// durationMs of 0 keeps the bubble until it is hidden or the person sends a message
+function showTypingIndicator(chat, userId, durationMs = 0) {
+    const key = `${chat.id}:${userId}`;
+    const existing = typingIndicators.get(key);
+    if (existing) clearTimeout(existing.timer);
+    
+    const entry = { chatId: chat.id, userId: userId, timer: null };
+    if (durationMs > 0) {
+        entry.timer = setTimeout(() => hideTypingIndicator(chat, userId), durationMs);
+    }
+    typingIndicators.set(key, entry);
+    
+    if (chat === currentChat) {
+        renderTypingIndicators();
+        const messagesContainer = document.getElementById('messagesContainer');
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+}
+
+function hideTypingIndicator(chat, userId) {
+    const key = `${chat.id}:${userId}`;
+    const entry = typingIndicators.get(key);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    typingIndicators.delete(key);
+    
+    if (chat === currentChat) {
+        renderTypingIndicators();
+    }
+}
+
+function isShowingTypingIndicator(chat, userId) {
+    return typingIndicators.has(`${chat.id}:${userId}`);
+}
+
+// Typing bubbles sit below the newest message, so they only show when it is rendered
+function renderTypingIndicators() {
+    const messagesList = document.getElementById('messagesList');
+    messagesList.querySelectorAll(':scope > .typing-indicator').forEach(node => node.remove());
+    
+    if (!currentChat || renderedChatId !== currentChat.id) return;
+    if (renderedRange.end < (currentChat.messages || []).length) return;
+    
+    typingIndicators.forEach(entry => {
+        if (entry.chatId === currentChat.id) {
+            messagesList.appendChild(createTypingIndicatorElement(getMessageSender(entry.userId)));
+        }
+    });
+}
+
+// Reply from a contact or bot after delayMs, typing for the last part of the wait
+// fields are extra message properties, e.g. a bot's matchInfo; onSent gets the new message
+function sendTypedReply(chat, senderId, text, delayMs, fields = null, onSent = null) {
+    setTimeout(() => showTypingIndicator(chat, senderId), Math.min(800, delayMs / 3));
+    setTimeout(() => {
+        hideTypingIndicator(chat, senderId);
+        const message = addChatMessage(chat, senderId, text, fields);
+        if (onSent) onSent(message);
+    }, delayMs);
+}
+
+// Like addMessage() but for any chat, which may no longer be the open one
+function addChatMessage(chat, senderId, text, fields = null) {
+    const message = createMessageObject(senderId, text);
+    if (fields) Object.assign(message, fields);
+    message.seenBy.push(senderId);
+    if (!chat.messages) chat.messages = [];
+    chat.messages.push(message);
+    
+    // Save to IndexedDB
+    queueMessageSave(message, chat);
+    queueSettingsSave(); // messageIdCounter changed
+    
+    if (chat === currentChat) {
+        appendRenderedMessage(message);
+    }
+    return message;
+}
+
+// Message Input Handling
+function handleTyping() {
+    const messageInput = document.getElementById('messageInput');
+    const sendBtn = document.getElementById('sendBtn');
+    const likeBtn = document.getElementById('likeBtn');
+    const leftActions = document.querySelector('.input-actions-left');
+    const toggleBtn = document.getElementById('toggleActionsBtn');
+    const inputWrapper = document.querySelector('.message-input-wrapper');
+    
+    const hasText = messageInput.value.trim().length > 0;
+    
+    // If arrow was clicked with text and user types one character, hide actions
+    if (arrowClickedWithText && hasText) {
+        arrowClickedWithText = false; // Reset the flag
+        leftActions.classList.add('hidden');
+        toggleBtn.style.display = 'flex';
+        inputWrapper.classList.add('expanded');
+    }
+    
+    if (hasText && !isTyping) {
+        isTyping = true;
+        sendBtn.style.display = 'flex';
+        likeBtn.style.display = 'none';
+        
+        // Hide left actions and show toggle button (only if not already handled above)
+        if (!leftActions.classList.contains('hidden')) {
+            leftActions.classList.add('hidden');
+            toggleBtn.style.display = 'flex';
+            inputWrapper.classList.add('expanded');
+        }
+        
+    } else if (!hasText && isTyping) {
+        isTyping = false;
+        sendBtn.style.display = 'none';
+        likeBtn.style.display = 'flex';
+        arrowClickedWithText = false; // Reset flag when no text
+        
+        // Show left actions and hide toggle button
+        leftActions.classList.remove('hidden');
+        toggleBtn.style.display = 'none';
+        inputWrapper.classList.remove('expanded');
+    }
+}
+
+// Toggle actions visibility
+function toggleActions() {
+    const messageInput = document.getElementById('messageInput');
+    const leftActions = document.querySelector('.input-actions-left');
+    const toggleBtn = document.getElementById('toggleActionsBtn');
+    const inputWrapper = document.querySelector('.message-input-wrapper');
+    
+    const hasText = messageInput.value.trim().length > 0;
+    
+    if (leftActions.classList.contains('hidden')) {
+        // Show actions (arrow was clicked while there's text)
+        if (hasText) {
+            arrowClickedWithText = true;
+        }
+        leftActions.classList.remove('hidden');
+        toggleBtn.style.display = 'none';
+        inputWrapper.classList.remove('expanded');
+    } else {
+        // Hide actions
+        leftActions.classList.add('hidden');
+        toggleBtn.style.display = 'flex';
+        inputWrapper.classList.add('expanded');
+    }
+}
+
+function handleSendMessage() {
+    const messageInput = document.getElementById('messageInput');
+    const text = messageInput.value.trim();
+    
+    if (!text || !currentChat) return;
+    
+    // Clear input first
+    messageInput.value = '';
+    handleTyping(); // Reset send button state
+    autoResizeTextarea(messageInput); // Reset textarea height immediately
+    
+    // Update user's last active time
+    currentUser.lastActive = new Date();
+    
+    // For bots, send message directly without action options
+    if (currentChatType === 'user' && isBot(currentChat) && isPersonaId(currentUser.id)) {
+        const message = addMessage(currentUser.id, text);
+        appendRenderedMessage(message);
+        cancelReply(); // Clear reply state
+        
+        // Let the bot answer
+        handleBotInteractions(currentChat, currentChatType, message);
+        return;
+    }
+    
+    // Show action options for send/receive (includes reply info)
+    showActionOptions(text, true);
+}
+
+// fromInput: messageText was taken out of #messageInput and goes back there if not sent
+function showActionOptions(messageText, fromInput = false) {
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    
+    if (currentChatType === 'user') {
+        // Individual chat options
+        const counterpart = getOtherParticipants()[0];
+        const sendOption = document.createElement('div');
+        sendOption.className = 'action-option send-option';
+        sendOption.textContent = `Send as ${currentUser.name}`;
+        sendOption.addEventListener('click', () => {
+            const message = addMessage(currentUser.id, messageText);
+            appendRenderedMessage(message);
+            cancelReply(); // Clear reply state
+            hideActionOptions();
+            
+            // Let the bot answer if chatting with one
+            if (isPersonaId(currentUser.id)) {
+                handleBotInteractions(currentChat, currentChatType, message);
+            }
+        });
+        
+        const receiveOption = document.createElement('div');
+        receiveOption.className = 'action-option receive-option';
+        receiveOption.textContent = `Receive from ${counterpart.name}`;
+        receiveOption.addEventListener('click', () => {
+            const message = addMessage(counterpart.id, messageText);
+            appendRenderedMessage(message);
+            cancelReply(); // Clear reply state
+            hideActionOptions();
+        });
+        
+        list.appendChild(sendOption);
+        list.appendChild(receiveOption);
+        appendTypingOptions(list, [counterpart.id], fromInput ? messageText : '');
+    } else {
+        // Group chat options
+        const myOption = document.createElement('div');
+        myOption.className = 'action-option send-option';
+        myOption.textContent = `Send as ${currentUser.name}`;
+        myOption.addEventListener('click', () => {
+            const message = addMessage(currentUser.id, messageText);
+            appendRenderedMessage(message);
+            cancelReply(); // Clear reply state
+            hideActionOptions();
+            
+            // Let the group's bots answer
+            if (isPersonaId(currentUser.id)) {
+                handleBotInteractions(currentChat, currentChatType, message);
+            }
+        });
+        list.appendChild(myOption);
+        
+        // Add group members
+        getOtherParticipants().forEach(user => {
+            const option = document.createElement('div');
+            option.className = 'action-option receive-option';
+            option.textContent = `Send as ${user.name}`;
+            option.addEventListener('click', () => {
+                const message = addMessage(user.id, messageText);
+                appendRenderedMessage(message);
+                cancelReply(); // Clear reply state
+                hideActionOptions();
+            });
+            list.appendChild(option);
+        });
+        appendTypingOptions(list, getOtherParticipants().map(p => p.id), fromInput ? messageText : '');
+    }
+    
+    modal.style.display = 'block';
+}
+
+// Stage "is typing…" moments: the bubble stays until toggled off or that person sends something
+function appendTypingOptions(list, userIds, restoreText) {
+    userIds.forEach(userId => {
+        const user = getMessageSender(userId);
+        if (!user) return;
+        const isTyping = isShowingTypingIndicator(currentChat, userId);
+        
+        const option = document.createElement('div');
+        option.className = 'action-option typing-option';
+        option.textContent = isTyping ? `Stop ${user.name} typing` : `Show ${user.name} typing…`;
+        option.addEventListener('click', () => {
+            if (isTyping) {
+                hideTypingIndicator(currentChat, userId);
+            } else {
+                showTypingIndicator(currentChat, userId);
+            }
+            hideActionOptions();
+            
+            // Nothing was sent, so give the text back
+            if (restoreText) {
+                const messageInput = document.getElementById('messageInput');
+                messageInput.value = restoreText;
+                handleTyping();
+                autoResizeTextarea(messageInput);
+            }
+        });
+        list.appendChild(option);
+    });
+}
+
+function hideActionOptions() {
+    const modal = document.getElementById('actionOptionsModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+    setActionOptionsTitle('Send message as:');
+}
+
+function setActionOptionsTitle(title) {
+    const titleElement = document.getElementById('actionOptionsTitle');
+    if (titleElement) {
+        titleElement.textContent = title;
+    }
+}
+
+function showActionOptionsForImage(imageDataUrl, imageName) {
+    // Safety check
+    if (!currentChat) return;
+    
+    // For bots, send image directly without action options
+    if (currentChatType === 'user' && isBot(currentChat) && isPersonaId(currentUser.id)) {
+        const message = addMessage(currentUser.id, imageName || 'Photo', imageDataUrl, imageName);
+        appendRenderedMessage(message);
+        cancelReply(); // Clear reply state
+        
+        // Let the bot answer the image
+        handleBotInteractions(currentChat, currentChatType, message);
+        return;
+    }
+    
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    
+    if (currentChatType === 'user') {
+        // Individual chat options for image
+        const counterpart = getOtherParticipants()[0];
+        const sendOption = document.createElement('div');
+        sendOption.className = 'action-option send-option';
+        sendOption.textContent = `Send photo as ${currentUser.name}`;
+        sendOption.addEventListener('click', () => {
+            const message = addMessage(currentUser.id, imageName || 'Photo', imageDataUrl, imageName);
+            appendRenderedMessage(message);
+            cancelReply(); // Clear reply state
+            hideActionOptions();
+            
+            // Let the bot answer the image if chatting with one
+            if (isPersonaId(currentUser.id)) {
+                handleBotInteractions(currentChat, currentChatType, message);
+            }
+        });
+        
+        const receiveOption = document.createElement('div');
+        receiveOption.className = 'action-option receive-option';
+        receiveOption.textContent = `Receive photo from ${counterpart.name}`;
+        receiveOption.addEventListener('click', () => {
+            const message = addMessage(counterpart.id, imageName || 'Photo', imageDataUrl, imageName);
+            appendRenderedMessage(message);
+            cancelReply(); // Clear reply state
+            hideActionOptions();
+        });
+        
+        list.appendChild(sendOption);
+        list.appendChild(receiveOption);
+    } else {
+        // Group chat options for image
+        const myOption = document.createElement('div');
+        myOption.className = 'action-option send-option';
+        myOption.textContent = `Send photo as ${currentUser.name}`;
+        myOption.addEventListener('click', () => {
+            const message = addMessage(currentUser.id, imageName || 'Photo', imageDataUrl, imageName);
+            appendRenderedMessage(message);
+            cancelReply(); // Clear reply state
+            hideActionOptions();
+            
+            // Let the group's bots answer the image
+            if (isPersonaId(currentUser.id)) {
+                handleBotInteractions(currentChat, currentChatType, message);
+            }
+        });
+        list.appendChild(myOption);
+        
+        // Add group members
+        getOtherParticipants().forEach(user => {
+            const option = document.createElement('div');
+            option.className = 'action-option receive-option';
+            option.textContent = `Send photo as ${user.name}`;
+            option.addEventListener('click', () => {
+                const message = addMessage(user.id, imageName || 'Photo', imageDataUrl, imageName);
+                appendRenderedMessage(message);
+                cancelReply(); // Clear reply state
+                hideActionOptions();
+            });
+            list.appendChild(option);
+        });
+    }
+    
+    modal.style.display = 'block';
+}
+
+// Action options for non-image file attachments
+function showActionOptionsForAttachment(fileMeta) {
+    if (!currentChat) return;
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    const label = fileMeta && fileMeta.name ? `(${fileMeta.name})` : '';
+    
+    if (currentChatType === 'user') {
+        const counterpart = getOtherParticipants()[0];
+        const sendOption = document.createElement('div');
+        sendOption.className = 'action-option send-option';
+        sendOption.textContent = `Send file ${label} as ${currentUser.name}`;
+        sendOption.addEventListener('click', () => {
+            const message = addAttachmentMessage(currentUser.id, fileMeta);
+            appendRenderedMessage(message);
+            cancelReply();
+            hideActionOptions();
+            if (isPersonaId(currentUser.id)) handleBotInteractions(currentChat, currentChatType, message);
+        });
+        const receiveOption = document.createElement('div');
+        receiveOption.className = 'action-option receive-option';
+        receiveOption.textContent = `Receive file ${label} from ${counterpart.name}`;
+        receiveOption.addEventListener('click', () => {
+            const message = addAttachmentMessage(counterpart.id, fileMeta);
+            appendRenderedMessage(message);
+            cancelReply();
+            hideActionOptions();
+        });
+        list.appendChild(sendOption);
+        list.appendChild(receiveOption);
+    } else {
+        const myOption = document.createElement('div');
+        myOption.className = 'action-option send-option';
+        myOption.textContent = `Send file ${label} as ${currentUser.name}`;
+        myOption.addEventListener('click', () => {
+            const message = addAttachmentMessage(currentUser.id, fileMeta);
+            appendRenderedMessage(message);
+            cancelReply();
+            hideActionOptions();
+            if (isPersonaId(currentUser.id)) handleBotInteractions(currentChat, currentChatType, message);
+        });
+        list.appendChild(myOption);
+        getOtherParticipants().forEach(user => {
+            const option = document.createElement('div');
+            option.className = 'action-option receive-option';
+            option.textContent = `Send file ${label} as ${user.name}`;
+            option.addEventListener('click', () => {
+                const message = addAttachmentMessage(user.id, fileMeta);
+                appendRenderedMessage(message);
+                cancelReply();
+                hideActionOptions();
+            });
+            list.appendChild(option);
+        });
+    }
+    modal.style.display = 'block';
+}
+
+function addAttachmentMessage(senderId, fileMeta) {
+    const message = {
+        id: 'msg_' + messageIdCounter++,
+        senderId: senderId,
+        text: fileMeta.name || 'Attachment',
+        timestamp: new Date().toISOString(),
+        reactions: {},
+        edited: false,
+        seenBy: [],
+        attachment: {
+            name: fileMeta.name || 'file',
+            size: fileMeta.size || 0,
+            dataUrl: fileMeta.dataUrl || null
+        }
+    };
+    if (replyingToMessage) {
+        message.replyTo = {
+            messageId: replyingToMessage.id,
+            senderId: replyingToMessage.senderId,
+            text: replyingToMessage.text
+        };
+    }
+    if (!currentChat.messages) currentChat.messages = [];
+    currentChat.messages.push(message);
+    markMessageAsSeen(message.id, senderId);
+    queueMessageSave(message, currentChat);
+    queueSettingsSave(); // messageIdCounter changed
+    return message;
+}
+
+// Voice Message Functions
+// A voice message keeps its audio in the media store like photos and files:
+// message.voice = { duration (seconds), waveform: [0-1 per bar], dataUrl }.
+// The waveform is measured once from the audio, so the bubble looks the same on every render.
+const VOICE_WAVEFORM_BARS = 32;
+const VOICE_PLAYBACK_RATES = [1, 1.5, 2];
+const VOICE_MAX_SECONDS = 300; // Recording stops by itself after five minutes
+let voiceRecording = null; // { recorder, stream, startedAt, timer, cancelled } while the microphone is on
+let voicePlayback = null; // { messageId, audio, duration } for the voice message being played
+let voicePlaybackRate = VOICE_PLAYBACK_RATES.includes(parseFloat(localStorage.getItem('voicePlaybackRate')))
+    ? parseFloat(localStorage.getItem('voicePlaybackRate'))
+    : 1;
+
+function showVoiceSourceOptions() {
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    setActionOptionsTitle('Voice message:');
+    
+    const recordOption = document.createElement('div');
+    recordOption.className = 'action-option send-option';
+    recordOption.textContent = '🎙️ Record with microphone';
+    recordOption.addEventListener('click', () => {
+        hideActionOptions();
+        startVoiceRecording();
+    });
+    
+    const importOption = document.createElement('div');
+    importOption.className = 'action-option receive-option';
+    importOption.textContent = 'Import audio file…';
+    importOption.addEventListener('click', () => {
+        hideActionOptions();
+        hiddenAudioInput.click();
+    });
+    
+    list.appendChild(recordOption);
+    list.appendChild(importOption);
+    modal.style.display = 'block';
+}
+
+async function startVoiceRecording() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || typeof MediaRecorder === 'undefined') {
+        alert('This browser cannot record audio. You can import an audio file instead.');
+        return;
+    }
+    
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+        console.error('Error opening the microphone:', error);
+        alert('Could not use the microphone. Check that this page is allowed to record audio.');
+        return;
+    }
+    
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = event => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+        const cancelled = voiceRecording.cancelled;
+        stream.getTracks().forEach(track => track.stop());
+        clearInterval(voiceRecording.timer);
+        voiceRecording = null;
+        document.getElementById('voiceRecorder').style.display = 'none';
+        
+        if (cancelled || chunks.length === 0) return;
+        prepareVoiceClip(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+    };
+    
+    voiceRecording = { recorder: recorder, stream: stream, startedAt: Date.now(), timer: null, cancelled: false };
+    recorder.start();
+    
+    const time = document.getElementById('voiceRecorderTime');
+    time.textContent = formatVoiceTime(0);
+    voiceRecording.timer = setInterval(() => {
+        const seconds = (Date.now() - voiceRecording.startedAt) / 1000;
+        time.textContent = formatVoiceTime(seconds);
+        if (seconds >= VOICE_MAX_SECONDS) stopVoiceRecording();
+    }, 250);
+    document.getElementById('voiceRecorder').style.display = 'flex';
+}
+
+function stopVoiceRecording(cancel = false) {
+    if (!voiceRecording || voiceRecording.recorder.state === 'inactive') return;
+    voiceRecording.cancelled = cancel;
+    voiceRecording.recorder.stop();
+}
+
+// Measure a recording or an imported file, then ask who sends it
+async function prepareVoiceClip(blob) {
+    let clip;
+    try {
+        clip = await analyzeVoiceBlob(blob);
+    } catch (error) {
+        console.error('Error reading audio:', error);
+        alert('Could not read this audio. Try an MP3, M4A, OGG or WAV file.');
+        return;
+    }
+    if (!currentChat) return;
+    showVoiceSendOptions(clip);
+}
+
+// Decoding gives the real duration (recorded WebM files do not carry one) and the samples for the waveform
+async function analyzeVoiceBlob(blob) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    try {
+        const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+        return {
+            duration: Math.round(buffer.duration * 10) / 10,
+            waveform: computeVoiceWaveform(buffer.getChannelData(0)),
+            dataUrl: URL.createObjectURL(blob)
+        };
+    } finally {
+        context.close();
+    }
+}
+
+// The loudest sample of each slice, relative to the loudest slice
+function computeVoiceWaveform(samples) {
+    const size = Math.max(1, Math.ceil(samples.length / VOICE_WAVEFORM_BARS));
+    const peaks = [];
+    for (let bar = 0; bar < VOICE_WAVEFORM_BARS; bar++) {
+        let peak = 0;
+        const end = Math.min(samples.length, (bar + 1) * size);
+        for (let i = bar * size; i < end; i++) {
+            const value = Math.abs(samples[i]);
+            if (value > peak) peak = value;
+        }
+        peaks.push(peak);
+    }
+    const loudest = Math.max(...peaks);
+    return peaks.map(peak => loudest > 0 ? Math.round(peak / loudest * 100) / 100 : 0);
+}
+
+function showVoiceSendOptions(clip) {
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    const label = `(${formatVoiceTime(clip.duration)})`;
+    const makeVoice = (senderId) => {
+        const message = addVoiceMessage(senderId, clip);
+        appendRenderedMessage(message);
+        cancelReply();
+        hideActionOptions();
+        if (isPersonaId(senderId)) handleBotInteractions(currentChat, currentChatType, message);
+    };
+    if (currentChatType === 'user') {
+        const counterpart = getOtherParticipants()[0];
+        const sendOption = document.createElement('div');
+        sendOption.className = 'action-option send-option';
+        sendOption.textContent = `Send voice ${label} as ${currentUser.name}`;
+        sendOption.addEventListener('click', () => makeVoice(currentUser.id));
+        const receiveOption = document.createElement('div');
+        receiveOption.className = 'action-option receive-option';
+        receiveOption.textContent = `Receive voice ${label} from ${counterpart.name}`;
+        receiveOption.addEventListener('click', () => makeVoice(counterpart.id));
+        list.appendChild(sendOption);
+        list.appendChild(receiveOption);
+    } else {
+        const myOption = document.createElement('div');
+        myOption.className = 'action-option send-option';
+        myOption.textContent = `Send voice ${label} as ${currentUser.name}`;
+        myOption.addEventListener('click', () => makeVoice(currentUser.id));
+        list.appendChild(myOption);
+        getOtherParticipants().forEach(user => {
+            const option = document.createElement('div');
+            option.className = 'action-option receive-option';
+            option.textContent = `Send voice ${label} as ${user.name}`;
+            option.addEventListener('click', () => makeVoice(user.id));
+            list.appendChild(option);
+        });
+    }
+    modal.style.display = 'block';
+}
+
+function addVoiceMessage(senderId, clip) {
+    const message = {
+        id: 'msg_' + messageIdCounter++,
+        senderId: senderId,
+        text: '',
+        timestamp: new Date().toISOString(),
+        reactions: {},
+        edited: false,
+        seenBy: [],
+        voice: {
+            duration: clip.duration,
+            waveform: clip.waveform,
+            dataUrl: clip.dataUrl
+        }
+    };
+    if (replyingToMessage) {
+        message.replyTo = {
+            messageId: replyingToMessage.id,
+            senderId: replyingToMessage.senderId,
+            text: replyingToMessage.text
+        };
+    }
+    if (!currentChat.messages) currentChat.messages = [];
+    currentChat.messages.push(message);
+    markMessageAsSeen(message.id, senderId);
+    queueMessageSave(message, currentChat);
+    queueSettingsSave(); // messageIdCounter changed
+    return message;
+}
+
+function formatVoiceTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Older voice messages were simulated and have no audio; their bars come from the message id so they stay put
+function getVoiceWaveform(message) {
+    if (Array.isArray(message.voice.waveform)) return message.voice.waveform;
+    let seed = 0;
+    for (const character of message.id) seed = (seed * 31 + character.charCodeAt(0)) % 2147483647;
+    const waveform = [];
+    for (let bar = 0; bar < VOICE_WAVEFORM_BARS; bar++) {
+        seed = (seed * 48271) % 2147483647;
+        waveform.push(0.2 + (seed % 80) / 100);
+    }
+    return waveform;
+}
+
+function createVoiceBubble(message) {
+    const bubble = document.createElement('div');
+    bubble.className = 'voice-bubble';
+    const playable = !!message.voice.dataUrl;
+    
+    const play = document.createElement('button');
+    play.className = 'input-action-btn voice-play-btn';
+    play.title = playable ? 'Play' : 'No audio was recorded for this message';
+    play.textContent = '▶️';
+    play.disabled = !playable;
+    play.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleVoicePlayback(message);
+    });
+    bubble.appendChild(play);
+    
+    const wave = document.createElement('div');
+    wave.className = 'voice-wave';
+    getVoiceWaveform(message).forEach(level => {
+        const bar = document.createElement('span');
+        bar.className = 'voice-bar';
+        bar.style.height = (4 + Math.round(level * 18)) + 'px';
+        wave.appendChild(bar);
+    });
+    // Clicking the waveform jumps to that point
+    wave.addEventListener('click', (e) => {
+        if (!playable) return;
+        e.stopPropagation();
+        const rect = wave.getBoundingClientRect();
+        seekVoicePlayback(message, rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0);
+    });
+    bubble.appendChild(wave);
+    
+    const time = document.createElement('span');
+    time.className = 'voice-duration';
+    time.textContent = formatVoiceTime(message.voice.duration);
+    bubble.appendChild(time);
+    
+    if (playable) {
+        const speed = document.createElement('button');
+        speed.className = 'voice-speed-btn';
+        speed.title = 'Playback speed';
+        speed.textContent = `${voicePlaybackRate}x`;
+        speed.addEventListener('click', (e) => {
+            e.stopPropagation();
+            cycleVoicePlaybackRate();
+        });
+        bubble.appendChild(speed);
+    }
+    
+    // A re-rendered message keeps showing where its playback is
+    if (voicePlayback && voicePlayback.messageId === message.id) {
+        updateVoiceBubble(bubble, message);
+    }
+    return bubble;
+}
+
+function toggleVoicePlayback(message) {
+    if (voicePlayback && voicePlayback.messageId === message.id) {
+        if (voicePlayback.audio.paused) {
+            playVoiceAudio();
+        } else {
+            voicePlayback.audio.pause();
+        }
+        return;
+    }
+    
+    stopVoicePlayback();
+    const audio = new Audio(message.voice.dataUrl);
+    audio.playbackRate = voicePlaybackRate;
+    voicePlayback = { messageId: message.id, audio: audio, duration: message.voice.duration };
+    audio.addEventListener('timeupdate', () => refreshVoiceBubble(message.id));
+    audio.addEventListener('play', () => refreshVoiceBubble(message.id));
+    audio.addEventListener('pause', () => refreshVoiceBubble(message.id));
+    audio.addEventListener('ended', () => stopVoicePlayback());
+    audio.addEventListener('error', () => {
+        console.error('Error playing voice message:', audio.error);
+        stopVoicePlayback();
+    });
+    playVoiceAudio();
+}
+
+function playVoiceAudio() {
+    voicePlayback.audio.play().catch(error => console.error('Error playing voice message:', error));
+}
+
+function seekVoicePlayback(message, fraction) {
+    if (!voicePlayback || voicePlayback.messageId !== message.id) toggleVoicePlayback(message);
+    voicePlayback.audio.currentTime = Math.min(Math.max(fraction, 0), 1) * message.voice.duration;
+    refreshVoiceBubble(message.id);
+}
+
+function stopVoicePlayback() {
+    if (!voicePlayback) return;
+    const messageId = voicePlayback.messageId;
+    voicePlayback.audio.pause();
+    voicePlayback = null;
+    refreshVoiceBubble(messageId);
+}
+
+function cycleVoicePlaybackRate() {
+    const index = VOICE_PLAYBACK_RATES.indexOf(voicePlaybackRate);
+    voicePlaybackRate = VOICE_PLAYBACK_RATES[(index + 1) % VOICE_PLAYBACK_RATES.length];
+    localStorage.setItem('voicePlaybackRate', String(voicePlaybackRate));
+    if (voicePlayback) voicePlayback.audio.playbackRate = voicePlaybackRate;
+    document.querySelectorAll('.voice-speed-btn').forEach(button => {
+        button.textContent = `${voicePlaybackRate}x`;
+    });
+}
+
+function refreshVoiceBubble(messageId) {
+    const bubble = document.querySelector(`.message[data-message-id="${messageId}"] .voice-bubble`);
+    const message = bubble && currentChat ? findMessage(messageId) : null;
+    if (message) updateVoiceBubble(bubble, message);
+}
+
+// Play/pause icon, played bars and the elapsed time (the full length when stopped)
+function updateVoiceBubble(bubble, message) {
+    const active = voicePlayback && voicePlayback.messageId === message.id ? voicePlayback : null;
+    const playing = !!active && !active.audio.paused;
+    const elapsed = active ? active.audio.currentTime : 0;
+    const progress = active && active.duration > 0 ? elapsed / active.duration : 0;
+    
+    const play = bubble.querySelector('.voice-play-btn');
+    play.textContent = playing ? '⏸️' : '▶️';
+    if (message.voice.dataUrl) play.title = playing ? 'Pause' : 'Play';
+    bubble.querySelectorAll('.voice-bar').forEach((bar, index, bars) => {
+        bar.classList.toggle('played', !!active && index < Math.round(progress * bars.length));
+    });
+    bubble.querySelector('.voice-duration').textContent = formatVoiceTime(active ? elapsed : message.voice.duration);
+}
+
+// Sticker Library Functions
+// GIFs and stickers you import live on this device in packs: stickerPacks holds
+// { id, name, createdAt } and stickers holds { id, packId, name, tags, type, blob, addedAt }.
+// A sent sticker carries its own copy of the image (message.sticker), so removing it
+// from the library leaves old messages alone.
+const STICKER_TYPES = { gif: 'image/gif', webp: 'image/webp', png: 'image/png' };
+const STICKER_PACK_FORMAT = 'sticker-pack';
+const STICKER_PACK_MANIFEST = 'pack.json';
+
+// Promise of { packs: Map id -> pack, stickers: Map id -> sticker }
+let stickerLibrary = null;
+const stickerUrls = new Map(); // sticker id -> object URL for the picker
+let stickerPanelPackId = null; // Pack tab shown, null for every pack
+let stickerManaging = false; // Clicking a sticker edits its tags instead of sending it
+let stickerModalEscapeHandler = null;
+
+function loadStickerLibrary() {
+    if (!stickerLibrary) stickerLibrary = readStickerLibrary();
+    return stickerLibrary;
+}
+
+async function readStickerLibrary() {
+    let packs = [];
+    let stickers = [];
+    try {
+        [packs, stickers] = await Promise.all([loadFromIndexedDB('stickerPacks'), loadFromIndexedDB('stickers')]);
+    } catch (error) {
+        console.error('Error loading stickers:', error);
+    }
+    return {
+        packs: new Map(packs.map(pack => [pack.id, pack])),
+        stickers: new Map(stickers.map(sticker => [sticker.id, sticker]))
+    };
+}
+
+function getStickerUrl(sticker) {
+    if (!stickerUrls.has(sticker.id)) stickerUrls.set(sticker.id, URL.createObjectURL(sticker.blob));
+    return stickerUrls.get(sticker.id);
+}
+
+function getStickerKind(sticker) {
+    return sticker.type === STICKER_TYPES.gif ? 'gif' : 'sticker';
+}
+
+// The type a file's extension stands for, or null if it is not a GIF, WebP or PNG
+function getStickerType(fileName) {
+    const ext = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    return STICKER_TYPES[ext] || null;
+}
+
+// "happy-cat_dance 2.gif" -> ['happy', 'cat', 'dance']
+function tagsFromFileName(fileName) {
+    const base = fileName.split('/').pop().replace(/\.[^.]+$/, '');
+    return [...new Set(base.toLowerCase().split(/[^\p{L}\p{N}]+/u))]
+        .filter(tag => tag.length > 1 && !/^\d+$/.test(tag));
+}
+
+function createStickerRecord(packId, name, blob, tags) {
+    return {
+        id: 'stk_' + generateId(),
+        packId: packId,
+        name: name,
+        tags: tags,
+        type: blob.type || getStickerType(name),
+        blob: blob,
+        addedAt: new Date().toISOString()
+    };
+}
+
+async function createStickerPack(name) {
+    const library = await loadStickerLibrary();
+    const pack = { id: 'pack_' + generateId(), name: name, createdAt: new Date().toISOString() };
+    library.packs.set(pack.id, pack);
+    await writeStoreRecords('stickerPacks', [{ put: pack }]);
+    return pack;
+}
+
+async function saveStickers(stickers) {
+    const library = await loadStickerLibrary();
+    stickers.forEach(sticker => library.stickers.set(sticker.id, sticker));
+    await writeStoreRecords('stickers', stickers.map(sticker => ({ put: sticker })));
+}
+
+async function showStickerPanel() {
+    const modal = document.getElementById('stickerModal');
+    if (!modal) return;
+    
+    stickerManaging = false;
+    document.getElementById('stickerSearch').value = '';
+    await renderStickerPanel();
+    modal.style.display = 'block';
+    
+    // Close modal when clicking on background
+    modal.onclick = function(event) {
+        if (event.target === modal) {
+            hideStickerPanel();
+        }
+    };
+    
+    stickerModalEscapeHandler = function(event) {
+        if (event.key === 'Escape') {
+            hideStickerPanel();
+        }
+    };
+    document.addEventListener('keydown', stickerModalEscapeHandler);
+}
+
+function hideStickerPanel() {
+    const modal = document.getElementById('stickerModal');
+    if (modal) modal.style.display = 'none';
+    if (stickerModalEscapeHandler) {
+        document.removeEventListener('keydown', stickerModalEscapeHandler);
+        stickerModalEscapeHandler = null;
+    }
+}
+
+async function renderStickerPanel() {
+    const library = await loadStickerLibrary();
+    if (stickerPanelPackId && !library.packs.has(stickerPanelPackId)) stickerPanelPackId = null;
+    
+    const tabs = document.getElementById('stickerPackTabs');
+    tabs.innerHTML = '';
+    const addTab = (packId, label) => {
+        const tab = document.createElement('button');
+        tab.className = 'sticker-pack-tab';
+        if (packId === stickerPanelPackId) tab.classList.add('active');
+        tab.textContent = label;
+        tab.addEventListener('click', () => {
+            stickerPanelPackId = packId;
+            renderStickerPanel();
+        });
+        tabs.appendChild(tab);
+    };
+    addTab(null, 'All');
+    Array.from(library.packs.values())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .forEach(pack => addTab(pack.id, pack.name));
+    
+    // Pack actions apply to the pack tab shown
+    document.getElementById('stickerExportBtn').style.display = stickerPanelPackId ? '' : 'none';
+    document.getElementById('stickerManageBtn').textContent = stickerManaging ? 'Done managing' : 'Manage';
+    document.getElementById('stickerPackActions').style.display = stickerManaging && stickerPanelPackId ? '' : 'none';
+    renderStickerGrid();
+}
+
+async function renderStickerGrid() {
+    const library = await loadStickerLibrary();
+    const grid = document.getElementById('stickerGrid');
+    const empty = document.getElementById('stickerEmpty');
+    const query = normalizeText(document.getElementById('stickerSearch').value);
+    
+    const stickers = Array.from(library.stickers.values())
+        .filter(sticker => !stickerPanelPackId || sticker.packId === stickerPanelPackId)
+        .filter(sticker => !query || textMatchesQuery(sticker.name, query) || sticker.tags.some(tag => textMatchesQuery(tag, query)))
+        .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+    
+    grid.innerHTML = '';
+    stickers.forEach(sticker => {
+        const cell = document.createElement('div');
+        cell.className = 'sticker-cell';
+        cell.title = sticker.tags.length > 0 ? sticker.tags.join(', ') : sticker.name;
+        
+        const image = document.createElement('img');
+        image.src = getStickerUrl(sticker);
+        image.alt = sticker.name;
+        image.loading = 'lazy';
+        image.draggable = false;
+        cell.appendChild(image);
+        
+        if (stickerManaging) {
+            const remove = document.createElement('button');
+            remove.className = 'sticker-remove-btn';
+            remove.title = 'Remove from the library';
+            remove.textContent = '×';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeSticker(sticker);
+            });
+            cell.appendChild(remove);
+        }
+        
+        cell.addEventListener('click', () => {
+            if (stickerManaging) {
+                editStickerTags(sticker);
+            } else {
+                hideStickerPanel();
+                showActionOptionsForSticker(sticker);
+            }
+        });
+        grid.appendChild(cell);
+    });
+    
+    empty.style.display = stickers.length === 0 ? '' : 'none';
+    empty.textContent = library.stickers.size === 0
+        ? 'No stickers yet. Add GIF, WebP or PNG images, or import a pack.'
+        : 'No stickers match.';
+}
+
+function toggleStickerManage() {
+    stickerManaging = !stickerManaging;
+    renderStickerPanel();
+}
+
+async function editStickerTags(sticker) {
+    const input = prompt(`Tags for "${sticker.name}", separated by commas:`, sticker.tags.join(', '));
+    if (input === null) return;
+    
+    sticker.tags = [...new Set(input.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    await saveStickers([sticker]);
+    renderStickerGrid();
+}
+
+async function removeSticker(sticker) {
+    if (!confirm(`Remove "${sticker.name}" from your stickers? Messages that already use it keep it.`)) return;
+    
+    const library = await loadStickerLibrary();
+    library.stickers.delete(sticker.id);
+    await writeStoreRecords('stickers', [{ remove: sticker.id }]);
+    renderStickerGrid();
+}
+
+async function renameStickerPack() {
+    const library = await loadStickerLibrary();
+    const pack = library.packs.get(stickerPanelPackId);
+    if (!pack) return;
+    
+    const name = prompt('Pack name:', pack.name);
+    if (!name || !name.trim()) return;
+    pack.name = name.trim();
+    await writeStoreRecords('stickerPacks', [{ put: pack }]);
+    renderStickerPanel();
+}
+
+async function deleteStickerPack() {
+    const library = await loadStickerLibrary();
+    const pack = library.packs.get(stickerPanelPackId);
+    if (!pack) return;
+    
+    const stickers = Array.from(library.stickers.values()).filter(sticker => sticker.packId === pack.id);
+    if (!confirm(`Delete the pack "${pack.name}" and its ${stickers.length} sticker(s)? Messages that already use them keep them.`)) return;
+    
+    library.packs.delete(pack.id);
+    stickers.forEach(sticker => library.stickers.delete(sticker.id));
+    await writeStoreRecords('stickers', stickers.map(sticker => ({ remove: sticker.id })));
+    await writeStoreRecords('stickerPacks', [{ remove: pack.id }]);
+    stickerPanelPackId = null;
+    renderStickerPanel();
+}
+
+// The pack tab shown, or a new pack when every pack is shown
+async function getStickerImportPack() {
+    const library = await loadStickerLibrary();
+    if (stickerPanelPackId && library.packs.has(stickerPanelPackId)) {
+        return library.packs.get(stickerPanelPackId);
+    }
+    const name = prompt('Add the stickers to a new pack named:', 'My stickers');
+    if (!name || !name.trim()) return null;
+    return createStickerPack(name.trim());
+}
+
+async function importStickerFiles(files) {
+    const images = files.filter(file => getStickerType(file.name) || Object.values(STICKER_TYPES).includes(file.type));
+    if (images.length === 0) {
+        alert('Choose GIF, WebP or PNG images.');
+        return;
+    }
+    
+    const pack = await getStickerImportPack();
+    if (!pack) return;
+    
+    try {
+        await saveStickers(images.map(file => createStickerRecord(pack.id, file.name, file, tagsFromFileName(file.name))));
+    } catch (error) {
+        console.error('Error saving stickers:', error);
+        alert('Could not save the stickers.');
+    }
+    stickerPanelPackId = pack.id;
+    renderStickerPanel();
+}
+
+// A zip of GIF, WebP or PNG files becomes a new pack. A pack.json from exportStickerPack
+// restores the pack name and each sticker's tags; without it tags come from file names.
+async function importStickerPackZip(file) {
+    let files;
+    let manifest = null;
+    try {
+        files = await readZip(file);
+        const manifestFile = files.find(entry => entry.name.split('/').pop() === STICKER_PACK_MANIFEST);
+        if (manifestFile) {
+            const data = JSON.parse(new TextDecoder().decode(manifestFile.data));
+            if (data && data.format === STICKER_PACK_FORMAT) manifest = data;
+        }
+    } catch (error) {
+        console.error('Error reading sticker pack:', error);
+        alert(`Import failed: ${error instanceof SyntaxError ? 'pack.json is not valid JSON' : error.message}`);
+        return;
+    }
+    
+    const images = files.filter(entry => getStickerType(entry.name));
+    if (images.length === 0) {
+        alert('No GIF, WebP or PNG stickers found in this zip.');
+        return;
+    }
+    
+    const described = new Map((manifest && Array.isArray(manifest.stickers) ? manifest.stickers : [])
+        .map(entry => [entry.file, entry]));
+    const pack = await createStickerPack((manifest && manifest.name) || file.name.replace(/\.zip$/i, ''));
+    const stickers = images.map(entry => {
+        const details = described.get(entry.name) || {};
+        const name = details.name || entry.name.split('/').pop();
+        const tags = Array.isArray(details.tags) ? details.tags : tagsFromFileName(entry.name);
+        return createStickerRecord(pack.id, name, new Blob([entry.data], { type: getStickerType(entry.name) }), tags);
+    });
+    
+    try {
+        await saveStickers(stickers);
+    } catch (error) {
+        console.error('Error saving stickers:', error);
+        alert('Could not save the stickers.');
+        return;
+    }
+    stickerPanelPackId = pack.id;
+    renderStickerPanel();
+    alert(`Imported ${stickers.length} sticker(s) into "${pack.name}".`);
+}
+
+async function exportStickerPack() {
+    const library = await loadStickerLibrary();
+    const pack = library.packs.get(stickerPanelPackId);
+    if (!pack) return;
+    
+    const stickers = Array.from(library.stickers.values())
+        .filter(sticker => sticker.packId === pack.id)
+        .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+    const ext = type => Object.keys(STICKER_TYPES).find(key => STICKER_TYPES[key] === type) || 'png';
+    // Numbered so two stickers with the same name do not overwrite each other
+    const files = stickers.map((sticker, index) => ({
+        name: `${index + 1}-${sticker.name.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, '_')}.${ext(sticker.type)}`,
+        blob: sticker.blob
+    }));
+    const manifest = {
+        format: STICKER_PACK_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        name: pack.name,
+        stickers: stickers.map((sticker, index) => ({ file: files[index].name, name: sticker.name, tags: sticker.tags }))
+    };
+    files.push({ name: STICKER_PACK_MANIFEST, blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }) });
+    
+    const fileName = pack.name.replace(/[\\/:*?"<>|]/g, '_');
+    downloadBlob(await createZip(files), `${fileName}-stickers.zip`);
+}
+
+function showActionOptionsForSticker(sticker) {
+    if (!currentChat) return;
+    const label = getStickerKind(sticker) === 'gif' ? 'GIF' : 'sticker';
+    const send = (senderId) => {
+        const message = addStickerMessage(senderId, sticker);
+        appendRenderedMessage(message);
+        cancelReply();
+        hideActionOptions();
+        if (isPersonaId(senderId)) handleBotInteractions(currentChat, currentChatType, message);
+    };
+    
+    // For bots, send directly like photos
+    if (currentChatType === 'user' && isBot(currentChat) && isPersonaId(currentUser.id)) {
+        send(currentUser.id);
+        return;
+    }
+    
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    if (currentChatType === 'user') {
+        const counterpart = getOtherParticipants()[0];
+        const sendOption = document.createElement('div');
+        sendOption.className = 'action-option send-option';
+        sendOption.textContent = `Send ${label} as ${currentUser.name}`;
+        sendOption.addEventListener('click', () => send(currentUser.id));
+        const receiveOption = document.createElement('div');
+        receiveOption.className = 'action-option receive-option';
+        receiveOption.textContent = `Receive ${label} from ${counterpart.name}`;
+        receiveOption.addEventListener('click', () => send(counterpart.id));
+        list.appendChild(sendOption);
+        list.appendChild(receiveOption);
+    } else {
+        const myOption = document.createElement('div');
+        myOption.className = 'action-option send-option';
+        myOption.textContent = `Send ${label} as ${currentUser.name}`;
+        myOption.addEventListener('click', () => send(currentUser.id));
+        list.appendChild(myOption);
+        getOtherParticipants().forEach(user => {
+            const option = document.createElement('div');
+            option.className = 'action-option receive-option';
+            option.textContent = `Send ${label} as ${user.name}`;
+            option.addEventListener('click', () => send(user.id));
+            list.appendChild(option);
+        });
+    }
+    modal.style.display = 'block';
+}
+
+function addStickerMessage(senderId, sticker) {
+    const message = {
+        id: 'msg_' + messageIdCounter++,
+        senderId: senderId,
+        text: '',
+        timestamp: new Date().toISOString(),
+        reactions: {},
+        edited: false,
+        seenBy: [],
+        sticker: {
+            stickerId: sticker.id,
+            packId: sticker.packId,
+            name: sticker.name,
+            kind: getStickerKind(sticker),
+            dataUrl: URL.createObjectURL(sticker.blob)
+        }
+    };
+    if (replyingToMessage) {
+        message.replyTo = {
+            messageId: replyingToMessage.id,
+            senderId: replyingToMessage.senderId,
+            text: replyingToMessage.text
+        };
+    }
+    if (!currentChat.messages) currentChat.messages = [];
+    currentChat.messages.push(message);
+    markMessageAsSeen(message.id, senderId);
+    queueMessageSave(message, currentChat);
+    queueSettingsSave(); // messageIdCounter changed
+    return message;
+}
+
+// Zip Functions
+// Just enough of the zip format for sticker packs: files are written uncompressed, and read
+// back whether stored or deflated (through the browser's DecompressionStream). No zip64.
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_RECORD = 0x06054b50;
+const ZIP_UTF8_FLAG = 0x0800;
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, blob }]
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = new Uint8Array(await file.blob.arrayBuffer());
+        const crc = crc32(data);
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_HEADER, true);
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(6, ZIP_UTF8_FLAG, true);
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, data);
+        
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, ZIP_CENTRAL_HEADER, true);
+        entry.setUint16(4, 20, true); // Version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, ZIP_UTF8_FLAG, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true); // Extra, comment and attribute fields stay 0
+        central.push(entry, name);
+        
+        offset += 30 + name.length + data.length;
+    }
+    
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_RECORD, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Returns [{ name, data: Uint8Array }] for every file (folders skipped)
+async function readZip(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    
+    // The end record is last, before a comment of up to 64 KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === ZIP_END_RECORD) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('the file is not a zip archive');
+    
+    const decoder = new TextDecoder();
+    const count = view.getUint16(end + 10, true);
+    let pointer = view.getUint32(end + 16, true);
+    const files = [];
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(pointer, true) !== ZIP_CENTRAL_HEADER) throw new Error('the zip archive is damaged');
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+        pointer += 46 + nameLength + view.getUint16(pointer + 30, true) + view.getUint16(pointer + 32, true);
+        if (name.endsWith('/')) continue;
+        
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.push({ name: name, data: data });
+        } else if (method === 8) {
+            files.push({ name: name, data: await inflateRaw(data) });
+        } else {
+            throw new Error(`"${name}" uses a compression method this app cannot unpack`);
+        }
+    }
+    return files;
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot unpack compressed zip files');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Emoji Picker Functions
+// emoji.json groups emojis by Unicode category; each entry is
+// [emoji, English keywords, Bangla keywords, 1 when it takes a skin tone].
+const EMOJI_SKIN_TONES = ['', '\u{1F3FB}', '\u{1F3FC}', '\u{1F3FD}', '\u{1F3FE}', '\u{1F3FF}'];
+const EMOJI_RECENT_LIMIT = 24;
+const EMOJI_SEARCH_LIMIT = 120;
+
+let emojiCategories = null; // Promise of the categories in emoji.json
+let recentEmojis = []; // Most recently picked first, kept in the settings store
+let emojiSkinTone = EMOJI_SKIN_TONES.includes(localStorage.getItem('emojiSkinTone'))
+    ? localStorage.getItem('emojiSkinTone')
+    : '';
+let emojiPickHandler = null; // Set while the picker chooses a reaction instead of typing
+
+function loadEmojiCategories() {
+    if (!emojiCategories) {
+        emojiCategories = fetch('emoji.json')
+            .then(response => response.json())
+            .then(data => data.categories)
+            .catch(error => {
+                console.error('Error loading emoji.json:', error);
+                emojiCategories = null; // Try again next time the picker opens
+                return [];
+            });
+    }
+    return emojiCategories;
+}
+
+// Put the tone modifier after the base character, replacing its emoji presentation selector
+function applySkinTone(emoji, tone) {
+    if (!tone) return emoji;
+    const [base, ...rest] = Array.from(emoji);
+    if (rest[0] === '\uFE0F') rest.shift();
+    return base + tone + rest.join('');
+}
+
+function getEmojiForPicker(entry) {
+    return entry[3] ? applySkinTone(entry[0], emojiSkinTone) : entry[0];
+}
+
+// Every word of the query must start an English keyword or appear in the Bangla ones
+function emojiMatchesQuery(entry, terms) {
+    const english = entry[1].split(' ');
+    return terms.every(term => english.some(word => word.startsWith(term)) || entry[2].includes(term));
+}
+
+// Pass onPick to choose a reaction; without it the emoji is typed into the message box
+async function showEmojiPicker(onPick = null) {
+    const emojiPicker = document.getElementById('emojiPicker');
+    if (!emojiPicker) return;
+    
+    emojiPickHandler = onPick;
+    document.getElementById('emojiSearch').value = '';
+    document.getElementById('emojiSkinTones').style.display = 'none';
+    emojiPicker.classList.toggle('reaction-mode', !!onPick);
+    emojiPicker.style.display = 'flex';
+    emojiPicker.style.position = 'fixed';
+    emojiPicker.style.bottom = '120px';
+    emojiPicker.style.left = '50%';
+    emojiPicker.style.transform = 'translateX(-50%)';
+    emojiPicker.style.zIndex = '1000';
+    
+    await renderEmojiPicker();
+    document.getElementById('emojiPickerBody').scrollTop = 0;
+}
+
+function hideEmojiPicker() {
+    const emojiPicker = document.getElementById('emojiPicker');
+    if (emojiPicker) {
+        emojiPicker.style.display = 'none';
+    }
+    emojiPickHandler = null;
+}
+
+function toggleEmojiPicker() {
+    const emojiPicker = document.getElementById('emojiPicker');
+    if (emojiPicker && emojiPicker.style.display === 'flex' && !emojiPickHandler) {
+        hideEmojiPicker();
+    } else {
+        showEmojiPicker();
+    }
+}
+
+async function renderEmojiPicker() {
+    const categories = await loadEmojiCategories();
+    const tabs = document.getElementById('emojiCategoryTabs');
+    const body = document.getElementById('emojiPickerBody');
+    const terms = normalizeText(document.getElementById('emojiSearch').value).split(' ').filter(Boolean);
+    
+    document.getElementById('emojiSkinToneBtn').textContent = applySkinTone('✋', emojiSkinTone);
+    tabs.innerHTML = '';
+    body.innerHTML = '';
+    
+    if (categories.length === 0) {
+        body.appendChild(createEmojiSection(null, 'Emoji could not be loaded.', []));
+        return;
+    }
+    
+    if (terms.length > 0) {
+        tabs.style.display = 'none';
+        const matches = [];
+        categories.forEach(category => {
+            category.emojis.forEach(entry => {
+                if (matches.length < EMOJI_SEARCH_LIMIT && emojiMatchesQuery(entry, terms)) matches.push(entry);
+            });
+        });
+        body.appendChild(createEmojiSection(null, matches.length > 0 ? 'Search results' : 'No emoji match.', matches));
+        return;
+    }
+    
+    tabs.style.display = '';
+    const sections = [];
+    if (recentEmojis.length > 0) {
+        sections.push({ id: 'recent', name: 'Recently used', icon: '🕘', emojis: recentEmojis.map(emoji => [emoji, '', '']) });
+    }
+    sections.push(...categories);
+    
+    sections.forEach(category => {
+        const section = createEmojiSection(category.id, category.name, category.emojis);
+        body.appendChild(section);
+        
+        const tab = document.createElement('button');
+        tab.className = 'emoji-category-tab';
+        tab.title = category.name;
+        tab.textContent = category.icon;
+        tab.addEventListener('click', () => {
+            body.scrollTop = section.offsetTop;
+        });
+        tabs.appendChild(tab);
+    });
+}
+
+function createEmojiSection(categoryId, title, entries) {
+    const section = document.createElement('div');
+    section.className = 'emoji-section';
+    if (categoryId) section.dataset.category = categoryId;
+    
+    const heading = document.createElement('div');
+    heading.className = 'emoji-section-title';
+    heading.textContent = title;
+    section.appendChild(heading);
+    
+    const grid = document.createElement('div');
+    grid.className = 'emoji-grid';
+    entries.forEach(entry => {
+        const emoji = getEmojiForPicker(entry);
+        const cell = document.createElement('span');
+        cell.className = 'emoji';
+        cell.dataset.emoji = emoji;
+        cell.textContent = emoji;
+        if (entry[1]) cell.title = entry[1];
+        grid.appendChild(cell);
+    });
+    section.appendChild(grid);
+    return section;
+}
+
+function renderEmojiSkinTones() {
+    const row = document.getElementById('emojiSkinTones');
+    row.innerHTML = '';
+    EMOJI_SKIN_TONES.forEach(tone => {
+        const option = document.createElement('span');
+        option.className = 'emoji';
+        if (tone === emojiSkinTone) option.classList.add('active');
+        option.textContent = applySkinTone('✋', tone);
+        option.addEventListener('click', () => setEmojiSkinTone(tone));
+        row.appendChild(option);
+    });
+}
+
+function toggleEmojiSkinTones() {
+    const row = document.getElementById('emojiSkinTones');
+    const open = row.style.display === 'none';
+    if (open) renderEmojiSkinTones();
+    row.style.display = open ? '' : 'none';
+}
+
+function setEmojiSkinTone(tone) {
+    emojiSkinTone = tone;
+    localStorage.setItem('emojiSkinTone', tone);
+    document.getElementById('emojiSkinTones').style.display = 'none';
+    renderEmojiPicker();
+}
+
+function pickEmoji(emoji) {
+    rememberRecentEmoji(emoji);
+    if (emojiPickHandler) {
+        const onPick = emojiPickHandler;
+        hideEmojiPicker();
+        onPick(emoji);
+    } else {
+        insertEmojiAtCaret(emoji);
+    }
+}
+
+function rememberRecentEmoji(emoji) {
+    recentEmojis = [emoji, ...recentEmojis.filter(recent => recent !== emoji)].slice(0, EMOJI_RECENT_LIMIT);
+    queueSettingsSave(); // Save to IndexedDB
+}
+
+function insertEmojiAtCaret(emoji) {
+    const messageInput = document.getElementById('messageInput');
+    const start = messageInput.selectionStart ?? messageInput.value.length;
+    const end = messageInput.selectionEnd ?? start;
+    messageInput.setRangeText(emoji, start, end, 'end');
+    messageInput.focus();
+    messageInput.dispatchEvent(new Event('input'));
+}
+
+function createMessageObject(senderId, text, imageDataUrl = null, imageName = null) {
+    return {
+        id: 'msg_' + messageIdCounter++,
+        senderId: senderId,
+        text: text,
+        timestamp: new Date().toISOString(),
+        reactions: {},
+        edited: false,
+        seenBy: [], // Track who has seen this message
+        imageDataUrl: imageDataUrl, // Store image data URL if present
+        imageName: imageName // Store original image filename
+    };
+}
+
+function addMessage(senderId, text, imageDataUrl = null, imageName = null) {
+    const message = createMessageObject(senderId, text, imageDataUrl, imageName);
+    
+    // Add reply information if replying to a message
+    if (replyingToMessage) {
+        message.replyTo = {
+            messageId: replyingToMessage.id,
+            senderId: replyingToMessage.senderId,
+            text: replyingToMessage.text
+        };
+    }
+    
+    if (!currentChat.messages) {
+        currentChat.messages = [];
+    }
+    
+    currentChat.messages.push(message);
+    
+    // Auto-mark as seen by sender
+    markMessageAsSeen(message.id, senderId);
+    
+    // Save to IndexedDB
+    queueMessageSave(message, currentChat);
+    queueSettingsSave(); // messageIdCounter changed
+    
+    return message;
+}
+
+// Quick Reaction
+function sendQuickReaction() {
+    if (!currentChat) return;
+    
+    const message = {
+        id: 'msg_' + messageIdCounter++,
+        senderId: currentUser.id,
+        text: quickReactionEmoji,
+        timestamp: new Date().toISOString(),
+        reactions: {},
+        edited: false,
+        seenBy: [currentUser.id]
+    };
+    
+    if (!currentChat.messages) {
+        currentChat.messages = [];
+    }
+    
+    currentChat.messages.push(message);
+    queueMessageSave(message, currentChat); // Save to IndexedDB
+    queueSettingsSave();
+    appendRenderedMessage(message);
+}
+
+function showQuickReactionPicker() {
+    const emojis = ['👍', '❤️', '😂', '😮', '😢', '😡', '🔥', '👎'];
+    
+    // Create a simple prompt-based picker for mobile
+    let emojiList = 'Choose quick reaction emoji:\n';
+    emojis.forEach((emoji, index) => {
+        emojiList += `${index + 1}. ${emoji}\n`;
+    });
+    
+    const choice = prompt(emojiList + '\nEnter number (1-8):');
+    const index = parseInt(choice) - 1;
+    
+    if (index >= 0 && index < emojis.length) {
+        quickReactionEmoji = emojis[index];
+        document.getElementById('quickReactionEmoji').textContent = quickReactionEmoji;
+    }
+}
+
+// Context Menu Functions (simplified for mobile)
+function showMessageContextMenu(event, messageId) {
+    contextMenuTargetMessage = messageId;
+    
+    const contextMenu = document.getElementById('messageContextMenu');
+    contextMenu.style.display = 'block';
+    
+    // Bot replies can explain how they were chosen
+    const message = findMessage(messageId);
+    document.getElementById('explainMatchMenuItem').style.display = message && message.matchInfo ? '' : 'none';
+    
+    // Position the context menu near the touch/click point
+    const rect = event.target.getBoundingClientRect();
+    contextMenu.style.left = Math.min(rect.left, window.innerWidth - 200) + 'px';
+    contextMenu.style.top = (rect.top - 120) + 'px';
+    
+    // Ensure it's within viewport
+    if (parseInt(contextMenu.style.top) < 20) {
+        contextMenu.style.top = '20px';
+    }
+    
+    // Hide after 5 seconds if not interacted
+    setTimeout(() => {
+        if (contextMenu.style.display === 'block') {
+            hideContextMenu();
+        }
+    }, 5000);
+}
+
+function hideContextMenu() {
+    const contextMenu = document.getElementById('messageContextMenu');
+    if (contextMenu) {
+        contextMenu.style.display = 'none';
+    }
+    contextMenuTargetMessage = null;
+}
+
+function editMessage() {
+    if (!contextMenuTargetMessage) return;
+    
+    const message = findMessage(contextMenuTargetMessage);
+    if (!message) return;
+    
+    const newText = prompt('Edit message:', message.text);
+    if (newText && newText.trim()) {
+        message.text = newText.trim();
+        message.edited = true;
+        queueMessageSave(message, currentChat); // Save to IndexedDB
+        refreshMessageElement(message.id);
+    }
+    
+    hideContextMenu();
+}
+
+function deleteMessage() {
+    if (!contextMenuTargetMessage) return;
+    
+    const confirmed = confirm('Delete this message?');
+    if (confirmed) {
+        const messageIndex = currentChat.messages.findIndex(m => m.id === contextMenuTargetMessage);
+        if (messageIndex !== -1) {
+            currentChat.messages.splice(messageIndex, 1);
+            selectionUndoStack = []; // An undo must not bring the message back
+            queueMessageDelete(contextMenuTargetMessage); // Save to IndexedDB
+            removeRenderedMessage(contextMenuTargetMessage, messageIndex);
+        }
+    }
+    
+    hideContextMenu();
+}
+
+function replyToMessage() {
+    if (!contextMenuTargetMessage) return;
+    
+    const message = findMessage(contextMenuTargetMessage);
+    if (!message) return;
+    
+    replyingToMessage = message;
+    
+    // Show reply preview
+    const replyPreview = document.getElementById('replyPreview');
+    const replyPreviewName = document.getElementById('replyPreviewName');
+    const replyPreviewText = document.getElementById('replyPreviewText');
+    
+    // Get sender name
+    let senderName;
+    if (message.senderId === currentUser.id) {
+        senderName = 'yourself';
+    } else {
+        const sender = getMessageSender(message.senderId);
+        senderName = sender ? getMemberDisplayName(sender, currentChat) : 'Unknown';
+    }
+    
+    // Facebook Messenger style: "Replying to [username]"
+    replyPreviewName.textContent = `Replying to ${senderName}`;
+    replyPreviewText.textContent = message.text;
+    replyPreview.style.display = 'block';
+    
+    // Focus input
+    const messageInput = document.getElementById('messageInput');
+    messageInput.focus();
+    
+    hideContextMenu();
+}
+
+function cancelReply() {
+    replyingToMessage = null;
+    const replyPreview = document.getElementById('replyPreview');
+    replyPreview.style.display = 'none';
+}
+
+// Message Time Functions
+function shouldShowTimeSeparator(previousMessage, message) {
+    if (!message.timestamp) return false;
+    if (!previousMessage || !previousMessage.timestamp) return true;
+    const gap = new Date(message.timestamp) - new Date(previousMessage.timestamp);
+    return gap > timeSeparatorGapMinutes * 60000;
+}
+
+function createTimeSeparatorElement(timestamp) {
+    const separator = document.createElement('div');
+    separator.className = 'time-separator';
+    separator.textContent = formatTimeSeparator(new Date(timestamp));
+    separator.title = 'Change time separator gap';
+    separator.addEventListener('click', (event) => {
+        event.stopPropagation();
+        editTimeSeparatorGap();
+    });
+    return separator;
+}
+
+// "Today 9:41 PM", "Mon 3:12 PM" within the last week, "12 Mar 2025" before that
+function formatTimeSeparator(date, now = new Date()) {
+    const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const startOfTomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const startOfWeek = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6);
+    
+    if (date >= startOfToday && date < startOfTomorrow) {
+        return `Today ${time}`;
+    }
+    if (date >= startOfWeek && date < startOfToday) {
+        return `${date.toLocaleDateString('en-US', { weekday: 'short' })} ${time}`;
+    }
+    return `${date.getDate()} ${date.toLocaleDateString('en-US', { month: 'short' })} ${date.getFullYear()}`;
+}
+
+// Local "YYYY-MM-DD HH:MM", the format the time prompts accept
+function formatDateTimeInput(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Accepts "YYYY-MM-DD HH:MM" or just "HH:MM" (keeps the date of baseDate)
+function parseDateTimeInput(text, baseDate) {
+    const value = (text || '').trim();
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})$/);
+    if (match) {
+        const date = new Date(+match[1], +match[2] - 1, +match[3], +match[4], +match[5]);
+        return isNaN(date) ? null : date;
+    }
+    match = value.match(/^(\d{1,2}):(\d{2})$/);
+    if (match && +match[1] < 24 && +match[2] < 60) {
+        const date = new Date(baseDate);
+        date.setHours(+match[1], +match[2], 0, 0);
+        return date;
+    }
+    return null;
+}
+
+// Parses shifts like "-2h", "+1d 30m" or "45m" into milliseconds
+function parseDurationInput(text) {
+    const value = (text || '').trim();
+    if (!/^[+-]?\s*(\d+\s*[dhm]\s*)+$/i.test(value)) return null;
+    const sign = value.startsWith('-') ? -1 : 1;
+    const unitMs = { d: 86400000, h: 3600000, m: 60000 };
+    let total = 0;
+    value.replace(/(\d+)\s*([dhm])/gi, (_, amount, unit) => {
+        total += parseInt(amount) * unitMs[unit.toLowerCase()];
+    });
+    return sign * total;
+}
+
+// Start of a range to shift, marked from one message's time menu and closed from another's
+let timeShiftRangeStartId = null;
+
+function shiftMessageTimestamps(messages, deltaMs) {
+    messages.forEach(message => {
+        const base = message.timestamp ? new Date(message.timestamp) : new Date();
+        message.timestamp = new Date(base.getTime() + deltaMs).toISOString();
+    });
+}
+
+function editMessageTime() {
+    if (!contextMenuTargetMessage) return;
+    
+    const messageId = contextMenuTargetMessage;
+    const message = findMessage(messageId);
+    hideContextMenu();
+    if (!message) return;
+    
+    const messageIndex = currentChat.messages.indexOf(message);
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    setActionOptionsTitle('Message time:');
+    
+    const addOption = (label, handler) => {
+        const option = document.createElement('div');
+        option.className = 'action-option send-option';
+        option.textContent = label;
+        option.addEventListener('click', () => {
+            hideActionOptions();
+            handler();
+        });
+        list.appendChild(option);
+    };
+    
+    addOption('Set time of this message', () => {
+        const current = message.timestamp ? new Date(message.timestamp) : new Date();
+        const input = prompt('Message time (YYYY-MM-DD HH:MM or HH:MM):', formatDateTimeInput(current));
+        if (input === null) return;
+        const date = parseDateTimeInput(input, current);
+        if (!date) {
+            alert('Please enter a time like 2025-03-12 21:40 or 21:40');
+            return;
+        }
+        message.timestamp = date.toISOString();
+        queueMessageSave(message, currentChat); // Save to IndexedDB
+        refreshMessageElement(message.id);
+    });
+    
+    const addShiftOption = (label, messages) => {
+        addOption(label, () => {
+            const input = prompt('Shift by (e.g. -2h, +1d 30m, 45m):', '-1d');
+            if (input === null) return;
+            const deltaMs = parseDurationInput(input);
+            if (deltaMs === null) {
+                alert('Please enter a shift like -2h, +1d 30m or 45m');
+                return;
+            }
+            timeShiftRangeStartId = null;
+            shiftMessageTimestamps(messages, deltaMs);
+            messages.forEach(changed => queueMessageSave(changed, currentChat)); // Save to IndexedDB
+            renderMessages();
+        });
+    };
+    
+    addShiftOption('Shift this message', [message]);
+    addShiftOption('Shift this and all later messages', currentChat.messages.slice(messageIndex));
+    addShiftOption('Shift this and all earlier messages', currentChat.messages.slice(0, messageIndex + 1));
+    
+    // Any range: mark one end here, then pick "Shift range" on the other end
+    const rangeStartIndex = currentChat.messages.findIndex(m => m.id === timeShiftRangeStartId);
+    if (rangeStartIndex !== -1 && rangeStartIndex !== messageIndex) {
+        const range = currentChat.messages.slice(Math.min(rangeStartIndex, messageIndex), Math.max(rangeStartIndex, messageIndex) + 1);
+        addShiftOption(`Shift range from the marked message to this one (${range.length} messages)`, range);
+    }
+    addOption(rangeStartIndex === messageIndex ? '✓ Marked as range start' : 'Mark as range start', () => {
+        timeShiftRangeStartId = message.id;
+    });
+    addOption(`Time separator gap (${timeSeparatorGapMinutes} min)`, editTimeSeparatorGap);
+    
+    modal.style.display = 'block';
+}
+
+function editTimeSeparatorGap() {
+    const input = prompt('Show a time separator when messages are more than this many minutes apart:', timeSeparatorGapMinutes);
+    if (input === null) return;
+    const minutes = parseInt(input);
+    if (isNaN(minutes) || minutes < 1) {
+        alert('Please enter a number of minutes (1 or more)');
+        return;
+    }
+    timeSeparatorGapMinutes = minutes;
+    queueSettingsSave(); // Save to IndexedDB
+    renderMessages();
+}
+
+function reactToMessage() {
+    if (!contextMenuTargetMessage) return;
+    
+    // Hide context menu first, keeping the message it was opened on
+    const messageId = contextMenuTargetMessage;
+    hideContextMenu();
+    contextMenuTargetMessage = messageId;
+    
+    // Show emoji picker
+    showEmojiPicker(selectEmoji);
+}
+
+// Message Forwarding Functions
+// Forwarding copies messages into other chats as new messages marked `forwarded`. A copy
+// keeps the text and any photo, file, voice clip or sticker, but not reactions or replies,
+// and every target chat can have its own sender.
+let forwardState = { messageIds: [], targets: new Map() }; // targets: chat id -> { chat, type, senderId }
+let forwardModalEscapeHandler = null;
+
+function forwardMessage() {
+    if (!contextMenuTargetMessage) return;
+    
+    const messageId = contextMenuTargetMessage;
+    hideContextMenu();
+    showForwardModal([messageId]);
+}
+
+function showForwardModal(messageIds) {
+    const modal = document.getElementById('forwardModal');
+    if (!modal || !currentChat || messageIds.length === 0) return;
+    
+    forwardState = { messageIds: messageIds.slice(), targets: new Map() };
+    document.getElementById('forwardTitle').textContent = messageIds.length === 1 ? 'Forward message' : `Forward ${messageIds.length} messages`;
+    document.getElementById('forwardSearch').value = '';
+    renderForwardChatList();
+    modal.style.display = 'block';
+    
+    // Close modal when clicking on background
+    modal.onclick = function(event) {
+        if (event.target === modal) {
+            hideForwardModal();
+        }
+    };
+    
+    if (!forwardModalEscapeHandler) {
+        forwardModalEscapeHandler = function(event) {
+            if (event.key === 'Escape') {
+                hideForwardModal();
+            }
+        };
+        document.addEventListener('keydown', forwardModalEscapeHandler);
+    }
+}
+
+function hideForwardModal() {
+    const modal = document.getElementById('forwardModal');
+    if (modal) modal.style.display = 'none';
+    if (forwardModalEscapeHandler) {
+        document.removeEventListener('keydown', forwardModalEscapeHandler);
+        forwardModalEscapeHandler = null;
+    }
+}
+
+// Every contact and group, the most recently active first
+function getForwardableChats() {
+    const lastActivity = chat => {
+        const messages = chat.messages || [];
+        return messages.length > 0 ? messages[messages.length - 1].timestamp : '';
+    };
+    return users.map(user => ({ chat: user, type: 'user' }))
+        .concat(groups.map(group => ({ chat: group, type: 'group' })))
+        .sort((a, b) => lastActivity(b.chat).localeCompare(lastActivity(a.chat)));
+}
+
+function renderForwardChatList() {
+    const list = document.getElementById('forwardChatList');
+    const query = normalizeText(document.getElementById('forwardSearch').value);
+    const chats = getForwardableChats().filter(({ chat }) => !query || textMatchesQuery(chat.name, query));
+    list.innerHTML = '';
+    
+    chats.forEach(({ chat, type }) => {
+        const row = document.createElement('div');
+        row.className = 'member-checkbox';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `forward_chat_${chat.id}`;
+        checkbox.checked = forwardState.targets.has(chat.id);
+        
+        const img = document.createElement('img');
+        img.src = chat.avatarDataUrl || generateDefaultAvatar(chat.name);
+        img.alt = chat.name;
+        img.onerror = function() { this.style.visibility = 'hidden'; };
+        
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.textContent = chat.name;
+        if (type === 'group' || chat === currentChat) {
+            const note = document.createElement('span');
+            note.className = 'forward-chat-note';
+            note.textContent = chat === currentChat ? 'This chat' : 'Group';
+            label.appendChild(note);
+        }
+        
+        // Who sends the copy in this chat
+        const sender = document.createElement('select');
+        sender.className = 'forward-sender-select';
+        sender.title = 'Send as';
+        getChatParticipants(chat).forEach(participant => {
+            const option = document.createElement('option');
+            option.value = participant.id;
+            option.textContent = `As ${participant.name}`;
+            sender.appendChild(option);
+        });
+        const target = forwardState.targets.get(chat.id);
+        sender.value = target ? target.senderId : getChatViewer(chat).id;
+        sender.style.display = checkbox.checked ? '' : 'none';
+        
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                forwardState.targets.set(chat.id, { chat: chat, type: type, senderId: sender.value });
+            } else {
+                forwardState.targets.delete(chat.id);
+            }
+            sender.style.display = checkbox.checked ? '' : 'none';
+            updateForwardSendButton();
+        });
+        sender.addEventListener('change', () => {
+            const selected = forwardState.targets.get(chat.id);
+            if (selected) selected.senderId = sender.value;
+        });
+        
+        row.appendChild(checkbox);
+        row.appendChild(img);
+        row.appendChild(label);
+        row.appendChild(sender);
+        list.appendChild(row);
+    });
+    
+    if (chats.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'modal-hint';
+        empty.textContent = 'No chats match.';
+        list.appendChild(empty);
+    }
+    updateForwardSendButton();
+}
+
+function updateForwardSendButton() {
+    const button = document.getElementById('forwardSendBtn');
+    const count = forwardState.targets.size;
+    button.disabled = count === 0;
+    button.textContent = count > 1 ? `Send to ${count} chats` : 'Send';
+}
+
+// A fresh message with the original's content; media holders lose the original's
+// media id so the copy stores its own
+function createForwardedMessage(original, senderId) {
+    const message = createMessageObject(senderId, original.text, original.imageDataUrl || null, original.imageName || null);
+    message.seenBy = [senderId];
+    message.forwarded = true;
+    ['attachment', 'voice', 'sticker'].forEach(key => {
+        if (original[key]) {
+            message[key] = Object.assign({}, original[key]);
+            delete message[key].mediaId;
+        }
+    });
+    return message;
+}
+
+function sendForwardedMessages() {
+    // Keep the order they have in the chat, whatever order they were picked in
+    const originals = currentChat.messages.filter(message => forwardState.messageIds.includes(message.id));
+    if (originals.length === 0 || forwardState.targets.size === 0) return;
+    
+    forwardState.targets.forEach(({ chat, type, senderId }) => {
+        if (!chat.messages) chat.messages = [];
+        const copies = originals.map(original => createForwardedMessage(original, senderId));
+        copies.forEach(message => {
+            chat.messages.push(message);
+            queueMessageSave(message, chat); // Save to IndexedDB
+            if (chat === currentChat) appendRenderedMessage(message);
+        });
+        
+        // Bots answer the last of the messages a persona forwards them
+        if (isPersonaId(senderId)) {
+            handleBotInteractions(chat, type, copies[copies.length - 1]);
+        }
+    });
+    queueSettingsSave(); // messageIdCounter changed
+    hideForwardModal();
+}
+
+// Message Selection Functions
+// Long-pressing a message starts selection mode: taps then toggle messages and a toolbar
+// replaces the input with bulk actions. Changes made from the toolbar can be undone until
+// selection mode ends.
+const SELECTION_UNDO_LIMIT = 20;
+let messageSelection = null; // Set of selected message ids while selecting
+let selectionUndoStack = [];
+let selectionEscapeHandler = null;
+
+function enterSelectionMode(messageId) {
+    if (!currentChat || playback) return;
+    
+    hideQuickReactionPicker();
+    hideContextMenu();
+    messageSelection = new Set();
+    document.body.classList.add('selecting-messages');
+    document.getElementById('selectionToolbar').style.display = 'flex';
+    
+    if (!selectionEscapeHandler) {
+        selectionEscapeHandler = function(event) {
+            if (event.key === 'Escape') {
+                exitSelectionMode();
+            }
+        };
+        document.addEventListener('keydown', selectionEscapeHandler);
+    }
+    
+    toggleMessageSelection(messageId);
+}
+
+// Undo only covers one selection session: outside it messages can change in other ways
+function exitSelectionMode() {
+    messageSelection = null;
+    selectionUndoStack = [];
+    document.body.classList.remove('selecting-messages');
+    const toolbar = document.getElementById('selectionToolbar');
+    if (toolbar) toolbar.style.display = 'none';
+    document.querySelectorAll('.message.selected').forEach(element => element.classList.remove('selected'));
+    hideActionOptions();
+    
+    if (selectionEscapeHandler) {
+        document.removeEventListener('keydown', selectionEscapeHandler);
+        selectionEscapeHandler = null;
+    }
+}
+
+function toggleMessageSelection(messageId) {
+    if (!messageSelection) return;
+    
+    if (messageSelection.has(messageId)) {
+        messageSelection.delete(messageId);
+    } else {
+        messageSelection.add(messageId);
+    }
+    const element = document.querySelector(`.message[data-message-id="${messageId}"]`);
+    if (element) element.classList.toggle('selected', messageSelection.has(messageId));
+    updateSelectionToolbar();
+}
+
+function updateSelectionToolbar(status = '') {
+    if (!messageSelection) return;
+    
+    const count = messageSelection.size;
+    document.getElementById('selectionCount').textContent = status || `${count} selected`;
+    document.querySelectorAll('#selectionToolbar .selection-action-btn').forEach(button => {
+        button.disabled = count === 0;
+    });
+    document.getElementById('selectionUndoBtn').disabled = selectionUndoStack.length === 0;
+}
+
+// Selected messages in chat order
+function getSelectedMessages() {
+    if (!messageSelection || !currentChat) return [];
+    return (currentChat.messages || []).filter(message => messageSelection.has(message.id));
+}
+
+// Re-render after a bulk change without jumping away from where the user is looking
+function renderSelectionChange() {
+    const messagesContainer = document.getElementById('messagesContainer');
+    const scrollTop = messagesContainer.scrollTop;
+    renderMessages();
+    messagesContainer.scrollTop = scrollTop;
+    updateSelectionToolbar();
+}
+
+// An undo step remembers, for every chat it touches, the message list and the fields the
+// toolbar can change
+function pushSelectionUndo(chats) {
+    selectionUndoStack.push(chats.map(({ chat, type }) => ({
+        chat: chat,
+        type: type,
+        messages: (chat.messages || []).map(message => ({
+            message: message,
+            senderId: message.senderId,
+            timestamp: message.timestamp,
+            order: message.order,
+            seenBy: (message.seenBy || []).slice()
+        }))
+    })));
+    if (selectionUndoStack.length > SELECTION_UNDO_LIMIT) {
+        selectionUndoStack.shift();
+    }
+}
+
+function undoSelectionChange() {
+    const snapshot = selectionUndoStack.pop();
+    if (!snapshot) return;
+    
+    // Where every message lives right now, to tell what actually has to be saved again
+    const currentLocation = new Map();
+    const restoredIds = new Set();
+    snapshot.forEach(({ chat, messages }) => {
+        (chat.messages || []).forEach(message => currentLocation.set(message.id, chat));
+        messages.forEach(entry => restoredIds.add(entry.message.id));
+    });
+    
+    snapshot.forEach(({ chat, messages }) => {
+        // Messages that arrived since (e.g. bot replies) stay at the end
+        const arrived = (chat.messages || []).filter(message => !restoredIds.has(message.id));
+        chat.messages = messages.map(entry => entry.message).concat(arrived);
+        
+        messages.forEach(entry => {
+            const message = entry.message;
+            const location = currentLocation.get(message.id);
+            const changed = location !== chat ||
+                message.senderId !== entry.senderId ||
+                message.timestamp !== entry.timestamp ||
+                message.order !== entry.order ||
+                (message.seenBy || []).join() !== entry.seenBy.join();
+            if (!changed) return;
+            
+            // Deleted messages lost their stored media, so store it again
+            if (!location) {
+                MESSAGE_MEDIA_FIELDS.forEach(field => {
+                    const holder = field.holder(message);
+                    if (holder) delete holder[field.idField];
                 });
-            } else if (typeof userReactions === 'string') {
-                // Old format: user has single reaction
-                reactionCounts[userReactions] = (reactionCounts[userReactions] || 0) + 1;
+            }
+            message.senderId = entry.senderId;
+            message.timestamp = entry.timestamp;
+            message.order = entry.order;
+            message.seenBy = entry.seenBy.slice();
+            queueMessageSave(message, chat); // Save to IndexedDB
+        });
+    });
+    
+    // Restored messages that are no longer in this chat can't stay selected
+    if (messageSelection) {
+        const ids = new Set((currentChat.messages || []).map(message => message.id));
+        messageSelection.forEach(id => {
+            if (!ids.has(id)) messageSelection.delete(id);
+        });
+    }
+    renderSelectionChange();
+}
+
+function deleteSelectedMessages() {
+    const selected = getSelectedMessages();
+    if (selected.length === 0) return;
+    
+    pushSelectionUndo([{ chat: currentChat, type: currentChatType }]);
+    currentChat.messages = currentChat.messages.filter(message => !messageSelection.has(message.id));
+    selected.forEach(message => queueMessageDelete(message.id)); // Save to IndexedDB
+    messageSelection.clear();
+    renderSelectionChange();
+}
+
+// Plain text in the conversation script format, so it can be pasted back as a script
+function formatMessageAsText(message) {
+    let senderName;
+    if (message.senderId === currentUser.id) {
+        senderName = '> You';
+    } else {
+        const sender = getMessageSender(message.senderId);
+        senderName = sender ? getMemberDisplayName(sender, currentChat) : 'Unknown';
+    }
+    
+    let body = message.text || '';
+    if (message.sticker) {
+        body = `[sticker: ${message.sticker.name || 'Sticker'}]`;
+    } else if (message.voice) {
+        body = `[voice ${formatVoiceTime(message.voice.duration || 0)}]`;
+    } else if (message.attachment) {
+        body = `[file: ${message.attachment.name}]`;
+    } else if (message.imageDataUrl) {
+        const caption = body && body !== message.imageName && body !== 'Photo' ? ' ' + body : '';
+        body = `[photo: ${message.imageName || 'photo'}]${caption}`;
+    }
+    
+    // Continuation lines are indented
+    return `${senderName}: ${body.split('\n').join('\n  ')}`;
+}
+
+function copySelectedMessages() {
+    const selected = getSelectedMessages();
+    if (selected.length === 0) return;
+    
+    const text = selected.map(formatMessageAsText).join('\n');
+    const done = () => {
+        updateSelectionToolbar(`Copied ${selected.length} message${selected.length === 1 ? '' : 's'}`);
+        setTimeout(() => updateSelectionToolbar(), 1500);
+    };
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).then(done).catch(() => copyTextFallback(text) && done());
+    } else if (copyTextFallback(text)) {
+        done();
+    }
+}
+
+function copyTextFallback(text) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch (error) {
+        console.error('Error copying messages:', error);
+    }
+    document.body.removeChild(textarea);
+    if (!copied) {
+        prompt('Copy the messages:', text);
+    }
+    return copied;
+}
+
+function showSelectionSenderOptions() {
+    if (getSelectedMessages().length === 0) return;
+    
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    setActionOptionsTitle('Change sender to:');
+    
+    getChatParticipants(currentChat).forEach(participant => {
+        const option = document.createElement('div');
+        option.className = `action-option ${participant.id === currentUser.id ? 'send-option' : 'receive-option'}`;
+        option.textContent = getMemberDisplayName(participant, currentChat);
+        option.addEventListener('click', () => {
+            hideActionOptions();
+            reassignSelectedMessages(participant.id);
+        });
+        list.appendChild(option);
+    });
+    
+    modal.style.display = 'block';
+}
+
+function reassignSelectedMessages(senderId) {
+    const selected = getSelectedMessages().filter(message => message.senderId !== senderId);
+    if (selected.length === 0) return;
+    
+    pushSelectionUndo([{ chat: currentChat, type: currentChatType }]);
+    selected.forEach(message => {
+        message.senderId = senderId;
+        // The sender has always seen their own message
+        if (!message.seenBy) message.seenBy = [];
+        if (!message.seenBy.includes(senderId)) message.seenBy.push(senderId);
+        queueMessageSave(message, currentChat); // Save to IndexedDB
+    });
+    renderSelectionChange();
+}
+
+// Move every selected message one place up (-1) or down (1). Messages trade times with the
+// neighbour they pass so the chat stays in time order; a selected block at the edge stays put.
+function moveSelectedMessages(direction) {
+    const messages = currentChat.messages || [];
+    if (getSelectedMessages().length === 0) return;
+    
+    pushSelectionUndo([{ chat: currentChat, type: currentChatType }]);
+    const indexes = messages.map((message, index) => index);
+    if (direction > 0) indexes.reverse();
+    
+    let moved = false;
+    indexes.forEach(index => {
+        const neighbourIndex = index + direction;
+        const message = messages[index];
+        const neighbour = messages[neighbourIndex];
+        if (!messageSelection.has(message.id) || !neighbour || messageSelection.has(neighbour.id)) return;
+        
+        [message.timestamp, neighbour.timestamp] = [neighbour.timestamp, message.timestamp];
+        [message.order, neighbour.order] = [neighbour.order, message.order];
+        messages[neighbourIndex] = message;
+        messages[index] = neighbour;
+        queueMessageSave(message, currentChat); // Save to IndexedDB
+        queueMessageSave(neighbour, currentChat);
+        moved = true;
+    });
+    
+    if (!moved) {
+        selectionUndoStack.pop();
+        return;
+    }
+    renderSelectionChange();
+}
+
+function showSelectionMoveOptions() {
+    if (getSelectedMessages().length === 0) return;
+    
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    setActionOptionsTitle('Move to chat:');
+    
+    getForwardableChats().filter(({ chat }) => chat !== currentChat).forEach(({ chat, type }) => {
+        const option = document.createElement('div');
+        option.className = 'action-option';
+        option.textContent = type === 'group' ? `${chat.name} (group)` : chat.name;
+        option.addEventListener('click', () => {
+            hideActionOptions();
+            moveSelectedMessagesTo(chat, type);
+        });
+        list.appendChild(option);
+    });
+    
+    modal.style.display = 'block';
+}
+
+// Move the selected messages into another chat, slotted in by time. Senders who aren't part
+// of that chat become whoever the chat is viewed as.
+function moveSelectedMessagesTo(chat, type) {
+    const selected = getSelectedMessages();
+    if (selected.length === 0 || chat === currentChat) return;
+    
+    pushSelectionUndo([{ chat: currentChat, type: currentChatType }, { chat: chat, type: type }]);
+    currentChat.messages = currentChat.messages.filter(message => !messageSelection.has(message.id));
+    if (!chat.messages) chat.messages = [];
+    
+    const participantIds = getChatParticipants(chat).map(participant => participant.id);
+    const viewerId = getChatViewer(chat).id;
+    selected.forEach(message => {
+        if (!participantIds.includes(message.senderId)) {
+            message.senderId = viewerId;
+        }
+        delete message.order; // Given a new place below
+        const index = chat.messages.findIndex(other => other.timestamp > message.timestamp);
+        chat.messages.splice(index === -1 ? chat.messages.length : index, 0, message);
+    });
+    selected.forEach(message => queueMessageSave(message, chat)); // Save to IndexedDB
+    
+    messageSelection.clear();
+    renderSelectionChange();
+}
+
+// Image Preview Modal Functions
+function showImagePreview(imageDataUrl) {
+    const modal = document.getElementById('imagePreviewModal');
+    const img = document.getElementById('imagePreviewImg');
+    
+    if (modal && img) {
+        img.src = imageDataUrl;
+        modal.style.display = 'block';
+        
+        // Close modal when clicking on background
+        modal.onclick = function(event) {
+            if (event.target === modal) {
+                hideImagePreview();
+            }
+        };
+        
+        // Close modal with Escape key
+        document.addEventListener('keydown', function escapeHandler(event) {
+            if (event.key === 'Escape') {
+                hideImagePreview();
+                document.removeEventListener('keydown', escapeHandler);
+            }
+        });
+    }
+}
+
+function hideImagePreview() {
+    const modal = document.getElementById('imagePreviewModal');
+    if (modal) {
+        modal.style.display = 'none';
+        // Remove click listener to prevent memory leaks
+        modal.onclick = null;
+    }
+}
+
+// Rules Modal Functions
+let rulesModalEscapeHandler = null;
+
+function showRulesModal() {
+    const modal = document.getElementById('rulesModal');
+    if (modal) {
+        modal.style.display = 'block';
+        
+        // Close modal when clicking on background
+        modal.onclick = function(event) {
+            if (event.target === modal) {
+                hideRulesModal();
+            }
+        };
+        
+        // Create single escape handler
+        rulesModalEscapeHandler = function(event) {
+            if (event.key === 'Escape') {
+                hideRulesModal();
+            }
+        };
+        
+        // Add escape key listener
+        document.addEventListener('keydown', rulesModalEscapeHandler);
+        
+        // Scroll to top when modal opens
+        setTimeout(() => {
+            modal.scrollTop = 0;
+        }, 100);
+    }
+}
+
+function hideRulesModal() {
+    const modal = document.getElementById('rulesModal');
+    if (modal) {
+        modal.style.display = 'none';
+        // Remove click listener to prevent memory leaks
+        modal.onclick = null;
+        
+        // Remove escape key listener
+        if (rulesModalEscapeHandler) {
+            document.removeEventListener('keydown', rulesModalEscapeHandler);
+            rulesModalEscapeHandler = null;
+        }
+    }
+}
+
+function findMessage(messageId) {
+    return currentChat.messages.find(m => m.id === messageId);
+}
+
+// Emoji Selection for Reactions
+function selectEmoji(emoji) {
+    // Toggle reaction to message
+    if (contextMenuTargetMessage) {
+        const message = findMessage(contextMenuTargetMessage);
+        if (message) {
+            if (!message.reactions) {
+                message.reactions = {};
+            }
+            
+            // Toggle reaction: remove if same emoji, add if different or none
+            toggleUserReaction(message, currentUser.id, emoji);
+            queueMessageSave(message, currentChat); // Save to IndexedDB
+            refreshMessageElement(message.id);
+        }
+        contextMenuTargetMessage = null;
+    }
+    hideEmojiPicker();
+}
+
+// Quick reaction picker for the reaction button
+function showQuickReactionPicker(event, messageId) {
+    // Create quick reaction picker if it doesn't exist
+    let quickPicker = document.getElementById('quickReactionPicker');
+    if (!quickPicker) {
+        quickPicker = document.createElement('div');
+        quickPicker.id = 'quickReactionPicker';
+        quickPicker.className = 'quick-reaction-picker';
+        quickPicker.innerHTML = `
+            <div class="quick-menu-content">
+                <div class="quick-reaction-grid">
+                    <span class="quick-emoji" data-emoji="👍">👍</span>
+                    <span class="quick-emoji" data-emoji="❤️">❤️</span>
+                    <span class="quick-emoji" data-emoji="😂">😂</span>
+                    <span class="quick-emoji" data-emoji="😮">😮</span>
+                    <span class="quick-emoji" data-emoji="😢">😢</span>
+                    <span class="quick-emoji" data-emoji="😡">😡</span>
+                    <span class="quick-emoji" data-emoji="🔥">🔥</span>
+                    <span class="quick-emoji quick-emoji-more" title="More emoji">+</span>
+                </div>
+                <div class="quick-actions">
+                    <button class="quick-action-btn" data-action="reply">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M10 9V5l-7 7 7 7v-4.1c5 0 8.5 1.6 11 5.1-1-5-4-10-11-11z"/>
+                        </svg>
+                        Reply
+                    </button>
+                    <button class="quick-action-btn" data-action="forward">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M14 9V5l7 7-7 7v-4.1c-5 0-8.5 1.6-11 5.1 1-5 4-10 11-11z"/>
+                        </svg>
+                        Forward
+                    </button>
+                    <button class="quick-action-btn" data-action="edit">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                        </svg>
+                        Edit
+                    </button>
+                    <button class="quick-action-btn" data-action="delete">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                        </svg>
+                        Delete
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(quickPicker);
+        
+        // Use event delegation to handle clicks
+        quickPicker.addEventListener('click', (e) => {
+            e.stopPropagation();
+            
+            const emojiElement = e.target.closest('.quick-emoji');
+            const actionElement = e.target.closest('.quick-action-btn');
+            
+            if (emojiElement && emojiElement.classList.contains('quick-emoji-more')) {
+                // Any emoji from the full picker
+                const messageId = contextMenuTargetMessage;
+                hideQuickReactionPicker();
+                showEmojiPicker(emoji => chooseQuickReaction(messageId, emoji));
+            } else if (emojiElement) {
+                chooseQuickReaction(contextMenuTargetMessage, emojiElement.dataset.emoji);
+                hideQuickReactionPicker();
+            } else if (actionElement) {
+                const action = actionElement.dataset.action;
+                switch(action) {
+                    case 'reply':
+                        replyToMessage();
+                        break;
+                    case 'forward':
+                        forwardMessage();
+                        break;
+                    case 'edit':
+                        editMessage();
+                        break;
+                    case 'delete':
+                        deleteMessage();
+                        break;
+                }
+                hideQuickReactionPicker();
+            }
+        });
+    }
+    
+    // Set the current message for reaction
+    contextMenuTargetMessage = messageId;
+    
+    // Position the picker near the reaction button with viewport clamping
+    const rect = event.target.getBoundingClientRect();
+    const pickerWidth = 380; // Increased width for combined menu
+    const pickerHeight = 120; // Increased height for action buttons
+    
+    let top = rect.top - pickerHeight - 8;
+    let left = rect.left - pickerWidth / 2;
+    
+    // Clamp to viewport bounds
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+    
+    // Adjust horizontal position
+    if (left < 8) left = 8;
+    if (left + pickerWidth > viewportWidth - 8) left = viewportWidth - pickerWidth - 8;
+    
+    // Adjust vertical position
+    if (top < 8) top = rect.bottom + 8; // Show below if no space above
+    if (top + pickerHeight > viewportHeight - 8) top = viewportHeight - pickerHeight - 8;
+    
+    quickPicker.style.position = 'fixed';
+    quickPicker.style.top = top + 'px';
+    quickPicker.style.left = left + 'px';
+    quickPicker.style.display = 'block';
+    quickPicker.style.zIndex = '1000';
+    
+    // Hide picker when clicking outside or pressing Escape
+    // Add a longer delay to prevent immediate closing when releasing mouse button
+    setTimeout(() => {
+        document.addEventListener('click', hideQuickReactionPicker, { once: true });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                hideQuickReactionPicker();
+            }
+        }, { once: true });
+    }, 500); // Increased delay to 500ms
+}
+
+function chooseQuickReaction(messageId, emoji) {
+    if (currentChatType === 'group') {
+        showReactionMemberPicker(emoji, messageId);
+    } else {
+        addQuickReaction(messageId, emoji);
+    }
+}
+
+function hideQuickReactionPicker() {
+    const quickPicker = document.getElementById('quickReactionPicker');
+    if (quickPicker) {
+        quickPicker.style.display = 'none';
+    }
+}
+
+function addQuickReaction(messageId, emoji) {
+    const message = findMessage(messageId);
+    if (message) {
+        if (!message.reactions) {
+            message.reactions = {};
+        }
+        
+        // One reaction per person that toggles off when repeated
+        toggleUserReaction(message, currentUser.id, emoji);
+        queueMessageSave(message, currentChat); // Save to IndexedDB
+        refreshMessageElement(message.id);
+    }
+}
+
+// Reactions are stored as { userId: { emoji: count } } in every chat type (see SCHEMA_MIGRATIONS)
+function getReactionCounts(message) {
+    const reactionCounts = {};
+    Object.values(message.reactions || {}).forEach(userReactions => {
+        Object.entries(userReactions || {}).forEach(([emoji, count]) => {
+            reactionCounts[emoji] = (reactionCounts[emoji] || 0) + count;
+        });
+    });
+    return reactionCounts;
+}
+
+function toggleUserReaction(message, userId, emoji) {
+    if (!message.reactions) message.reactions = {};
+    const current = message.reactions[userId];
+    if (current && current[emoji] && Object.keys(current).length === 1) {
+        delete message.reactions[userId];
+    } else {
+        message.reactions[userId] = { [emoji]: 1 };
+    }
+}
+
+function addReactionCount(message, userId, emoji, count = 1) {
+    if (!message.reactions) message.reactions = {};
+    if (!message.reactions[userId]) message.reactions[userId] = {};
+    message.reactions[userId][emoji] = (message.reactions[userId][emoji] || 0) + count;
+}
+
+// Reaction Details Functions
+// The Reactions sheet lists who reacted with what and lets you set any participant's
+// reaction. Everyone holds one reaction at a time, as in Messenger; counts above one
+// only appear in group chats saved when reactions were added as anonymous counts.
+let reactionSheet = { messageId: null, emoji: null, picking: null }; // emoji: tab shown, null for All; picking: emoji being assigned
+let reactionSheetEscapeHandler = null;
+
+function showReactionSheet(messageId, pickingEmoji = null) {
+    const sheet = document.getElementById('reactionSheet');
+    if (!sheet || !currentChat || !findMessage(messageId)) return;
+    
+    reactionSheet = { messageId: messageId, emoji: null, picking: pickingEmoji };
+    renderReactionSheet();
+    sheet.style.display = 'flex';
+    
+    if (!reactionSheetEscapeHandler) {
+        reactionSheetEscapeHandler = function(event) {
+            if (event.key === 'Escape') {
+                hideReactionSheet();
+            }
+        };
+        document.addEventListener('keydown', reactionSheetEscapeHandler);
+    }
+}
+
+function hideReactionSheet() {
+    const sheet = document.getElementById('reactionSheet');
+    if (sheet) sheet.style.display = 'none';
+    if (reactionSheetEscapeHandler) {
+        document.removeEventListener('keydown', reactionSheetEscapeHandler);
+        reactionSheetEscapeHandler = null;
+    }
+}
+
+// Choose who reacts with an emoji; replaces the old "how many?" prompt
+function showReactionMemberPicker(emoji, messageId) {
+    showReactionSheet(messageId, emoji);
+}
+
+// One entry per person and emoji, in the order the reactions were stored
+function getReactionEntries(message) {
+    const entries = [];
+    Object.entries(message.reactions || {}).forEach(([userId, userReactions]) => {
+        Object.entries(userReactions || {}).forEach(([emoji, count]) => {
+            entries.push({ userId: userId, emoji: emoji, count: count });
+        });
+    });
+    return entries;
+}
+
+function getReactionMemberName(userId) {
+    if (userId === currentUser.id) return 'You';
+    const participant = getParticipant(userId);
+    if (!participant) return 'Unknown';
+    return currentChatType === 'group' ? getMemberDisplayName(participant, currentChat) : participant.name;
+}
+
+function createReactionAvatar(userId) {
+    const participant = getParticipant(userId);
+    const name = participant ? participant.name : 'Unknown';
+    const avatar = document.createElement('img');
+    avatar.className = 'reaction-sheet-avatar';
+    avatar.src = (participant && participant.avatarDataUrl) || generateDefaultAvatar(name);
+    avatar.alt = name;
+    avatar.onerror = function() { this.style.visibility = 'hidden'; };
+    return avatar;
+}
+
+function renderReactionSheet() {
+    const message = currentChat && findMessage(reactionSheet.messageId);
+    if (!message) {
+        hideReactionSheet();
+        return;
+    }
+    
+    if (reactionSheet.picking) {
+        renderReactionMemberPicker(message);
+    } else {
+        renderReactionDetails(message);
+    }
+}
+
+function renderReactionDetails(message) {
+    const entries = getReactionEntries(message);
+    const reactionCounts = getReactionCounts(message);
+    if (reactionSheet.emoji && !reactionCounts[reactionSheet.emoji]) reactionSheet.emoji = null;
+    document.getElementById('reactionSheetTitle').textContent = 'Reactions';
+    
+    // "All" followed by a tab per emoji
+    const tabs = document.getElementById('reactionSheetTabs');
+    tabs.innerHTML = '';
+    tabs.style.display = entries.length > 0 ? '' : 'none';
+    const addTab = (emoji, label) => {
+        const tab = document.createElement('button');
+        tab.className = 'reaction-sheet-tab';
+        if (emoji === reactionSheet.emoji) tab.classList.add('active');
+        tab.textContent = label;
+        tab.addEventListener('click', () => {
+            reactionSheet.emoji = emoji;
+            renderReactionSheet();
+        });
+        tabs.appendChild(tab);
+    };
+    const totalCount = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
+    addTab(null, `All ${totalCount}`);
+    Object.entries(reactionCounts).forEach(([emoji, count]) => addTab(emoji, `${emoji} ${count}`));
+    
+    const list = document.getElementById('reactionSheetList');
+    list.innerHTML = '';
+    entries
+        .filter(entry => !reactionSheet.emoji || entry.emoji === reactionSheet.emoji)
+        .forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'reaction-sheet-row';
+            row.appendChild(createReactionAvatar(entry.userId));
+            
+            const name = document.createElement('span');
+            name.className = 'reaction-sheet-name';
+            name.textContent = getReactionMemberName(entry.userId);
+            row.appendChild(name);
+            
+            const emoji = document.createElement('span');
+            emoji.className = 'reaction-sheet-emoji';
+            emoji.textContent = entry.count > 1 ? `${entry.emoji} ×${entry.count}` : entry.emoji;
+            row.appendChild(emoji);
+            
+            const remove = document.createElement('button');
+            remove.className = 'reaction-sheet-remove';
+            remove.title = 'Remove this reaction';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                removeMemberReaction(message, entry.userId, entry.emoji);
+                queueMessageSave(message, currentChat); // Save to IndexedDB
+                refreshMessageElement(message.id);
+                renderReactionSheet();
+            });
+            row.appendChild(remove);
+            list.appendChild(row);
+        });
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'reaction-sheet-empty';
+        empty.textContent = 'No reactions yet.';
+        list.appendChild(empty);
+    }
+    
+    const footer = document.getElementById('reactionSheetFooter');
+    footer.innerHTML = '';
+    if (reactionSheet.emoji) {
+        const editButton = document.createElement('button');
+        editButton.className = 'btn-secondary';
+        editButton.textContent = `Who reacted ${reactionSheet.emoji}`;
+        editButton.addEventListener('click', () => showReactionMemberPicker(reactionSheet.emoji, message.id));
+        footer.appendChild(editButton);
+    }
+    const addButton = document.createElement('button');
+    addButton.className = 'btn-primary';
+    addButton.textContent = 'Add reaction';
+    addButton.addEventListener('click', () => {
+        hideReactionSheet();
+        showEmojiPicker(emoji => showReactionMemberPicker(emoji, message.id));
+    });
+    footer.appendChild(addButton);
+}
+
+// A checkbox per participant; ticking someone makes this emoji their reaction
+function renderReactionMemberPicker(message) {
+    const emoji = reactionSheet.picking;
+    const participants = getChatParticipants(currentChat);
+    const hasReacted = userId => !!(message.reactions && message.reactions[userId] && message.reactions[userId][emoji]);
+    // Nobody has this emoji yet: start with yourself ticked
+    const isNew = !participants.some(participant => hasReacted(participant.id));
+    
+    document.getElementById('reactionSheetTitle').textContent = `Who reacted ${emoji}?`;
+    document.getElementById('reactionSheetTabs').style.display = 'none';
+    
+    const list = document.getElementById('reactionSheetList');
+    list.innerHTML = '';
+    participants.forEach(participant => {
+        const row = document.createElement('div');
+        row.className = 'member-checkbox';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `reaction_member_${participant.id}`;
+        checkbox.value = participant.id;
+        checkbox.checked = isNew ? participant.id === currentUser.id : hasReacted(participant.id);
+        
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.textContent = getReactionMemberName(participant.id);
+        
+        // Picking this emoji replaces whatever else they reacted with
+        const others = Object.keys((message.reactions && message.reactions[participant.id]) || {}).filter(other => other !== emoji);
+        if (others.length > 0) {
+            const current = document.createElement('span');
+            current.className = 'reaction-sheet-emoji';
+            current.textContent = others.join('');
+            label.appendChild(current);
+        }
+        
+        row.appendChild(checkbox);
+        row.appendChild(createReactionAvatar(participant.id));
+        row.appendChild(label);
+        list.appendChild(row);
+    });
+    
+    const footer = document.getElementById('reactionSheetFooter');
+    footer.innerHTML = '';
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'btn-secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+        reactionSheet.picking = null;
+        renderReactionSheet();
+    });
+    const doneButton = document.createElement('button');
+    doneButton.className = 'btn-primary';
+    doneButton.textContent = 'Done';
+    doneButton.addEventListener('click', () => {
+        const checkedIds = Array.from(list.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+        participants.forEach(participant => {
+            if (checkedIds.includes(participant.id)) {
+                if (!hasReacted(participant.id)) setMemberReaction(message, participant.id, emoji);
+            } else if (hasReacted(participant.id)) {
+                removeMemberReaction(message, participant.id, emoji);
             }
         });
+        queueMessageSave(message, currentChat); // Save to IndexedDB
+        refreshMessageElement(message.id);
+        
+        reactionSheet.picking = null;
+        reactionSheet.emoji = emoji;
+        renderReactionSheet();
+    });
+    footer.appendChild(cancelButton);
+    footer.appendChild(doneButton);
+}
+
+function setMemberReaction(message, userId, emoji) {
+    if (!message.reactions) message.reactions = {};
+    message.reactions[userId] = { [emoji]: 1 };
+}
+
+function removeMemberReaction(message, userId, emoji) {
+    const userReactions = message.reactions && message.reactions[userId];
+    if (!userReactions) return;
+    delete userReactions[emoji];
+    if (Object.keys(userReactions).length === 0) delete message.reactions[userId];
+}
+
+// Seen Status Functions
+function markMessageAsSeen(messageId, userId) {
+    const message = findMessage(messageId);
+    if (message && !message.seenBy.includes(userId)) {
+        message.seenBy.push(userId);
+        queueMessageSave(message, currentChat); // Save to IndexedDB
+    }
+}
+
+function markAllMessagesAsSeenByCurrentUser() {
+    if (!currentChat || !currentChat.messages) return;
+    
+    currentChat.messages.forEach(message => {
+        if (message.senderId !== currentUser.id) {
+            markMessageAsSeen(message.id, currentUser.id);
+        }
+    });
+}
+
+// Status Text Editing
+function editStatusText() {
+    if (currentChatType !== 'user') return;
+    
+    const newStatus = prompt('Enter new status:', currentChat.statusText);
+    if (newStatus !== null) {
+        currentChat.statusText = newStatus.trim() || 'Available';
+        document.getElementById('chatStatus').textContent = currentChat.statusText;
+        
+        // Save to IndexedDB
+        queueChatSave(currentChat, currentChatType);
+        
+        // Update in sidebar
+        renderContacts();
+    }
+}
+
+// Auto-resize textarea function (Facebook Messenger style)
+function autoResizeTextarea(textarea) {
+    // Reset height to calculate scrollHeight properly
+    textarea.style.height = 'auto';
+    
+    // Set height based on content, with max limit of 120px
+    const newHeight = Math.min(textarea.scrollHeight, 120);
+    textarea.style.height = newHeight + 'px';
+    
+    // Update wrapper alignment for better visual appearance
+    const wrapper = textarea.closest('.message-input-wrapper');
+    if (wrapper) {
+        // For multi-line text, align to bottom for better visual balance
+        wrapper.style.alignItems = textarea.scrollHeight > 32 ? 'flex-end' : 'center';
+    }
+    
+    // Ensure smooth scrolling when content exceeds max height
+    if (textarea.scrollHeight > 120) {
+        textarea.scrollTop = textarea.scrollHeight;
+    }
+}
+
+// Dark Mode Functions
+function toggleDarkMode() {
+    const body = document.body;
+    const isCurrentlyDark = body.getAttribute('data-theme') === 'dark';
+    const lightIcon = document.querySelector('#darkModeToggle .light-icon');
+    const darkIcon = document.querySelector('#darkModeToggle .dark-icon');
+    
+    if (isCurrentlyDark) {
+        // Switch to light mode
+        body.removeAttribute('data-theme');
+        lightIcon.style.display = 'block';
+        darkIcon.style.display = 'none';
+        localStorage.setItem('darkMode', 'false');
+    } else {
+        // Switch to dark mode
+        body.setAttribute('data-theme', 'dark');
+        lightIcon.style.display = 'none';
+        darkIcon.style.display = 'block';
+        localStorage.setItem('darkMode', 'true');
+    }
+}
+
+function loadDarkModePreference() {
+    const darkModeEnabled = localStorage.getItem('darkMode') === 'true';
+    const body = document.body;
+    const lightIcon = document.querySelector('#darkModeToggle .light-icon');
+    const darkIcon = document.querySelector('#darkModeToggle .dark-icon');
+    
+    if (darkModeEnabled) {
+        body.setAttribute('data-theme', 'dark');
+        if (lightIcon) lightIcon.style.display = 'none';
+        if (darkIcon) darkIcon.style.display = 'block';
+    } else {
+        body.removeAttribute('data-theme');
+        if (lightIcon) lightIcon.style.display = 'block';
+        if (darkIcon) darkIcon.style.display = 'none';
+    }
+}
+
+function initializeDarkMode() {
+    // Load saved preference
+    loadDarkModePreference();
+    
+    // Add event listener to toggle button
+    const darkModeToggle = document.getElementById('darkModeToggle');
+    if (darkModeToggle) {
+        darkModeToggle.addEventListener('click', toggleDarkMode);
+    }
+}
+
+// Conversation Script Functions
+// A script is one line per message, e.g.
+//   Rahim: hi
+//   > You: hello            (a leading ">" marks a message sent by you; the name is optional)
+//   Rahim: [photo: beach.jpg]
+//   [react ❤️ by Mimi]      (reacts to the message above)
+//   [time: 21:40]           (time of the next message; "2025-03-12 21:40" also works)
+// Indented lines continue the message above.
+const SCRIPT_MESSAGE_STEP_SECONDS = 20; // time between consecutive script messages
+
+let scriptModalEscapeHandler = null;
+let scriptPhotos = {}; // file name -> data URL, chosen with the "Photos" input
+let scriptParseResult = null;
+
+function showScriptModal() {
+    if (!currentChat || currentChat.isDeveloper || currentChat.isSpecialProfile) return;
+    
+    const modal = document.getElementById('scriptModal');
+    if (modal) {
+        modal.style.display = 'block';
+        updateScriptPreview();
         
-        const reactionsDiv = document.createElement('div');
-        reactionsDiv.className = 'message-reactions';
+        // Close modal when clicking on background
+        modal.onclick = function(event) {
+            if (event.target === modal) {
+                hideScriptModal();
+            }
+        };
         
-        // Facebook Messenger style: combine all reactions in single bubble
-        const combinedReaction = document.createElement('div');
-        combinedReaction.className = 'reaction';
+        scriptModalEscapeHandler = function(event) {
+            if (event.key === 'Escape') {
+                hideScriptModal();
+            }
+        };
+        document.addEventListener('keydown', scriptModalEscapeHandler);
+    }
+}
+
+function hideScriptModal() {
+    const modal = document.getElementById('scriptModal');
+    if (modal) {
+        modal.style.display = 'none';
+        modal.onclick = null;
         
-        // Check if current user has reacted with any emoji
-        let userHasReacted = false;
-        if (currentChatType === 'group') {
-            userHasReacted = !!(message.reactions[currentUser.id] && Object.keys(message.reactions[currentUser.id]).length > 0);
-        } else {
-            userHasReacted = !!(message.reactions && message.reactions[currentUser.id]);
+        if (scriptModalEscapeHandler) {
+            document.removeEventListener('keydown', scriptModalEscapeHandler);
+            scriptModalEscapeHandler = null;
         }
-        
-        if (userHasReacted) {
-            combinedReaction.classList.add('user-reacted');
+    }
+}
+
+// Everyone who can speak in the current chat, keyed by normalized name
+function getScriptSpeakers() {
+    const speakers = new Map();
+    const addSpeaker = (name, userId) => {
+        const key = normalizeText(name);
+        if (key && !speakers.has(key)) speakers.set(key, userId);
+    };
+    
+    addSpeaker(currentUser.name, currentUser.id);
+    addSpeaker('You', currentUser.id);
+    addSpeaker('Me', currentUser.id);
+    
+    getOtherParticipants().forEach(participant => {
+        addSpeaker(getMemberDisplayName(participant, currentChat), participant.id);
+        addSpeaker(participant.name, participant.id);
+    });
+    return speakers;
+}
+
+// Turn script text into a list of entries, collecting one error per bad line
+function parseConversationScript(text) {
+    const speakers = getScriptSpeakers();
+    const entries = [];
+    const errors = [];
+    let lastMessage = null;
+    let lastSenderId = null;
+    
+    const resolveSender = (name, lineNumber) => {
+        const senderId = speakers.get(normalizeText(name));
+        if (!senderId) {
+            errors.push({ line: lineNumber, message: `Unknown sender "${name}"` });
         }
+        return senderId || null;
+    };
+    
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (!line) return;
         
-        // Calculate total count of all reactions
-        const totalCount = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
-        
-        // Add single-reaction class if total count is 1 (to hide count display)
-        if (totalCount === 1) {
-            combinedReaction.classList.add('single-reaction');
-            reactionsDiv.classList.add('single-reaction'); // For CSS positioning fallback
+        // Indented lines continue the previous message
+        if (/^\s/.test(rawLine) && lastMessage && !line.startsWith('[')) {
+            lastMessage.text += '\n' + line;
+            return;
         }
         
-        // Add click handler to show all reactions
-        combinedReaction.addEventListener('click', (event) => {
-            event.stopPropagation();
-            // Show reaction picker so user can see all reactions and add/remove
-            showQuickReactionPicker(event, message.id);
-        });
-        
-        // Create emoji container for all emojis
-        const emojiContainer = document.createElement('span');
-        emojiContainer.className = 'reaction-emojis';
+        // Directives on their own line
+        const directive = line.match(/^\[(\w+)\s*:?\s*(.*?)\]$/);
+        if (directive && directive[1].toLowerCase() !== 'photo') {
+            const name = directive[1].toLowerCase();
+            const value = directive[2].trim();
+            
+            if (name === 'time') {
+                if (!value) {
+                    errors.push({ line: lineNumber, message: 'Missing time, e.g. [time: 21:40]' });
+                } else {
+                    entries.push({ kind: 'time', line: lineNumber, value: value });
+                }
+            } else if (name === 'react') {
+                const reaction = value.match(/^(.+?)(?:\s+by\s+(.+))?$/i);
+                if (!reaction) {
+                    errors.push({ line: lineNumber, message: 'Missing emoji, e.g. [react ❤️ by Mimi]' });
+                } else if (!lastMessage) {
+                    errors.push({ line: lineNumber, message: 'There is no message above to react to' });
+                } else {
+                    const userId = reaction[2] ? resolveSender(reaction[2].trim(), lineNumber) : currentUser.id;
+                    if (userId) {
+                        entries.push({ kind: 'react', line: lineNumber, emoji: reaction[1].trim(), userId: userId, message: lastMessage });
+                    }
+                }
+            } else {
+                errors.push({ line: lineNumber, message: `Unknown directive [${directive[1]}]` });
+            }
+            return;
+        }
         
-        // Add all emoji types to the container
-        Object.keys(reactionCounts).forEach(emoji => {
-            const emojiSpan = document.createElement('span');
-            emojiSpan.className = 'reaction-emoji';
-            emojiSpan.textContent = emoji;
-            emojiContainer.appendChild(emojiSpan);
-        });
+        // Messages: "Name: text", "> Name: text", "> text", or a photo from the last sender
+        let senderId = null;
+        let body = line;
+        const isSent = line.startsWith('>');
+        if (isSent) {
+            body = line.slice(1).trim();
+        }
         
-        // Create count span for total count
-        const countSpan = document.createElement('span');
-        countSpan.className = 'reaction-count';
-        countSpan.textContent = totalCount;
+        const speaker = body.match(/^([^:\[\]]+?)\s*:\s*(.*)$/);
+        if (speaker && (!isSent || speakers.get(normalizeText(speaker[1])) === currentUser.id)) {
+            senderId = resolveSender(speaker[1], lineNumber);
+            body = speaker[2];
+            if (!senderId) return;
+        } else if (isSent) {
+            senderId = currentUser.id;
+        } else if (/^\[photo\b/i.test(body) && lastSenderId) {
+            senderId = lastSenderId;
+        } else {
+            errors.push({ line: lineNumber, message: 'Expected "Name: message"' });
+            return;
+        }
         
-        combinedReaction.appendChild(emojiContainer);
-        combinedReaction.appendChild(countSpan);
-        reactionsDiv.appendChild(combinedReaction);
+        const message = { kind: 'message', line: lineNumber, senderId: senderId, text: body, photo: null };
+        const photo = body.match(/^\[photo\s*:\s*(.+?)\]\s*(.*)$/i);
+        if (photo) {
+            message.photo = photo[1].trim();
+            message.text = photo[2].trim();
+            if (!findScriptPhoto(message.photo)) {
+                errors.push({ line: lineNumber, message: `Photo "${message.photo}" not found — add it with "Photos"` });
+                return;
+            }
+        } else if (!body) {
+            errors.push({ line: lineNumber, message: 'Empty message' });
+            return;
+        }
         
-        messageWrapper.appendChild(reactionsDiv);
-    }
+        entries.push(message);
+        lastMessage = message;
+        lastSenderId = senderId;
+    });
     
-    // Add seen status indicators for sent messages
-    if (isFromMe && message.seenBy && message.seenBy.length > 0) {
-        const seenIndicators = document.createElement('div');
-        seenIndicators.className = 'seen-indicators';
-        
-        // Get users who have seen this message (excluding sender)
-        const seenUsers = message.seenBy.filter(userId => userId !== message.senderId);
-        
-        // Show up to 3 profile pictures
-        seenUsers.slice(0, 3).forEach(userId => {
-            let user;
-            if (currentChatType === 'group') {
-                user = users.find(u => u.id === userId);
-            } else {
-                user = currentChat; // In 1:1 chat, the other person
+    return { entries: entries, errors: errors };
+}
+
+// Photos come from the files chosen in the modal, or from images already in the chat
+function findScriptPhoto(fileName) {
+    if (scriptPhotos[fileName]) return scriptPhotos[fileName];
+    const existing = (currentChat.messages || []).find(m => m.imageDataUrl && m.imageName === fileName);
+    return existing ? existing.imageDataUrl : null;
+}
+
+// Work out timestamps: [time] sets the clock, every message advances it by a step.
+// Without any [time] the last message lands on the current time.
+function scheduleScriptEntries(entries) {
+    const stepMs = SCRIPT_MESSAGE_STEP_SECONDS * 1000;
+    const messageCount = entries.filter(entry => entry.kind === 'message').length;
+    let clock = new Date(Date.now() - Math.max(0, messageCount - 1) * stepMs);
+    let clockSet = false;
+    const times = new Map();
+    const errors = [];
+    
+    entries.forEach(entry => {
+        if (entry.kind === 'time') {
+            let date = parseDateTimeInput(entry.value, clock);
+            if (!date) {
+                errors.push({ line: entry.line, message: 'Use a time like 21:40 or 2025-03-12 21:40' });
+                return;
             }
-            
-            if (user) {
-                const seenAvatar = document.createElement('img');
-                seenAvatar.className = 'seen-avatar';
-                seenAvatar.src = user.avatarDataUrl || generateDefaultAvatar(user.name);
-                seenAvatar.alt = user.name;
-                seenAvatar.title = `Seen by ${user.name}`;
-                seenAvatar.onerror = function() { this.style.display = 'none'; };
-                seenIndicators.appendChild(seenAvatar);
+            // "00:10" after "23:50" means the next day
+            if (clockSet && /^\d{1,2}:\d{2}$/.test(entry.value) && date < clock) {
+                date = new Date(date.getTime() + 24 * 60 * 60 * 1000);
             }
-        });
-        
-        if (seenUsers.length > 0) {
-            messageWrapper.appendChild(seenIndicators);
+            clock = date;
+            clockSet = true;
+        } else if (entry.kind === 'message') {
+            times.set(entry, new Date(clock));
+            clock = new Date(clock.getTime() + stepMs);
         }
-    }
-    
-    // Avatar/spacer for received messages is handled earlier to avoid duplicates
-    
-    // For sent messages, no avatar (like Facebook Messenger)
-    
-    messageDiv.appendChild(messageContent);
+    });
     
-    return messageDiv;
+    return { times: times, errors: errors };
 }
 
-// Message Input Handling
-function handleTyping() {
-    const messageInput = document.getElementById('messageInput');
-    const sendBtn = document.getElementById('sendBtn');
-    const likeBtn = document.getElementById('likeBtn');
-    const leftActions = document.querySelector('.input-actions-left');
-    const toggleBtn = document.getElementById('toggleActionsBtn');
-    const inputWrapper = document.querySelector('.message-input-wrapper');
-    
-    const hasText = messageInput.value.trim().length > 0;
+function updateScriptPreview() {
+    const text = document.getElementById('scriptInput').value;
+    const preview = document.getElementById('scriptPreview');
+    const summary = document.getElementById('scriptSummary');
+    const applyBtn = document.getElementById('scriptApplyBtn');
+    
+    const parsed = parseConversationScript(text);
+    const schedule = scheduleScriptEntries(parsed.entries);
+    const errors = parsed.errors.concat(schedule.errors).sort((a, b) => a.line - b.line);
+    scriptParseResult = { entries: parsed.entries, times: schedule.times, errors: errors };
+    
+    preview.innerHTML = '';
+    const senderName = userId => {
+        if (userId === currentUser.id) return 'You';
+        const user = getParticipant(userId);
+        return user ? user.name : 'Unknown';
+    };
     
-    // If arrow was clicked with text and user types one character, hide actions
-    if (arrowClickedWithText && hasText) {
-        arrowClickedWithText = false; // Reset the flag
-        leftActions.classList.add('hidden');
-        toggleBtn.style.display = 'flex';
-        inputWrapper.classList.add('expanded');
-    }
+    // Errors and parsed lines are listed together in script order
+    const rows = [];
+    errors.forEach(error => {
+        const row = document.createElement('div');
+        row.className = 'script-preview-row script-preview-error';
+        row.textContent = `Line ${error.line}: ${error.message}`;
+        rows.push({ line: error.line, row: row });
+    });
     
-    if (hasText && !isTyping) {
-        isTyping = true;
-        sendBtn.style.display = 'flex';
-        likeBtn.style.display = 'none';
-        
-        // Hide left actions and show toggle button (only if not already handled above)
-        if (!leftActions.classList.contains('hidden')) {
-            leftActions.classList.add('hidden');
-            toggleBtn.style.display = 'flex';
-            inputWrapper.classList.add('expanded');
+    parsed.entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'script-preview-row';
+        if (entry.kind === 'message') {
+            row.classList.add(entry.senderId === currentUser.id ? 'script-preview-sent' : 'script-preview-received');
+            const time = schedule.times.get(entry);
+            const content = entry.photo ? `📷 ${entry.photo}${entry.text ? ' · ' + entry.text : ''}` : entry.text;
+            row.textContent = `${senderName(entry.senderId)}: ${content}`;
+            row.title = formatDateTimeInput(time);
+        } else if (entry.kind === 'react') {
+            row.classList.add('script-preview-note');
+            row.textContent = `↳ ${entry.emoji} by ${senderName(entry.userId)}`;
+        } else {
+            row.classList.add('script-preview-note');
+            row.textContent = `🕘 ${entry.value}`;
         }
-        
-    } else if (!hasText && isTyping) {
-        isTyping = false;
-        sendBtn.style.display = 'none';
-        likeBtn.style.display = 'flex';
-        arrowClickedWithText = false; // Reset flag when no text
-        
-        // Show left actions and hide toggle button
-        leftActions.classList.remove('hidden');
-        toggleBtn.style.display = 'none';
-        inputWrapper.classList.remove('expanded');
-    }
-}
-
-// Toggle actions visibility
-function toggleActions() {
-    const messageInput = document.getElementById('messageInput');
-    const leftActions = document.querySelector('.input-actions-left');
-    const toggleBtn = document.getElementById('toggleActionsBtn');
-    const inputWrapper = document.querySelector('.message-input-wrapper');
-    
-    const hasText = messageInput.value.trim().length > 0;
+        rows.push({ line: entry.line, row: row });
+    });
+    rows.sort((a, b) => a.line - b.line).forEach(item => preview.appendChild(item.row));
     
-    if (leftActions.classList.contains('hidden')) {
-        // Show actions (arrow was clicked while there's text)
-        if (hasText) {
-            arrowClickedWithText = true;
-        }
-        leftActions.classList.remove('hidden');
-        toggleBtn.style.display = 'none';
-        inputWrapper.classList.remove('expanded');
+    const messageCount = parsed.entries.filter(entry => entry.kind === 'message').length;
+    if (errors.length > 0) {
+        summary.textContent = `${errors.length} line${errors.length === 1 ? '' : 's'} to fix`;
     } else {
-        // Hide actions
-        leftActions.classList.add('hidden');
-        toggleBtn.style.display = 'flex';
-        inputWrapper.classList.add('expanded');
+        summary.textContent = `${messageCount} message${messageCount === 1 ? '' : 's'}`;
     }
+    applyBtn.disabled = errors.length > 0 || messageCount === 0;
 }
 
-function handleSendMessage() {
-    const messageInput = document.getElementById('messageInput');
-    const text = messageInput.value.trim();
+// Read the photos a script refers to by file name
+function loadScriptPhotos(files) {
+    Array.from(files).forEach(file => {
+        if (!file.type.startsWith('image/')) return;
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            scriptPhotos[file.name] = e.target.result;
+            updateScriptPreview();
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+function applyConversationScript() {
+    if (!currentChat || !scriptParseResult || scriptParseResult.errors.length > 0) return;
     
-    if (!text || !currentChat) return;
+    // Photos can come from images already in the chat, so find them before replace clears it
+    const photos = new Map();
+    scriptParseResult.entries.forEach(entry => {
+        if (entry.kind === 'message' && entry.photo) photos.set(entry, findScriptPhoto(entry.photo));
+    });
     
-    // Clear input first
-    messageInput.value = '';
-    handleTyping(); // Reset send button state
-    autoResizeTextarea(messageInput); // Reset textarea height immediately
+    const mode = document.getElementById('scriptModeSelect').value;
+    if (mode === 'replace' && currentChat.messages && currentChat.messages.length > 0) {
+        if (!confirm(`Replace all ${currentChat.messages.length} messages in this chat?`)) return;
+        currentChat.messages.forEach(message => queueMessageDelete(message.id));
+        currentChat.messages = [];
+    }
+    if (!currentChat.messages) currentChat.messages = [];
     
-    // Update user's last active time
-    currentUser.lastActive = new Date();
+    const created = new Map();
+    scriptParseResult.entries.forEach(entry => {
+        if (entry.kind === 'message') {
+            const imageDataUrl = photos.get(entry) || null;
+            const message = createMessageObject(entry.senderId, entry.text, imageDataUrl, entry.photo);
+            message.timestamp = scriptParseResult.times.get(entry).toISOString();
+            message.seenBy = [entry.senderId];
+            currentChat.messages.push(message);
+            created.set(entry, message);
+        } else if (entry.kind === 'react') {
+            addReactionCount(created.get(entry.message), entry.userId, entry.emoji, 1);
+        }
+    });
     
-    // For Mimi, send message directly without action options
-    if (currentChatType === 'user' && currentChat.id === 'mimi') {
-        const message = addMessage(currentUser.id, text);
-        renderMessages();
-        cancelReply(); // Clear reply state
-        
-        // Handle Mimi interaction
-        handleMimiInteraction(text, message.id);
-        return;
-    }
+    markAllMessagesAsSeenByCurrentUser();
+    created.forEach(message => queueMessageSave(message, currentChat)); // Save to IndexedDB
+    queueSettingsSave(); // messageIdCounter changed
     
-    // Show action options for send/receive (includes reply info)
-    showActionOptions(text);
+    document.getElementById('scriptInput').value = '';
+    scriptPhotos = {};
+    hideScriptModal();
+    resetMessageWindow();
+    renderMessages();
 }
 
-function showActionOptions(messageText) {
-    const modal = document.getElementById('actionOptionsModal');
-    const list = document.getElementById('actionOptionsList');
-    list.innerHTML = '';
+// Conversation Playback Functions
+// Replays the current chat message by message for screen recordings: typing bubbles before
+// received messages, typing in the input box before sent ones, reactions popping in and
+// seen avatars following the latest message each person has read.
+const PLAYBACK_CONTROLS_HIDE_DELAY = 2000; // ms of no pointer movement before the controls hide
+const PLAYBACK_TICK = 50; // ms granularity of pausable waits
+const PLAYBACK_CANCELLED = new Error('Playback cancelled');
+
+let playback = null;
+let playbackSettings = { speed: 1, gapSeconds: 1 };
+let playbackModalEscapeHandler = null;
+let playbackControlsTimer = null;
+
+function showPlaybackModal() {
+    if (!currentChat || !currentChat.messages || currentChat.messages.length === 0) return;
     
-    if (currentChatType === 'user') {
-        // Individual chat options
-        const sendOption = document.createElement('div');
-        sendOption.className = 'action-option send-option';
-        sendOption.textContent = `Send as ${currentUser.name}`;
-        sendOption.addEventListener('click', () => {
-            const message = addMessage(currentUser.id, messageText);
-            renderMessages();
-            cancelReply(); // Clear reply state
-            hideActionOptions();
-            
-            // Handle Mimi interaction if chatting with Mimi
-            if (currentChat.id === 'mimi') {
-                handleMimiInteraction(messageText, message.id);
-            }
-        });
-        
-        const receiveOption = document.createElement('div');
-        receiveOption.className = 'action-option receive-option';
-        receiveOption.textContent = `Receive from ${currentChat.name}`;
-        receiveOption.addEventListener('click', () => {
-            addMessage(currentChat.id, messageText);
-            renderMessages();
-            cancelReply(); // Clear reply state
-            hideActionOptions();
-        });
+    const modal = document.getElementById('playbackModal');
+    if (modal) {
+        document.getElementById('playbackSpeedSelect').value = String(playbackSettings.speed);
+        document.getElementById('playbackGapSelect').value = String(playbackSettings.gapSeconds);
+        modal.style.display = 'block';
         
-        list.appendChild(sendOption);
-        list.appendChild(receiveOption);
-    } else {
-        // Group chat options
-        const myOption = document.createElement('div');
-        myOption.className = 'action-option send-option';
-        myOption.textContent = `Send as ${currentUser.name}`;
-        myOption.addEventListener('click', () => {
-            const message = addMessage(currentUser.id, messageText);
-            renderMessages();
-            cancelReply(); // Clear reply state
-            hideActionOptions();
-            
-            // Handle Mimi interaction in group chats
-            if (currentChatType === 'group' && currentChat.members && currentChat.members.includes('mimi')) {
-                handleMimiGroupInteraction(messageText, message.id, currentChat.id);
+        // Close modal when clicking on background
+        modal.onclick = function(event) {
+            if (event.target === modal) {
+                hidePlaybackModal();
             }
-        });
-        list.appendChild(myOption);
+        };
         
-        // Add group members
-        currentChat.members.forEach(memberId => {
-            const user = users.find(u => u.id === memberId);
-            if (user) {
-                const option = document.createElement('div');
-                option.className = 'action-option receive-option';
-                option.textContent = `Send as ${user.name}`;
-                option.addEventListener('click', () => {
-                    addMessage(user.id, messageText);
-                    renderMessages();
-                    cancelReply(); // Clear reply state
-                    hideActionOptions();
-                });
-                list.appendChild(option);
+        playbackModalEscapeHandler = function(event) {
+            if (event.key === 'Escape') {
+                hidePlaybackModal();
             }
-        });
+        };
+        document.addEventListener('keydown', playbackModalEscapeHandler);
     }
-    
-    modal.style.display = 'block';
 }
 
-function hideActionOptions() {
-    const modal = document.getElementById('actionOptionsModal');
+function hidePlaybackModal() {
+    const modal = document.getElementById('playbackModal');
     if (modal) {
         modal.style.display = 'none';
+        modal.onclick = null;
+        
+        if (playbackModalEscapeHandler) {
+            document.removeEventListener('keydown', playbackModalEscapeHandler);
+            playbackModalEscapeHandler = null;
+        }
     }
 }
 
-function showActionOptionsForImage(imageDataUrl, imageName) {
-    // Safety check
-    if (!currentChat) return;
-    
-    // For Mimi, send image directly without action options
-    if (currentChatType === 'user' && currentChat.id === 'mimi') {
-        const message = addMessage(currentUser.id, imageName || 'Photo', imageDataUrl, imageName);
-        renderMessages();
-        cancelReply(); // Clear reply state
-        
-        // Handle Mimi interaction for image messages
-        handleMimiInteraction(imageName || 'Photo', message.id);
+function startPlayback() {
+    playbackSettings = {
+        speed: parseFloat(document.getElementById('playbackSpeedSelect').value) || 1,
+        gapSeconds: parseFloat(document.getElementById('playbackGapSelect').value) || 1
+    };
+    hidePlaybackModal();
+    closeChatSearch();
+    exitSelectionMode();
+    
+    playback = { chat: currentChat, runId: 0, paused: false, finished: false };
+    document.body.classList.add('playback-active');
+    document.getElementById('playbackControls').style.display = 'flex';
+    document.addEventListener('mousemove', revealPlaybackControls);
+    document.addEventListener('touchstart', revealPlaybackControls);
+    document.addEventListener('keydown', handlePlaybackKeydown);
+    
+    restartPlayback();
+}
+
+function restartPlayback() {
+    if (!playback) return;
+    playback.runId++;
+    playback.paused = false;
+    playback.finished = false;
+    updatePlaybackControls();
+    revealPlaybackControls();
+    
+    runPlayback(playback.runId).catch(error => {
+        if (error !== PLAYBACK_CANCELLED) {
+            console.error('Playback failed:', error);
+            stopPlayback();
+        }
+    });
+}
+
+function togglePlaybackPause() {
+    if (!playback) return;
+    if (playback.finished) {
+        restartPlayback();
         return;
     }
+    playback.paused = !playback.paused;
+    updatePlaybackControls();
+}
+
+function stopPlayback() {
+    if (!playback) return;
+    playback = null;
     
-    const modal = document.getElementById('actionOptionsModal');
-    const list = document.getElementById('actionOptionsList');
-    list.innerHTML = '';
+    document.body.classList.remove('playback-active', 'playback-controls-hidden');
+    document.getElementById('playbackControls').style.display = 'none';
+    document.removeEventListener('mousemove', revealPlaybackControls);
+    document.removeEventListener('touchstart', revealPlaybackControls);
+    document.removeEventListener('keydown', handlePlaybackKeydown);
+    clearTimeout(playbackControlsTimer);
     
-    if (currentChatType === 'user') {
-        // Individual chat options for image
-        const sendOption = document.createElement('div');
-        sendOption.className = 'action-option send-option';
-        sendOption.textContent = `Send photo as ${currentUser.name}`;
-        sendOption.addEventListener('click', () => {
-            const message = addMessage(currentUser.id, imageName || 'Photo', imageDataUrl, imageName);
-            renderMessages();
-            cancelReply(); // Clear reply state
-            hideActionOptions();
-            
-            // Handle Mimi interaction for image messages
-            if (currentChat.id === 'mimi') {
-                handleMimiInteraction(imageName || 'Photo', message.id);
+    const messageInput = document.getElementById('messageInput');
+    messageInput.value = '';
+    handleTyping();
+    autoResizeTextarea(messageInput);
+    
+    // Back to the normal view of the chat
+    resetMessageWindow();
+    renderMessages();
+}
+
+function handlePlaybackKeydown(event) {
+    if (event.key === ' ' || event.key === 'k') {
+        event.preventDefault();
+        togglePlaybackPause();
+    } else if (event.key === 'r') {
+        restartPlayback();
+    } else if (event.key === 'Escape') {
+        stopPlayback();
+    }
+}
+
+function updatePlaybackControls() {
+    const pauseBtn = document.getElementById('playbackPauseBtn');
+    pauseBtn.textContent = !playback || playback.paused || playback.finished ? '▶' : '⏸';
+    pauseBtn.title = playback && playback.finished ? 'Play again' : (playback && playback.paused ? 'Play' : 'Pause');
+}
+
+function updatePlaybackProgress(shown, total) {
+    document.getElementById('playbackProgress').textContent = `${shown}/${total}`;
+}
+
+// Controls stay out of the recording: they fade out while the pointer is still and
+// come back on any mouse movement or touch
+function revealPlaybackControls() {
+    document.body.classList.remove('playback-controls-hidden');
+    clearTimeout(playbackControlsTimer);
+    playbackControlsTimer = setTimeout(() => {
+        if (playback) {
+            document.body.classList.add('playback-controls-hidden');
+        }
+    }, PLAYBACK_CONTROLS_HIDE_DELAY);
+}
+
+// Wait that honours pause and aborts when playback is restarted or stopped
+async function playbackWait(ms, runId) {
+    let remaining = ms / playbackSettings.speed;
+    while (remaining > 0) {
+        await new Promise(resolve => setTimeout(resolve, PLAYBACK_TICK));
+        if (!playback || playback.runId !== runId || currentChat !== playback.chat) throw PLAYBACK_CANCELLED;
+        if (!playback.paused) remaining -= PLAYBACK_TICK;
+    }
+}
+
+async function runPlayback(runId) {
+    const originals = playback.chat.messages.slice();
+    const shown = []; // copies of the revealed messages, without reactions/seen until they appear
+    const seenAt = {}; // userId -> index in shown of the sent message their seen avatar sits under
+    const messagesList = document.getElementById('messagesList');
+    const messagesContainer = document.getElementById('messagesContainer');
+    const messageInput = document.getElementById('messageInput');
+    const gapMs = playbackSettings.gapSeconds * 1000;
+    
+    // Nothing else may patch the list while it is being replayed
+    resetMessageWindow();
+    messagesList.innerHTML = '';
+    messageInput.value = '';
+    handleTyping();
+    autoResizeTextarea(messageInput);
+    if (currentChatType === 'user' && currentChat.contactInfo) {
+        messagesList.appendChild(createContactInfoElement(currentChat));
+    }
+    updatePlaybackProgress(0, originals.length);
+    
+    const scrollToEnd = () => {
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    };
+    
+    // Move a reader's seen avatar to the newest sent message they have seen
+    const moveSeen = (userId) => {
+        let target = -1;
+        shown.forEach((message, index) => {
+            if (message.senderId === currentUser.id && (originals[index].seenBy || []).includes(userId)) {
+                target = index;
             }
         });
+        const previous = seenAt[userId];
+        if (target === -1 || target === previous) return;
         
-        const receiveOption = document.createElement('div');
-        receiveOption.className = 'action-option receive-option';
-        receiveOption.textContent = `Receive photo from ${currentChat.name}`;
-        receiveOption.addEventListener('click', () => {
-            addMessage(currentChat.id, imageName || 'Photo', imageDataUrl, imageName);
-            renderMessages();
-            cancelReply(); // Clear reply state
-            hideActionOptions();
+        seenAt[userId] = target;
+        [previous, target].forEach(index => {
+            if (index === undefined) return;
+            shown[index].seenBy = Object.keys(seenAt).filter(id => seenAt[id] === index);
+            replaceMessageNodes(shown, index);
         });
+    };
+    
+    for (let index = 0; index < originals.length; index++) {
+        const original = originals[index];
+        const isFromMe = original.senderId === currentUser.id;
+        const hasMedia = original.imageDataUrl || original.attachment || original.voice;
         
-        list.appendChild(sendOption);
-        list.appendChild(receiveOption);
-    } else {
-        // Group chat options for image
-        const myOption = document.createElement('div');
-        myOption.className = 'action-option send-option';
-        myOption.textContent = `Send photo as ${currentUser.name}`;
-        myOption.addEventListener('click', () => {
-            const message = addMessage(currentUser.id, imageName || 'Photo', imageDataUrl, imageName);
-            renderMessages();
-            cancelReply(); // Clear reply state
-            hideActionOptions();
-            
-            // Handle Mimi interaction for image messages in groups
-            if (currentChatType === 'group' && currentChat.members && currentChat.members.includes('mimi')) {
-                handleMimiGroupInteraction(imageName || 'Photo', message.id, currentChat.id);
-            }
-        });
-        list.appendChild(myOption);
+        await playbackWait(index === 0 ? 600 : gapMs, runId);
         
-        // Add group members
-        currentChat.members.forEach(memberId => {
-            const user = users.find(u => u.id === memberId);
-            if (user) {
-                const option = document.createElement('div');
-                option.className = 'action-option receive-option';
-                option.textContent = `Send photo as ${user.name}`;
-                option.addEventListener('click', () => {
-                    addMessage(user.id, imageName || 'Photo', imageDataUrl, imageName);
-                    renderMessages();
-                    cancelReply(); // Clear reply state
-                    hideActionOptions();
-                });
-                list.appendChild(option);
+        if (isFromMe) {
+            if (!hasMedia && original.text) {
+                // Type the message into the input box, then "send" it
+                for (const character of Array.from(original.text)) {
+                    messageInput.value += character;
+                    handleTyping();
+                    autoResizeTextarea(messageInput);
+                    await playbackWait(60 + Math.random() * 60, runId);
+                }
+                await playbackWait(300, runId);
+                messageInput.value = '';
+                handleTyping();
+                autoResizeTextarea(messageInput);
             }
-        });
+        } else {
+            // The sender has read everything so far before they start typing
+            moveSeen(original.senderId);
+            const indicator = createTypingIndicatorElement(getMessageSender(original.senderId));
+            messagesList.appendChild(indicator);
+            scrollToEnd();
+            const typingTime = Math.min(3000, 700 + (original.text || '').length * 45);
+            try {
+                await playbackWait(typingTime, runId);
+            } finally {
+                indicator.remove();
+            }
+        }
+        
+        shown.push(Object.assign({}, original, { reactions: {}, seenBy: [] }));
+        messagesList.appendChild(buildPlaybackNodes(shown, index));
+        if (index > 0) {
+            replaceMessageNodes(shown, index - 1); // avatar grouping depends on the next message
+        }
+        scrollToEnd();
+        updatePlaybackProgress(index + 1, originals.length);
+        
+        if (Object.keys(getReactionCounts(original)).length > 0) {
+            await playbackWait(700, runId);
+            shown[index].reactions = original.reactions;
+            replaceMessageNodes(shown, index);
+            const reactions = messagesList.querySelector(`[data-message-id="${original.id}"] .message-reactions`);
+            if (reactions) reactions.classList.add('reaction-pop');
+            scrollToEnd();
+        }
     }
     
-    modal.style.display = 'block';
+    // Finally everyone's seen avatar catches up with what they have read
+    await playbackWait(gapMs, runId);
+    const readers = new Set();
+    originals.forEach(message => (message.seenBy || []).forEach(id => {
+        if (id !== currentUser.id) readers.add(id);
+    }));
+    readers.forEach(moveSeen);
+    scrollToEnd();
+    
+    playback.finished = true;
+    updatePlaybackControls();
+    revealPlaybackControls();
 }
 
-// Action options for non-image file attachments
-function showActionOptionsForAttachment(fileMeta) {
-    if (!currentChat) return;
-    const modal = document.getElementById('actionOptionsModal');
-    const list = document.getElementById('actionOptionsList');
-    list.innerHTML = '';
-    const label = fileMeta && fileMeta.name ? `(${fileMeta.name})` : '';
-    
-    if (currentChatType === 'user') {
-        const sendOption = document.createElement('div');
-        sendOption.className = 'action-option send-option';
-        sendOption.textContent = `Send file ${label} as ${currentUser.name}`;
-        sendOption.addEventListener('click', () => {
-            addAttachmentMessage(currentUser.id, fileMeta);
-            renderMessages();
-            cancelReply();
-            hideActionOptions();
-        });
-        const receiveOption = document.createElement('div');
-        receiveOption.className = 'action-option receive-option';
-        receiveOption.textContent = `Receive file ${label} from ${currentChat.name}`;
-        receiveOption.addEventListener('click', () => {
-            addAttachmentMessage(currentChat.id, fileMeta);
-            renderMessages();
-            cancelReply();
-            hideActionOptions();
-        });
-        list.appendChild(sendOption);
-        list.appendChild(receiveOption);
-    } else {
-        const myOption = document.createElement('div');
-        myOption.className = 'action-option send-option';
-        myOption.textContent = `Send file ${label} as ${currentUser.name}`;
-        myOption.addEventListener('click', () => {
-            addAttachmentMessage(currentUser.id, fileMeta);
-            renderMessages();
-            cancelReply();
-            hideActionOptions();
-        });
-        list.appendChild(myOption);
-        currentChat.members.forEach(memberId => {
-            const user = users.find(u => u.id === memberId);
-            if (user) {
-                const option = document.createElement('div');
-                option.className = 'action-option receive-option';
-                option.textContent = `Send file ${label} as ${user.name}`;
-                option.addEventListener('click', () => {
-                    addAttachmentMessage(user.id, fileMeta);
-                    renderMessages();
-                    cancelReply();
-                    hideActionOptions();
-                });
-                list.appendChild(option);
-            }
-        });
-    }
-    modal.style.display = 'block';
+function buildPlaybackNodes(messages, index) {
+    const fragment = document.createDocumentFragment();
+    createMessageNodes(messages, index).forEach(node => fragment.appendChild(node));
+    return fragment;
 }
 
-function addAttachmentMessage(senderId, fileMeta) {
-    const message = {
-        id: 'msg_' + messageIdCounter++,
-        senderId: senderId,
-        text: fileMeta.name || 'Attachment',
-        timestamp: new Date().toISOString(),
-        reactions: {},
-        edited: false,
-        seenBy: [],
-        attachment: {
-            name: fileMeta.name || 'file',
-            size: fileMeta.size || 0,
-            dataUrl: fileMeta.dataUrl || null
-        }
-    };
-    if (replyingToMessage) {
-        message.replyTo = {
-            messageId: replyingToMessage.id,
-            senderId: replyingToMessage.senderId,
-            text: replyingToMessage.text
-        };
-    }
-    if (!currentChat.messages) currentChat.messages = [];
-    currentChat.messages.push(message);
-    markMessageAsSeen(message.id, senderId);
-    saveAllData();
-    return message;
+// Backup and Restore Functions
+const BACKUP_FORMAT = 'fakebook-backup';
+const BACKUP_VERSION = 1;
+
+function isFixedProfile(user) {
+    return !!(user.isDeveloper || user.isSpecialProfile || user.isChatProfile);
 }
 
-// Simulated voice message options and creation
-function showVoiceSendOptions() {
+function showBackupOptions() {
     const modal = document.getElementById('actionOptionsModal');
     const list = document.getElementById('actionOptionsList');
     list.innerHTML = '';
-    const makeVoice = (senderId) => {
-        const dur = Math.floor(5 + Math.random() * 25); // 5-30s
-        addVoiceMessage(senderId, dur);
-        renderMessages();
+    setActionOptionsTitle('Backup & Restore:');
+    
+    const exportOption = document.createElement('div');
+    exportOption.className = 'action-option send-option';
+    exportOption.textContent = 'Export backup (JSON)';
+    exportOption.addEventListener('click', () => {
         hideActionOptions();
-    };
-    if (currentChatType === 'user') {
-        const sendOption = document.createElement('div');
-        sendOption.className = 'action-option send-option';
-        sendOption.textContent = `Send voice as ${currentUser.name}`;
-        sendOption.addEventListener('click', () => makeVoice(currentUser.id));
-        const receiveOption = document.createElement('div');
-        receiveOption.className = 'action-option receive-option';
-        receiveOption.textContent = `Receive voice from ${currentChat.name}`;
-        receiveOption.addEventListener('click', () => makeVoice(currentChat.id));
-        list.appendChild(sendOption);
-        list.appendChild(receiveOption);
-    } else {
-        const myOption = document.createElement('div');
-        myOption.className = 'action-option send-option';
-        myOption.textContent = `Send voice as ${currentUser.name}`;
-        myOption.addEventListener('click', () => makeVoice(currentUser.id));
-        list.appendChild(myOption);
-        currentChat.members.forEach(memberId => {
-            const user = users.find(u => u.id === memberId);
-            if (user) {
-                const option = document.createElement('div');
-                option.className = 'action-option receive-option';
-                option.textContent = `Send voice as ${user.name}`;
-                option.addEventListener('click', () => makeVoice(user.id));
-                list.appendChild(option);
-            }
-        });
-    }
+        exportBackup();
+    });
+    
+    const importOption = document.createElement('div');
+    importOption.className = 'action-option receive-option';
+    importOption.textContent = 'Import backup…';
+    importOption.addEventListener('click', () => {
+        hideActionOptions();
+        hiddenBackupInput.click();
+    });
+    
+    const checkOption = document.createElement('div');
+    checkOption.className = 'action-option send-option';
+    checkOption.textContent = 'Check saved data (dry run)';
+    checkOption.addEventListener('click', () => {
+        hideActionOptions();
+        showDataCheckReport();
+    });
+    
+    list.appendChild(exportOption);
+    list.appendChild(importOption);
+    list.appendChild(checkOption);
     modal.style.display = 'block';
 }
 
-function addVoiceMessage(senderId, durationSeconds) {
-    const message = {
-        id: 'msg_' + messageIdCounter++,
-        senderId: senderId,
-        text: '',
-        timestamp: new Date().toISOString(),
-        reactions: {},
-        edited: false,
-        seenBy: [],
-        voice: {
-            duration: durationSeconds
+async function createBackup() {
+    // Media loaded from IndexedDB lives behind blob: URLs, which mean nothing outside this page
+    const backupUsers = JSON.parse(JSON.stringify(users));
+    const backupGroups = JSON.parse(JSON.stringify(groups));
+    const backupMessages = [...backupUsers, ...backupGroups].flatMap(chat => chat.messages || []);
+    await Promise.all(backupMessages.map(async message => {
+        for (const field of MESSAGE_MEDIA_FIELDS) {
+            const holder = field.holder(message);
+            if (!holder) continue;
+            delete holder[field.idField];
+            if (holder[field.urlField] && holder[field.urlField].startsWith('blob:')) {
+                holder[field.urlField] = await imageUrlToDataUrl(holder[field.urlField]);
+            }
+        }
+    }));
+    
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: {
+            users: backupUsers,
+            groups: backupGroups,
+            settings: {
+                messageIdCounter: messageIdCounter,
+                userIdCounter: userIdCounter,
+                groupIdCounter: groupIdCounter,
+                personaIdCounter: personaIdCounter,
+                personas: personas,
+                timeSeparatorGapMinutes: timeSeparatorGapMinutes,
+                recentEmojis: recentEmojis,
+                darkMode: localStorage.getItem('darkMode') === 'true'
+            }
         }
     };
-    if (replyingToMessage) {
-        message.replyTo = {
-            messageId: replyingToMessage.id,
-            senderId: replyingToMessage.senderId,
-            text: replyingToMessage.text
-        };
-    }
-    if (!currentChat.messages) currentChat.messages = [];
-    currentChat.messages.push(message);
-    markMessageAsSeen(message.id, senderId);
-    saveAllData();
-    return message;
-}
-
-function showEmojiPicker() {
-    const emojiPicker = document.getElementById('emojiPicker');
-    if (emojiPicker) {
-        emojiPicker.style.display = 'block';
-        emojiPicker.style.position = 'fixed';
-        emojiPicker.style.bottom = '120px';
-        emojiPicker.style.left = '50%';
-        emojiPicker.style.transform = 'translateX(-50%)';
-        emojiPicker.style.zIndex = '1000';
-    }
-}
-
-function addMessage(senderId, text, imageDataUrl = null, imageName = null) {
-    const message = {
-        id: 'msg_' + messageIdCounter++,
-        senderId: senderId,
-        text: text,
-        timestamp: new Date().toISOString(),
-        reactions: {},
-        edited: false,
-        seenBy: [], // Track who has seen this message
-        imageDataUrl: imageDataUrl, // Store image data URL if present
-        imageName: imageName // Store original image filename
-    };
-    
-    // Add reply information if replying to a message
-    if (replyingToMessage) {
-        message.replyTo = {
-            messageId: replyingToMessage.id,
-            senderId: replyingToMessage.senderId,
-            text: replyingToMessage.text
-        };
+}
+
+async function exportBackup() {
+    let backup;
+    try {
+        backup = await createBackup();
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        alert('Could not create the backup.');
+        return;
     }
-    
-    if (!currentChat.messages) {
-        currentChat.messages = [];
+    const json = JSON.stringify(backup, null, 2);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `fakebook-backup-${date}.json`);
+}
+
+function importBackupText(text) {
+    let data;
+    try {
+        data = validateBackup(JSON.parse(text));
+    } catch (error) {
+        console.error('Error reading backup:', error);
+        alert(`Import failed: ${error instanceof SyntaxError ? 'the file is not valid JSON' : error.message}`);
+        return;
     }
     
-    currentChat.messages.push(message);
+    const messageCount = countBackupMessages(data);
+    const modal = document.getElementById('actionOptionsModal');
+    const list = document.getElementById('actionOptionsList');
+    list.innerHTML = '';
+    setActionOptionsTitle(`Import ${data.users.length} users, ${data.groups.length} groups, ${messageCount} messages:`);
     
-    // Auto-mark as seen by sender
-    markMessageAsSeen(message.id, senderId);
+    const mergeOption = document.createElement('div');
+    mergeOption.className = 'action-option send-option';
+    mergeOption.textContent = 'Merge with existing chats';
+    mergeOption.addEventListener('click', () => {
+        hideActionOptions();
+        applyBackup(data, 'merge');
+    });
     
-    // Save to IndexedDB
-    saveAllData();
+    const replaceOption = document.createElement('div');
+    replaceOption.className = 'action-option receive-option';
+    replaceOption.textContent = 'Replace everything';
+    replaceOption.addEventListener('click', () => {
+        hideActionOptions();
+        if (confirm('Replace all chats, users and groups with this backup? This action cannot be undone.')) {
+            applyBackup(data, 'replace');
+        }
+    });
     
-    return message;
+    list.appendChild(mergeOption);
+    list.appendChild(replaceOption);
+    modal.style.display = 'block';
 }
 
-// Quick Reaction
-function sendQuickReaction() {
-    if (!currentChat) return;
+// Throws with a readable message when the file cannot be imported; returns the backup's data
+function validateBackup(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('this is not a Fakebook backup file');
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+        throw new Error(`backup version ${backup.version} is not supported by this app`);
+    }
     
-    const message = {
-        id: 'msg_' + messageIdCounter++,
-        senderId: currentUser.id,
-        text: quickReactionEmoji,
-        timestamp: new Date().toISOString(),
-        reactions: {},
-        edited: false
-    };
+    const schemaVersion = backup.schemaVersion || 1;
+    if (schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`the backup was made by a newer version of this app`);
+    }
     
-    if (!currentChat.messages) {
-        currentChat.messages = [];
+    const data = backup.data || {};
+    if (!Array.isArray(data.users) || !Array.isArray(data.groups)) {
+        throw new Error('the backup contains no users or groups');
     }
     
-    currentChat.messages.push(message);
-    saveAllData(); // Save to IndexedDB
-    renderMessages();
+    const seenIds = new Set();
+    const checkChat = (chat, kind, index) => {
+        if (!chat || typeof chat.id !== 'string' || typeof chat.name !== 'string') {
+            throw new Error(`${kind} #${index + 1} is missing an id or name`);
+        }
+        if (seenIds.has(chat.id)) {
+            throw new Error(`${kind} id "${chat.id}" appears more than once`);
+        }
+        seenIds.add(chat.id);
+        if (!Array.isArray(chat.messages)) chat.messages = [];
+        chat.messages.forEach((message, messageIndex) => {
+            if (!message || typeof message.id !== 'string' || typeof message.senderId !== 'string') {
+                throw new Error(`message #${messageIndex + 1} in "${chat.name}" is missing an id or sender`);
+            }
+            if (seenIds.has(message.id)) {
+                throw new Error(`message id "${message.id}" appears more than once`);
+            }
+            seenIds.add(message.id);
+        });
+    };
+    
+    data.users.forEach((user, index) => checkChat(user, 'User', index));
+    data.groups.forEach((group, index) => {
+        checkChat(group, 'Group', index);
+        if (!Array.isArray(group.members)) {
+            throw new Error(`group "${group.name}" has no member list`);
+        }
+    });
+    
+    data.settings = data.settings || {};
+    data.migration = migrateData(data, schemaVersion);
+    return data;
 }
 
-function showQuickReactionPicker() {
-    const emojis = ['👍', '❤️', '😂', '😮', '😢', '😡', '🔥', '👎'];
+function countBackupMessages(data) {
+    return [...data.users, ...data.groups].reduce((sum, chat) => sum + chat.messages.length, 0);
+}
+
+function applyBackup(data, mode) {
+    const report = mode === 'replace' ? replaceWithBackup(data) : mergeBackup(data);
     
-    // Create a simple prompt-based picker for mobile
-    let emojiList = 'Choose quick reaction emoji:\n';
-    emojis.forEach((emoji, index) => {
-        emojiList += `${index + 1}. ${emoji}\n`;
-    });
+    // The open chat may have been replaced or renamed
+    currentChat = null;
+    currentChatType = null;
     
-    const choice = prompt(emojiList + '\nEnter number (1-8):');
-    const index = parseInt(choice) - 1;
+    saveAllData(); // Save to IndexedDB
+    renderContacts();
+    showView('contactsView');
     
-    if (index >= 0 && index < emojis.length) {
-        quickReactionEmoji = emojis[index];
-        document.getElementById('quickReactionEmoji').textContent = quickReactionEmoji;
+    const lines = [
+        `Imported ${report.users} users, ${report.groups} groups and ${report.messages} messages.`
+    ];
+    if (report.merged > 0) lines.push(`${report.merged} built-in profile chats were merged.`);
+    if (report.renamed > 0) lines.push(`${report.renamed} colliding ids were renamed.`);
+    if (data.migration.steps.length > 0) lines.push(`Upgraded from schema version ${data.migration.fromVersion}.`);
+    alert(lines.join('\n'));
+}
+
+function replaceWithBackup(data) {
+    users = data.users;
+    groups = data.groups;
+    ensureFixedProfileOrder();
+    
+    const settings = data.settings;
+    if (typeof settings.messageIdCounter === 'number') messageIdCounter = settings.messageIdCounter;
+    if (typeof settings.userIdCounter === 'number') userIdCounter = settings.userIdCounter;
+    if (typeof settings.groupIdCounter === 'number') groupIdCounter = settings.groupIdCounter;
+    if (typeof settings.personaIdCounter === 'number') personaIdCounter = settings.personaIdCounter;
+    if (Array.isArray(settings.personas) && settings.personas.length > 0) personas = settings.personas;
+    currentUser = personas[0];
+    if (typeof settings.timeSeparatorGapMinutes === 'number') timeSeparatorGapMinutes = settings.timeSeparatorGapMinutes;
+    if (Array.isArray(settings.recentEmojis)) recentEmojis = settings.recentEmojis;
+    if (typeof settings.darkMode === 'boolean') {
+        localStorage.setItem('darkMode', String(settings.darkMode));
+        loadDarkModePreference();
     }
+    syncIdCounters();
+    
+    return { users: data.users.length, groups: data.groups.length, messages: countBackupMessages(data), merged: 0, renamed: 0 };
 }
 
-// Context Menu Functions (simplified for mobile)
-function showMessageContextMenu(event, messageId) {
-    contextMenuTargetMessage = messageId;
+function mergeBackup(data) {
+    const report = { users: 0, groups: 0, messages: 0, merged: 0, renamed: 0 };
+    const userIdMap = {};
+    const messageIdMap = {};
+    const importedMessages = [...data.users, ...data.groups].flatMap(chat => chat.messages);
+    
+    // New ids must avoid both the local ids and the ones still coming in from the file
+    const takenUserIds = new Set([...personas.map(p => p.id), ...users.map(u => u.id), ...data.users.map(u => u.id)]);
+    const takenGroupIds = new Set([...groups.map(g => g.id), ...data.groups.map(g => g.id)]);
+    const localMessageIds = new Set(getAllMessages().map(m => m.id));
+    const takenMessageIds = new Set([...localMessageIds, ...importedMessages.map(m => m.id)]);
+    userIdCounter = nextCounterValue(takenUserIds, 'user', userIdCounter);
+    groupIdCounter = nextCounterValue(takenGroupIds, 'group', groupIdCounter);
+    messageIdCounter = nextCounterValue(takenMessageIds, 'msg', messageIdCounter);
+    
+    const fixedTargets = {};
+    const newUsers = [];
+    data.users.forEach(user => {
+        const existing = users.find(u => u.id === user.id);
+        if (existing && isFixedProfile(existing)) {
+            // Built-in profiles are the same person on every install, so their chats are merged
+            fixedTargets[user.id] = existing;
+        } else if (existing || isPersonaId(user.id)) {
+            userIdMap[user.id] = 'user_' + userIdCounter++;
+            report.renamed++;
+        }
+    });
     
-    const contextMenu = document.getElementById('messageContextMenu');
-    contextMenu.style.display = 'block';
+    // The default persona is you on every install; other imported personas are added alongside yours
+    const importedPersonas = Array.isArray(data.settings.personas) ? data.settings.personas.slice(1) : [];
+    importedPersonas.forEach(persona => {
+        if (isPersonaId(persona.id) || takenUserIds.has(persona.id)) {
+            personaIdCounter = nextCounterValue(personas.map(p => p.id), 'persona', personaIdCounter);
+            userIdMap[persona.id] = 'persona_' + personaIdCounter++;
+            report.renamed++;
+        }
+    });
+    if (data.settings.personas && data.settings.personas[0]) {
+        userIdMap[data.settings.personas[0].id] = personas[0].id;
+    }
+    importedPersonas.forEach(persona => {
+        persona.id = userIdMap[persona.id] || persona.id;
+        personas.push(persona);
+    });
     
-    // Position the context menu near the touch/click point
-    const rect = event.target.getBoundingClientRect();
-    contextMenu.style.left = Math.min(rect.left, window.innerWidth - 200) + 'px';
-    contextMenu.style.top = (rect.top - 120) + 'px';
+    importedMessages.forEach(message => {
+        if (localMessageIds.has(message.id)) {
+            messageIdMap[message.id] = 'msg_' + messageIdCounter++;
+            report.renamed++;
+        }
+    });
     
-    // Ensure it's within viewport
-    if (parseInt(contextMenu.style.top) < 20) {
-        contextMenu.style.top = '20px';
-    }
+    data.users.forEach(user => {
+        user.messages.forEach(message => remapImportedMessage(message, userIdMap, messageIdMap));
+        remapChatPerspective(user, userIdMap);
+        report.messages += user.messages.length;
+        
+        if (fixedTargets[user.id]) {
+            const target = fixedTargets[user.id];
+            target.messages = (target.messages || []).concat(user.messages);
+            report.merged++;
+        } else {
+            user.id = userIdMap[user.id] || user.id;
+            newUsers.push(user);
+            report.users++;
+        }
+    });
+    // Inserting in reverse keeps the backup's order right after the special profiles
+    newUsers.reverse().forEach(user => insertUserAfterSpecialProfiles(user));
     
-    // Hide after 5 seconds if not interacted
-    setTimeout(() => {
-        if (contextMenu.style.display === 'block') {
-            hideContextMenu();
+    data.groups.forEach(group => {
+        if (groups.some(g => g.id === group.id)) {
+            group.id = 'group_' + groupIdCounter++;
+            report.renamed++;
         }
-    }, 5000);
+        group.members = group.members.map(memberId => userIdMap[memberId] || memberId);
+        if (group.nicknames) {
+            const nicknames = {};
+            Object.keys(group.nicknames).forEach(memberId => {
+                nicknames[userIdMap[memberId] || memberId] = group.nicknames[memberId];
+            });
+            group.nicknames = nicknames;
+        }
+        group.messages.forEach(message => remapImportedMessage(message, userIdMap, messageIdMap));
+        remapChatPerspective(group, userIdMap);
+        report.messages += group.messages.length;
+        groups.push(group);
+        report.groups++;
+    });
+    
+    syncIdCounters();
+    return report;
 }
 
-function hideContextMenu() {
-    const contextMenu = document.getElementById('messageContextMenu');
-    if (contextMenu) {
-        contextMenu.style.display = 'none';
+function remapImportedMessage(message, userIdMap, messageIdMap) {
+    const mapUser = userId => userIdMap[userId] || userId;
+    
+    message.id = messageIdMap[message.id] || message.id;
+    message.senderId = mapUser(message.senderId);
+    if (Array.isArray(message.seenBy)) {
+        message.seenBy = message.seenBy.map(mapUser);
+    }
+    if (message.reactions) {
+        const reactions = {};
+        Object.entries(message.reactions).forEach(([userId, reaction]) => {
+            reactions[mapUser(userId)] = reaction;
+        });
+        message.reactions = reactions;
+    }
+    if (message.replyTo) {
+        message.replyTo.senderId = mapUser(message.replyTo.senderId);
+        message.replyTo.messageId = messageIdMap[message.replyTo.messageId] || message.replyTo.messageId;
     }
-    contextMenuTargetMessage = null;
 }
 
-function editMessage() {
-    if (!contextMenuTargetMessage) return;
-    
-    const message = findMessage(contextMenuTargetMessage);
-    if (!message) return;
-    
-    const newText = prompt('Edit message:', message.text);
-    if (newText && newText.trim()) {
-        message.text = newText.trim();
-        message.edited = true;
-        saveAllData(); // Save to IndexedDB
-        renderMessages();
+function remapChatPerspective(chat, userIdMap) {
+    if (chat.personaId) chat.personaId = userIdMap[chat.personaId] || chat.personaId;
+    if (chat.viewpointId) chat.viewpointId = userIdMap[chat.viewpointId] || chat.viewpointId;
+    if (chat.botStates) {
+        const botStates = {};
+        Object.keys(chat.botStates).forEach(botId => {
+            botStates[userIdMap[botId] || botId] = chat.botStates[botId];
+        });
+        chat.botStates = botStates;
     }
-    
-    hideContextMenu();
 }
 
-function deleteMessage() {
-    if (!contextMenuTargetMessage) return;
+function getAllMessages() {
+    return [...users, ...groups].flatMap(chat => chat.messages || []);
+}
+
+// Returns a counter value past every "<prefix>_N" id in the list
+function nextCounterValue(ids, prefix, counter) {
+    const pattern = new RegExp('^' + prefix + '_(\\d+)$');
+    ids.forEach(id => {
+        const match = typeof id === 'string' && id.match(pattern);
+        if (match) counter = Math.max(counter, parseInt(match[1]) + 1);
+    });
+    return counter;
+}
+
+// Keep the id counters ahead of every id in use so new records never collide
+function syncIdCounters() {
+    userIdCounter = nextCounterValue(users.map(u => u.id), 'user', userIdCounter);
+    groupIdCounter = nextCounterValue(groups.map(g => g.id), 'group', groupIdCounter);
+    messageIdCounter = nextCounterValue(getAllMessages().map(m => m.id), 'msg', messageIdCounter);
+    personaIdCounter = nextCounterValue(personas.map(p => p.id), 'persona', personaIdCounter);
+}
+
+// Chat Image Export Functions
+const MAX_EXPORT_CANVAS_HEIGHT = 16384; // Browsers refuse to allocate much taller canvases
+
+let exportImageModalEscapeHandler = null;
+
+function showExportImageModal() {
+    if (!currentChat) return;
     
-    const confirmed = confirm('Delete this message?');
-    if (confirmed) {
-        const messageIndex = currentChat.messages.findIndex(m => m.id === contextMenuTargetMessage);
-        if (messageIndex !== -1) {
-            currentChat.messages.splice(messageIndex, 1);
-            saveAllData(); // Save to IndexedDB
-            renderMessages();
+    const modal = document.getElementById('exportImageModal');
+    if (modal) {
+        // The same chat can be exported as any participant sees it
+        const viewpointSelect = document.getElementById('exportViewpointSelect');
+        viewpointSelect.innerHTML = '';
+        getChatParticipants(currentChat).forEach(participant => {
+            const option = document.createElement('option');
+            option.value = participant.id;
+            option.textContent = participant.name;
+            option.selected = participant.id === currentUser.id;
+            viewpointSelect.appendChild(option);
+        });
+        
+        modal.style.display = 'block';
+        
+        // Close modal when clicking on background
+        modal.onclick = function(event) {
+            if (event.target === modal) {
+                hideExportImageModal();
+            }
+        };
+        
+        exportImageModalEscapeHandler = function(event) {
+            if (event.key === 'Escape') {
+                hideExportImageModal();
+            }
+        };
+        document.addEventListener('keydown', exportImageModalEscapeHandler);
+    }
+}
+
+function hideExportImageModal() {
+    const modal = document.getElementById('exportImageModal');
+    if (modal) {
+        modal.style.display = 'none';
+        modal.onclick = null;
+        
+        if (exportImageModalEscapeHandler) {
+            document.removeEventListener('keydown', exportImageModalEscapeHandler);
+            exportImageModalEscapeHandler = null;
         }
     }
-    
-    hideContextMenu();
 }
 
-function replyToMessage() {
-    if (!contextMenuTargetMessage) return;
+// Render the whole conversation in #messagesList to PNG, as one tall image or as pages
+async function exportChatAsImage() {
+    if (!currentChat) return;
     
-    const message = findMessage(contextMenuTargetMessage);
-    if (!message) return;
+    const layout = document.getElementById('exportLayoutSelect').value;
+    const theme = document.getElementById('exportThemeSelect').value;
+    const viewer = getParticipant(document.getElementById('exportViewpointSelect').value) || currentUser;
+    const confirmBtn = document.getElementById('exportImageConfirmBtn');
+    confirmBtn.disabled = true;
     
-    replyingToMessage = message;
+    try {
+        const snapshot = await buildChatSnapshot(theme, viewer);
+        const baseName = toFileName(currentChat.name);
+        
+        if (layout === 'pages') {
+            // A page is what the chat shows on screen at once, like an OS screenshot
+            const pageHeight = document.getElementById('messagesContainer').clientHeight;
+            const pages = paginateSnapshot(snapshot, pageHeight);
+            for (let i = 0; i < pages.length; i++) {
+                const canvas = await renderSnapshotToCanvas(snapshot, pages[i].top, pages[i].height);
+                await downloadCanvas(canvas, `${baseName}-${i + 1}.png`);
+            }
+        } else {
+            if (snapshot.height > MAX_EXPORT_CANVAS_HEIGHT) {
+                alert('This chat is too long for a single image. Please export it as pages.');
+                return;
+            }
+            const canvas = await renderSnapshotToCanvas(snapshot, 0, snapshot.height);
+            await downloadCanvas(canvas, `${baseName}.png`);
+        }
+        
+        hideExportImageModal();
+    } catch (error) {
+        console.error('Error exporting chat image:', error);
+        alert('Could not export the chat as an image.');
+    } finally {
+        confirmBtn.disabled = false;
+    }
+}
+
+// Lay out the whole message list off-screen at its real width so it can be measured and serialized
+async function buildChatSnapshot(theme, viewer = currentUser) {
+    const messagesContainer = document.getElementById('messagesContainer');
+    const messagesList = document.getElementById('messagesList');
+    const width = messagesContainer.clientWidth;
     
-    // Show reply preview
-    const replyPreview = document.getElementById('replyPreview');
-    const replyPreviewName = document.getElementById('replyPreviewName');
-    const replyPreviewText = document.getElementById('replyPreviewText');
+    const host = document.createElement('div');
+    host.className = 'chat-export-host';
     
-    // Get sender name
-    let senderName;
-    if (message.senderId === currentUser.id) {
-        senderName = 'yourself';
-    } else if (currentChatType === 'group') {
-        const sender = users.find(u => u.id === message.senderId);
-        senderName = sender ? sender.name : 'Unknown';
+    const root = document.createElement('div');
+    root.className = 'chat-export-root';
+    root.style.width = width + 'px';
+    const isDark = theme === 'current' ? document.body.getAttribute('data-theme') === 'dark' : theme === 'dark';
+    if (isDark) {
+        root.setAttribute('data-theme', 'dark');
+    }
+    
+    const containerClone = document.createElement('div');
+    containerClone.className = 'messages-container';
+    let listClone;
+    if (renderedChatId === currentChat.id) {
+        // Only a window of the conversation is on screen, so build every message for the export
+        listClone = document.createElement('div');
+        listClone.className = messagesList.className;
+        listClone.appendChild(buildMessageNodes(currentChat, currentChatType, 0, (currentChat.messages || []).length, viewer));
     } else {
-        senderName = currentChat.name;
+        listClone = messagesList.cloneNode(true);
+        listClone.removeAttribute('id');
     }
+    containerClone.appendChild(listClone);
+    root.appendChild(containerClone);
+    host.appendChild(root);
+    document.body.appendChild(host);
     
-    // Facebook Messenger style: "Replying to [username]"
-    replyPreviewName.textContent = `Replying to ${senderName}`;
-    replyPreviewText.textContent = message.text;
-    replyPreview.style.display = 'block';
+    try {
+        // Attachment links can carry whole files as data URLs; they are not needed in a picture
+        root.querySelectorAll('a').forEach(link => link.removeAttribute('href'));
+        root.querySelectorAll('.search-match, .search-current').forEach(el => el.classList.remove('search-match', 'search-current'));
+        await inlineSnapshotImages(root);
+        
+        const rootTop = root.getBoundingClientRect().top;
+        const breakpoints = Array.from(listClone.children).map(child => {
+            return Math.ceil(child.getBoundingClientRect().bottom - rootTop);
+        });
+        
+        return {
+            markup: new XMLSerializer().serializeToString(root),
+            width: width,
+            height: Math.ceil(root.getBoundingClientRect().height),
+            breakpoints: breakpoints,
+            background: getComputedStyle(root).backgroundColor
+        };
+    } finally {
+        host.remove();
+    }
+}
+
+// An SVG image cannot load external files, so every <img> has to become a data URL
+async function inlineSnapshotImages(root) {
+    const images = Array.from(root.querySelectorAll('img'));
+    await Promise.all(images.map(async img => {
+        const src = img.getAttribute('src');
+        if (!src) {
+            img.remove();
+            return;
+        }
+        try {
+            if (!src.startsWith('data:')) {
+                img.setAttribute('src', await imageUrlToDataUrl(img.src));
+            }
+            await img.decode();
+        } catch (error) {
+            img.remove();
+        }
+    }));
+}
+
+function imageUrlToDataUrl(url) {
+    return fetch(url)
+        .then(response => response.blob())
+        .then(blob => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        }));
+}
+
+// Split the snapshot into pages, cutting between messages rather than through them
+function paginateSnapshot(snapshot, pageHeight) {
+    const pages = [];
+    let top = 0;
+    
+    while (top < snapshot.height) {
+        const limit = top + pageHeight;
+        let bottom = top;
+        snapshot.breakpoints.forEach(point => {
+            if (point > bottom && point <= limit) bottom = point;
+        });
+        // A single message taller than a page has to be cut
+        if (bottom === top) bottom = Math.min(limit, snapshot.height);
+        if (snapshot.height - bottom < 1) bottom = snapshot.height;
+        
+        pages.push({ top: top, height: bottom - top });
+        top = bottom;
+    }
     
-    // Focus input
-    const messageInput = document.getElementById('messageInput');
-    messageInput.focus();
+    return pages;
+}
+
+function collectDocumentStyles() {
+    let cssText = '';
+    Array.from(document.styleSheets).forEach(sheet => {
+        try {
+            Array.from(sheet.cssRules).forEach(rule => {
+                cssText += rule.cssText + '\n';
+            });
+        } catch (error) {
+            // Cross-origin stylesheets cannot be read
+        }
+    });
+    return cssText;
+}
+
+function renderSnapshotToCanvas(snapshot, top, height) {
+    const styles = collectDocumentStyles().replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${snapshot.width}" height="${height}">` +
+        `<foreignObject x="0" y="0" width="100%" height="100%">` +
+        `<div xmlns="http://www.w3.org/1999/xhtml" style="transform: translateY(-${top}px)">` +
+        `<style>${styles}</style>${snapshot.markup}` +
+        `</div></foreignObject></svg>`;
     
-    hideContextMenu();
+    const scale = Math.max(1, Math.min(window.devicePixelRatio || 1, MAX_EXPORT_CANVAS_HEIGHT / height));
+    
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(snapshot.width * scale);
+            canvas.height = Math.round(height * scale);
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.fillStyle = snapshot.background;
+            ctx.fillRect(0, 0, snapshot.width, height);
+            ctx.drawImage(image, 0, 0, snapshot.width, height);
+            resolve(canvas);
+        };
+        image.onerror = () => reject(new Error('Failed to render chat snapshot'));
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
+}
+
+function downloadCanvas(canvas, fileName) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('Failed to encode PNG'));
+                return;
+            }
+            downloadBlob(blob, fileName);
+            resolve();
+        }, 'image/png');
+    });
 }
 
-function cancelReply() {
-    replyingToMessage = null;
-    const replyPreview = document.getElementById('replyPreview');
-    replyPreview.style.display = 'none';
+// Utility Functions
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-function reactToMessage() {
-    if (!contextMenuTargetMessage) return;
-    
-    // Hide context menu first
-    hideContextMenu();
-    
-    // Show emoji picker
-    const emojiPicker = document.getElementById('emojiPicker');
-    emojiPicker.style.display = 'block';
-    emojiPicker.style.position = 'fixed';
-    emojiPicker.style.bottom = '120px';
-    emojiPicker.style.left = '50%';
-    emojiPicker.style.transform = 'translateX(-50%)';
-    emojiPicker.style.zIndex = '1000';
+function toFileName(name) {
+    return (name || 'chat').replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_') || 'chat';
 }
 
-function hideEmojiPicker() {
-    const emojiPicker = document.getElementById('emojiPicker');
-    if (emojiPicker) {
-        emojiPicker.style.display = 'none';
-    }
+function generateId() {
+    return Math.random().toString(36).substring(2) + Date.now().toString(36);
 }
 
-// Image Preview Modal Functions
-function showImagePreview(imageDataUrl) {
-    const modal = document.getElementById('imagePreviewModal');
-    const img = document.getElementById('imagePreviewImg');
+// Mimi Chat System
+// The matcher every bot answers with. A response bank maps trigger phrases to answers;
+// mimi.json is the built-in one. Its optional "@intents" entry lists richer intents:
+// { id, patterns: [...], answers: [...], after: [intent ids] }. An intent with "after" is a
+// follow-up and only fires right after one of those intents (a plain phrase's id is the phrase).
+// Patterns may hold {slot} placeholders; captured words are kept in the chat's bot state
+// and fill the same placeholders in later answers.
+// Photos, files and voice messages are answered from the "@image", "@file" and "@voice"
+// entries instead (see Bot Media Functions).
+// Banks you add have no file. Your edits to any bank are stored per phrase in bankEntries.
+const BUILT_IN_BANKS = [{ id: 'mimi', name: 'Mimi', url: 'mimi.json' }];
+// Promise of bankId -> { id, name, url, bundled, customEntries, responses, matcher }:
+// bundled is the file as shipped, customEntries maps phrase -> { bankId, phrase, answers }
+// or { bankId, phrase, deleted: true }, responses merges the two and matcher is built from it
+let responseBanks = null;
+const MIMI_INTENTS_KEY = '@intents';
+const MIMI_MEDIA_KEYS = { image: '@image', file: '@file', voice: '@voice' };
+// Per-profile matching settings (profile.matchSettings override these). A pattern's score is the
+// best of its weighted metric scores; weights of 1 and these thresholds are the original behaviour.
+const DEFAULT_MATCH_SETTINGS = {
+    primaryThreshold: 0.7, // strong match
+    secondaryThreshold: 0.55, // fallback match
+    weights: { jaroWinkler: 1, jaccard: 1, contains: 1 }
+};
+const MATCH_METRICS = [
+    { key: 'jaroWinkler', label: 'Jaro-Winkler' },
+    { key: 'jaccard', label: 'Jaccard' },
+    { key: 'contains', label: 'Contains' }
+];
+const MATCH_DEBUG_CANDIDATES = 5; // Candidates kept on each reply for the debug panel
+const MIMI_CONTEXT_BONUS = 0.1; // Lets an expected follow-up win close calls
+const MIMI_SLOT_SCORE = 0.95; // Every word of a slot pattern matched: just short of an exact phrase
+const MIMI_BARE_SLOT_SCORE = 0.75; // A pattern that is only a placeholder matches any short message
+const MIMI_SLOT_MAX_WORDS = 3; // Longer captures are sentences, not names
+
+// Every bank with your edits, read once
+function loadResponseBanks() {
+    if (!responseBanks) responseBanks = readResponseBanks();
+    return responseBanks;
+}
+
+async function readResponseBanks() {
+    const banks = new Map();
+    let storedBanks = [];
+    let entries = [];
+    try {
+        [storedBanks, entries] = await Promise.all([loadFromIndexedDB('responseBanks'), loadFromIndexedDB('bankEntries')]);
+    } catch (error) {
+        console.error('Error loading response banks:', error);
+    }
     
-    if (modal && img) {
-        img.src = imageDataUrl;
-        modal.style.display = 'block';
-        
-        // Close modal when clicking on background
-        modal.onclick = function(event) {
-            if (event.target === modal) {
-                hideImagePreview();
-            }
-        };
-        
-        // Close modal with Escape key
-        document.addEventListener('keydown', function escapeHandler(event) {
-            if (event.key === 'Escape') {
-                hideImagePreview();
-                document.removeEventListener('keydown', escapeHandler);
-            }
+    [...BUILT_IN_BANKS, ...storedBanks].forEach(bank => {
+        banks.set(bank.id, {
+            id: bank.id,
+            name: bank.name,
+            url: bank.url || null,
+            bundled: bank.url ? null : {},
+            customEntries: new Map(),
+            responses: null,
+            matcher: null
         });
-    }
+    });
+    entries.forEach(entry => {
+        const bank = banks.get(entry.bankId);
+        if (bank) bank.customEntries.set(entry.phrase, entry);
+    });
+    return banks;
 }
 
-function hideImagePreview() {
-    const modal = document.getElementById('imagePreviewModal');
-    if (modal) {
-        modal.style.display = 'none';
-        // Remove click listener to prevent memory leaks
-        modal.onclick = null;
+async function getResponseBank(bankId) {
+    const banks = await loadResponseBanks();
+    return banks.get(bankId) || null;
+}
+
+// Load a bank's phrases with your changes applied
+async function loadBankResponses(bank) {
+    if (bank.responses) return bank.responses;
+    
+    try {
+        if (!bank.bundled) {
+            const response = await fetch(bank.url);
+            bank.bundled = await response.json();
+        }
+        bank.responses = mergeMimiResponses(bank.bundled, bank.customEntries);
+        return bank.responses;
+    } catch (error) {
+        console.error(`Error loading ${bank.url}:`, error);
+        return {};
     }
 }
 
-// Rules Modal Functions
-let rulesModalEscapeHandler = null;
+function mergeMimiResponses(bundled, customEntries) {
+    const merged = Object.assign({}, bundled);
+    customEntries.forEach(entry => {
+        if (entry.deleted) {
+            delete merged[entry.phrase];
+        } else {
+            merged[entry.phrase] = entry.answers;
+        }
+    });
+    return merged;
+}
 
-function showRulesModal() {
-    const modal = document.getElementById('rulesModal');
-    if (modal) {
-        modal.style.display = 'block';
-        
-        // Close modal when clicking on background
-        modal.onclick = function(event) {
-            if (event.target === modal) {
-                hideRulesModal();
-            }
-        };
-        
-        // Create single escape handler
-        rulesModalEscapeHandler = function(event) {
-            if (event.key === 'Escape') {
-                hideRulesModal();
-            }
-        };
-        
-        // Add escape key listener
-        document.addEventListener('keydown', rulesModalEscapeHandler);
-        
-        // Scroll to top when modal opens
-        setTimeout(() => {
-            modal.scrollTop = 0;
-        }, 100);
-    }
+// Rebuild the merged bank and intents after your changes
+function invalidateBankResponses(bank) {
+    bank.responses = null;
+    bank.matcher = null;
 }
 
-function hideRulesModal() {
-    const modal = document.getElementById('rulesModal');
-    if (modal) {
-        modal.style.display = 'none';
-        // Remove click listener to prevent memory leaks
-        modal.onclick = null;
+// Calculate string similarity using Jaro-Winkler distance
+function calculateSimilarity(str1, str2) {
+    if (str1 === str2) return 1.0;
+    
+    str1 = str1.toLowerCase().trim();
+    str2 = str2.toLowerCase().trim();
+    
+    if (str1 === str2) return 1.0;
+    
+    const maxDistance = Math.floor(Math.max(str1.length, str2.length) / 2) - 1;
+    const matches1 = new Array(str1.length).fill(false);
+    const matches2 = new Array(str2.length).fill(false);
+    let matches = 0;
+    let transpositions = 0;
+    
+    // Find matches
+    for (let i = 0; i < str1.length; i++) {
+        const start = Math.max(0, i - maxDistance);
+        const end = Math.min(i + maxDistance + 1, str2.length);
         
-        // Remove escape key listener
-        if (rulesModalEscapeHandler) {
-            document.removeEventListener('keydown', rulesModalEscapeHandler);
-            rulesModalEscapeHandler = null;
+        for (let j = start; j < end; j++) {
+            if (matches2[j] || str1[i] !== str2[j]) continue;
+            matches1[i] = matches2[j] = true;
+            matches++;
+            break;
         }
     }
+    
+    if (matches === 0) return 0.0;
+    
+    // Find transpositions
+    let k = 0;
+    for (let i = 0; i < str1.length; i++) {
+        if (!matches1[i]) continue;
+        while (!matches2[k]) k++;
+        if (str1[i] !== str2[k]) transpositions++;
+        k++;
+    }
+    
+    const jaro = (matches / str1.length + matches / str2.length + (matches - transpositions / 2) / matches) / 3;
+    
+    // Apply Winkler modification
+    let prefix = 0;
+    for (let i = 0; i < Math.min(str1.length, str2.length, 4); i++) {
+        if (str1[i] === str2[i]) prefix++;
+        else break;
+    }
+    
+    return jaro + 0.1 * prefix * (1 - jaro);
 }
 
-function findMessage(messageId) {
-    return currentChat.messages.find(m => m.id === messageId);
+// Normalize text: lowercase, trim, remove extra spaces, basic punctuation and ZWJ/ZWNJ
+function normalizeText(text) {
+    if (!text) return '';
+    return text
+        .toLowerCase()
+        .replace(/[\u200C\u200D]/g, '') // remove ZWNJ/ZWJ
+        .replace(/[\p{P}\p{S}]+/gu, ' ') // remove punctuation/symbols (unicode)
+        .replace(/\s+/g, ' ')
+        .trim();
 }
 
-// Emoji Selection for Reactions
-function selectEmoji(emoji) {
-    // Toggle reaction to message
-    if (contextMenuTargetMessage) {
-        const message = findMessage(contextMenuTargetMessage);
-        if (message) {
-            if (!message.reactions) {
-                message.reactions = {};
-            }
-            
-            // Toggle reaction: remove if same emoji, add if different or none
-            if (message.reactions[currentUser.id] === emoji) {
-                // Remove the reaction
-                delete message.reactions[currentUser.id];
-            } else {
-                // Add or change the reaction
-                message.reactions[currentUser.id] = emoji;
-            }
-            saveAllData(); // Save to IndexedDB
-            renderMessages();
-        }
-        contextMenuTargetMessage = null;
-    }
-    hideEmojiPicker();
+function tokenSet(text) {
+    return new Set(normalizeText(text).split(' ').filter(Boolean));
 }
 
-// Quick reaction picker for the reaction button
-function showQuickReactionPicker(event, messageId) {
-    // Create quick reaction picker if it doesn't exist
-    let quickPicker = document.getElementById('quickReactionPicker');
-    if (!quickPicker) {
-        quickPicker = document.createElement('div');
-        quickPicker.id = 'quickReactionPicker';
-        quickPicker.className = 'quick-reaction-picker';
-        quickPicker.innerHTML = `
-            <div class="quick-menu-content">
-                <div class="quick-reaction-grid">
-                    <span class="quick-emoji" data-emoji="👍">👍</span>
-                    <span class="quick-emoji" data-emoji="❤️">❤️</span>
-                    <span class="quick-emoji" data-emoji="😂">😂</span>
-                    <span class="quick-emoji" data-emoji="😮">😮</span>
-                    <span class="quick-emoji" data-emoji="😢">😢</span>
-                    <span class="quick-emoji" data-emoji="😡">😡</span>
-                    <span class="quick-emoji" data-emoji="🔥">🔥</span>
-                </div>
-                <div class="quick-actions">
-                    <button class="quick-action-btn" data-action="reply">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M10 9V5l-7 7 7 7v-4.1c5 0 8.5 1.6 11 5.1-1-5-4-10-11-11z"/>
-                        </svg>
-                        Reply
-                    </button>
-                    <button class="quick-action-btn" data-action="edit">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
-                        </svg>
-                        Edit
-                    </button>
-                    <button class="quick-action-btn" data-action="delete">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
-                        </svg>
-                        Delete
-                    </button>
-                </div>
-            </div>
-        `;
-        document.body.appendChild(quickPicker);
-        
-        // Use event delegation to handle clicks
-        quickPicker.addEventListener('click', (e) => {
-            e.stopPropagation();
-            
-            const emojiElement = e.target.closest('.quick-emoji');
-            const actionElement = e.target.closest('.quick-action-btn');
-            
-            if (emojiElement) {
-                const selectedEmoji = emojiElement.dataset.emoji;
-                if (currentChatType === 'group') {
-                    showReactionCountPicker(selectedEmoji, contextMenuTargetMessage);
-                } else {
-                    addQuickReaction(contextMenuTargetMessage, selectedEmoji);
-                }
-                hideQuickReactionPicker();
-            } else if (actionElement) {
-                const action = actionElement.dataset.action;
-                switch(action) {
-                    case 'reply':
-                        replyToMessage();
-                        break;
-                    case 'edit':
-                        editMessage();
-                        break;
-                    case 'delete':
-                        deleteMessage();
-                        break;
-                }
-                hideQuickReactionPicker();
+function jaccardSimilarity(a, b) {
+    return setJaccard(tokenSet(a), tokenSet(b));
+}
+
+function setJaccard(setA, setB) {
+    if (setA.size === 0 || setB.size === 0) return 0;
+    let intersection = 0;
+    setA.forEach(t => { if (setB.has(t)) intersection++; });
+    const union = setA.size + setB.size - intersection;
+    return intersection / union;
+}
+
+function containsSimilarity(text, pattern) {
+    return normalizedContainsScore(normalizeText(text), normalizeText(pattern));
+}
+
+// containsSimilarity() for text that is already normalized
+function normalizedContainsScore(nt, np) {
+    if (!nt || !np) return 0;
+    if (nt === np) return 1;
+    if (nt.includes(np)) return Math.min(0.95, Math.max(np.length / (nt.length + 0.0001), 0.7));
+    return 0;
+}
+
+// Mimi Transliteration Functions
+// Bangla script and Banglish are compared in one romanized spelling, so "kemon acho",
+// "kemon aso" and "কেমন আছো" all become "kemon aso"
+const BANGLA_VOWELS = {
+    'অ': 'o', 'আ': 'a', 'ই': 'i', 'ঈ': 'i', 'উ': 'u', 'ঊ': 'u', 'ঋ': 'ri',
+    'এ': 'e', 'ঐ': 'oi', 'ও': 'o', 'ঔ': 'ou'
+};
+const BANGLA_VOWEL_SIGNS = {
+    'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri',
+    'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou'
+};
+const BANGLA_CONSONANTS = {
+    'ক': 'k', 'খ': 'kh', 'গ': 'g', 'ঘ': 'gh', 'ঙ': 'ng',
+    'চ': 'c', 'ছ': 'ch', 'জ': 'j', 'ঝ': 'jh', 'ঞ': 'n',
+    'ট': 't', 'ঠ': 'th', 'ড': 'd', 'ঢ': 'dh', 'ণ': 'n',
+    'ত': 't', 'থ': 'th', 'দ': 'd', 'ধ': 'dh', 'ন': 'n',
+    'প': 'p', 'ফ': 'ph', 'ব': 'b', 'ভ': 'bh', 'ম': 'm',
+    'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'sh', 'ষ': 'sh', 'স': 's', 'হ': 'h',
+    '\u09DC': 'r', '\u09DD': 'rh', '\u09DF': 'y' // ড় ঢ় য়
+};
+const BANGLA_HASANTA = '্';
+// Spellings Banglish uses interchangeably, folded to one: acho/aso, bhalo/valo, shuvo/suvo
+const BANGLISH_FOLDS = [
+    [/chh|ch|sh|kh|gh|jh|th|dh|ph|bh|rh/g, match => ({ chh: 's', ch: 's', sh: 's', ph: 'f', bh: 'v' })[match] || match[0]],
+    [/c/g, 's'],
+    [/z/g, 'j'],
+    [/q/g, 'k'],
+    [/ee/g, 'i'],
+    [/oo/g, 'u'],
+    [/([a-z])\1+/g, '$1'] // kiii, accha, onno
+];
+
+// Normalized text in the romanized spelling the matcher compares
+function foldMimiText(text) {
+    const romanized = normalizeText(text)
+        // Nukta letters and two-part vowel signs can be typed precomposed or as pairs
+        .replace(/\u09A1\u09BC/g, '\u09DC').replace(/\u09A2\u09BC/g, '\u09DD').replace(/\u09AF\u09BC/g, '\u09DF')
+        .replace(/\u09C7\u09BE/g, 'ো').replace(/\u09C7\u09D7/g, 'ৌ')
+        .split(' ')
+        .map(transliterateBanglaWord)
+        .join(' ');
+    return BANGLISH_FOLDS
+        .reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), romanized)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Romanizes the Bangla letters of one word; anything else is kept as it is
+function transliterateBanglaWord(word) {
+    // Units are consonants (vowel is null while the inherent vowel is undecided),
+    // independent vowels, and other characters
+    const units = [];
+    for (let i = 0; i < word.length; i++) {
+        const char = word[i];
+        if (BANGLA_CONSONANTS[char]) {
+            let roman = BANGLA_CONSONANTS[char];
+            // য-phala and ব-phala double the consonant: ধন্যবাদ, বিশ্ব
+            if (word[i + 1] === BANGLA_HASANTA && (word[i + 2] === 'য' || word[i + 2] === 'ব')) {
+                roman += roman;
+                i += 2;
             }
-        });
+            let vowel = null;
+            if (BANGLA_VOWEL_SIGNS[word[i + 1]]) {
+                vowel = BANGLA_VOWEL_SIGNS[word[i + 1]];
+                i++;
+            } else if (word[i + 1] === BANGLA_HASANTA) {
+                vowel = '';
+                i++;
+            }
+            units.push({ roman: roman, vowel: vowel, letter: true, consonant: true });
+        } else if (BANGLA_VOWELS[char]) {
+            units.push({ roman: BANGLA_VOWELS[char], vowel: '', letter: true });
+        } else if (char === 'ং') {
+            units.push({ roman: 'ng', vowel: '', letter: false });
+        } else if (char === 'ৎ') {
+            units.push({ roman: 't', vowel: '', letter: true });
+        } else if (char >= '০' && char <= '৯') {
+            units.push({ roman: String(char.charCodeAt(0) - '০'.charCodeAt(0)), vowel: '', letter: false });
+        } else if (char !== 'ঁ' && char !== 'ঃ' && char !== BANGLA_HASANTA && !BANGLA_VOWEL_SIGNS[char]) {
+            units.push({ roman: char, vowel: '', letter: false });
+        }
     }
     
-    // Set the current message for reaction
-    contextMenuTargetMessage = messageId;
-    
-    // Position the picker near the reaction button with viewport clamping
-    const rect = event.target.getBoundingClientRect();
-    const pickerWidth = 320; // Increased width for combined menu
-    const pickerHeight = 120; // Increased height for action buttons
-    
-    let top = rect.top - pickerHeight - 8;
-    let left = rect.left - pickerWidth / 2;
-    
-    // Clamp to viewport bounds
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-    
-    // Adjust horizontal position
-    if (left < 8) left = 8;
-    if (left + pickerWidth > viewportWidth - 8) left = viewportWidth - pickerWidth - 8;
+    // The inherent vowel is spoken after the first letter, before a final bare consonant
+    // and before a conjunct, and dropped elsewhere: করো koro, কেমন kemon, অবস্থা obostha, করছো korcho
+    let lastLetter = -1;
+    units.forEach((unit, index) => { if (unit.letter) lastLetter = index; });
+    return units.map((unit, index) => {
+        if (unit.vowel !== null) return unit.roman + unit.vowel;
+        const next = units[index + 1];
+        const spoken = index === 0 || (index < lastLetter && (
+            (index + 1 === lastLetter && next.vowel === null) || (next.consonant && next.vowel === '')
+        ));
+        return unit.roman + (spoken ? 'o' : '');
+    }).join('');
+}
+
+// A message and a bank phrase in the other script or spelling that must match at the
+// primary threshold; checkMimiTransliteration() scores them and scripts/check-mimi.js runs it
+const MIMI_TRANSLITERATION_PAIRS = [
+    ['kemon acho', 'কেমন আছো'],
+    ['kemon aso', 'কেমন আছো'],
+    ['kmn aso', 'কেমন আছো'],
+    ['kemon asen', 'কেমন আছেন'],
+    ['kemon achen', 'কেমন আছেন'],
+    ['ki koro', 'কি করো'],
+    ['kii koro', 'কী করো'],
+    ['ki korcho', 'কি করছো'],
+    ['ki korso', 'কি করছো'],
+    ['valo achi', 'ভালো আছি'],
+    ['bhalo asi', 'ভালো আছি'],
+    ['ami bhalo nei', 'আমি ভালো নেই'],
+    ['tomar nam ki', 'তোমার নাম কি'],
+    ['ami tomake valobashi', 'আমি তোমাকে ভালোবাসি'],
+    ['shuvo sokal', 'শুভ সকাল'],
+    ['ki khobor', 'কি খবর'],
+    ['ki obostha', 'কি অবস্থা'],
+    ['khaiso', 'খাইছো'],
+    ['kothay', 'কোথায়'],
+    ['ekhon', 'এখন'],
+    ['ghumao', 'ঘুমাও'],
+    ['dhonnobad', 'ধন্যবাদ'],
+    ['accha', 'আচ্ছা'],
+    ['acha', 'আচ্ছা'],
+    ['shundor', 'সুন্দর'],
+    ['jani na', 'জানি না'],
+    ['oke', 'ওকে'],
+    ['bangla', 'বাংলা'],
+    // Script variants: ZWNJ after hasanta, nukta letters as pairs, ো typed as ে + া
+    ['স্\u200Cকুল', 'স্কুল'],
+    ['কোথা\u09AF\u09BC', 'কোথা\u09DF'],
+    ['কেমন আছ\u09C7\u09BE', 'কেমন আছো']
+];
+
+// The pairs that score below the threshold
+function checkMimiTransliteration(threshold = DEFAULT_MATCH_SETTINGS.primaryThreshold) {
+    const failures = [];
+    MIMI_TRANSLITERATION_PAIRS.forEach(([message, phrase]) => {
+        const result = scoreMimiPattern(createMimiQuery(message), compileMimiPattern(phrase));
+        if (result.similarity < threshold) {
+            failures.push({ message: message, phrase: phrase, compared: [foldMimiText(message), foldMimiText(phrase)], similarity: result.similarity });
+        }
+    });
+    return failures;
+}
+
+// The bank's intents (every plain phrase becomes a one-pattern intent) and their index
+async function getMimiMatcher(bank) {
+    if (bank.matcher) return bank.matcher;
+    const responses = await loadBankResponses(bank);
+    const intents = buildMimiIntents(responses || {});
+    const matcher = { intents: intents, index: buildMimiIndex(intents) };
+    if (bank.responses) bank.matcher = matcher;
+    return matcher;
+}
+
+function buildMimiIntents(responses) {
+    const intents = [];
+    const declared = Array.isArray(responses[MIMI_INTENTS_KEY]) ? responses[MIMI_INTENTS_KEY] : [];
+    declared.forEach(intent => {
+        if (!intent || !Array.isArray(intent.patterns) || !Array.isArray(intent.answers)) return;
+        intents.push({
+            id: intent.id || intent.patterns[0],
+            patterns: intent.patterns.map(compileMimiPattern),
+            answers: intent.answers,
+            after: Array.isArray(intent.after) ? intent.after : null
+        });
+    });
     
-    // Adjust vertical position
-    if (top < 8) top = rect.bottom + 8; // Show below if no space above
-    if (top + pickerHeight > viewportHeight - 8) top = viewportHeight - pickerHeight - 8;
+    Object.entries(responses).forEach(([question, answers]) => {
+        if (question === MIMI_INTENTS_KEY || isMimiMediaKey(question) || !Array.isArray(answers)) return;
+        intents.push({ id: question, patterns: [compileMimiPattern(question)], answers: answers, after: null });
+    });
+    return intents;
+}
+
+// "আমার নাম {name}" becomes /^আমার নাম (.+?)$/ over normalized text
+function compileMimiPattern(text) {
+    const parts = text.split(/\{(\w+)\}/); // Odd indexes are slot names
+    if (parts.length === 1) {
+        return {
+            text: text,
+            regex: null,
+            slotNames: [],
+            literalLength: 0,
+            // The spelling every metric compares, worked out once instead of per message
+            folded: foldMimiText(text),
+            tokens: tokenSet(foldMimiText(text))
+        };
+    }
     
-    quickPicker.style.position = 'fixed';
-    quickPicker.style.top = top + 'px';
-    quickPicker.style.left = left + 'px';
-    quickPicker.style.display = 'block';
-    quickPicker.style.zIndex = '1000';
+    const pieces = [];
+    const slotNames = [];
+    let literalLength = 0;
+    parts.forEach((part, index) => {
+        if (index % 2 === 1) {
+            slotNames.push(part);
+            pieces.push('(.+?)');
+            return;
+        }
+        const literal = normalizeText(part);
+        if (literal) {
+            literalLength += literal.length;
+            pieces.push(literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        }
+    });
+    return { text: text, regex: new RegExp('^' + pieces.join(' ') + '$', 'u'), slotNames: slotNames, literalLength: literalLength };
+}
+
+function getMatchSettings(profile) {
+    const saved = (profile && profile.matchSettings) || {};
+    return {
+        primaryThreshold: typeof saved.primaryThreshold === 'number' ? saved.primaryThreshold : DEFAULT_MATCH_SETTINGS.primaryThreshold,
+        secondaryThreshold: typeof saved.secondaryThreshold === 'number' ? saved.secondaryThreshold : DEFAULT_MATCH_SETTINGS.secondaryThreshold,
+        weights: Object.assign({}, DEFAULT_MATCH_SETTINGS.weights, saved.weights)
+    };
+}
+
+// The message in the forms the matcher needs, like a compiled pattern.
+// Slot patterns read normalized text so captured names keep their script.
+function createMimiQuery(userMessage) {
+    const folded = foldMimiText(userMessage);
+    return { normalized: normalizeText(userMessage), folded: folded, tokens: tokenSet(folded) };
+}
+
+// Returns { similarity, slots, metric, scores } or null when a slot pattern does not apply.
+// metric names the score that won: a MATCH_METRICS key or 'slot'.
+function scoreMimiPattern(query, pattern, weights = DEFAULT_MATCH_SETTINGS.weights) {
+    if (pattern.regex) {
+        return scoreMimiSlotPattern(query.normalized, pattern);
+    }
     
-    // Hide picker when clicking outside or pressing Escape
-    // Add a longer delay to prevent immediate closing when releasing mouse button
-    setTimeout(() => {
-        document.addEventListener('click', hideQuickReactionPicker, { once: true });
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                hideQuickReactionPicker();
-            }
-        }, { once: true });
-    }, 500); // Increased delay to 500ms
+    // Combine multiple similarity signals
+    return combineMetricScores({
+        jaroWinkler: calculateSimilarity(query.folded, pattern.folded),
+        jaccard: setJaccard(query.tokens, pattern.tokens),
+        contains: normalizedContainsScore(query.folded, pattern.folded)
+    }, weights);
 }
 
-function hideQuickReactionPicker() {
-    const quickPicker = document.getElementById('quickReactionPicker');
-    if (quickPicker) {
-        quickPicker.style.display = 'none';
+// Reference scoring with the plain metric functions, as before the index existed
+function scoreMimiPatternBruteForce(query, pattern, weights = DEFAULT_MATCH_SETTINGS.weights) {
+    if (pattern.regex) {
+        return scoreMimiSlotPattern(query.normalized, pattern);
     }
+    return combineMetricScores({
+        jaroWinkler: calculateSimilarity(query.folded, pattern.folded),
+        jaccard: jaccardSimilarity(query.folded, pattern.folded),
+        contains: containsSimilarity(query.folded, pattern.folded)
+    }, weights);
 }
 
-function showReactionCountPicker(emoji, messageId) {
-    const count = prompt(`How many ${emoji} reactions would you like to add?`, '1');
-    if (count && !isNaN(count) && parseInt(count) > 0) {
-        addQuickReaction(messageId, emoji, parseInt(count));
+function scoreMimiSlotPattern(normalizedUser, pattern) {
+    const match = normalizedUser.match(pattern.regex);
+    if (!match) return null;
+    const slots = {};
+    for (let i = 0; i < pattern.slotNames.length; i++) {
+        const value = match[i + 1].trim();
+        if (!value || value.split(' ').length > MIMI_SLOT_MAX_WORDS) return null;
+        slots[pattern.slotNames[i]] = value;
     }
+    if (pattern.literalLength === 0) {
+        return { similarity: MIMI_BARE_SLOT_SCORE, slots: slots, metric: 'slot', scores: {} };
+    }
+    // Among slot patterns the one with more matched words is the more specific
+    const literalShare = pattern.literalLength / normalizedUser.length;
+    return { similarity: MIMI_SLOT_SCORE + (1 - MIMI_SLOT_SCORE) * literalShare, slots: slots, metric: 'slot', scores: {} };
 }
 
-function addQuickReaction(messageId, emoji, count = 1) {
-    const message = findMessage(messageId);
-    if (message) {
-        if (!message.reactions) {
-            message.reactions = {};
+// The best weighted score wins; on a tie the earlier metric in MATCH_METRICS
+function combineMetricScores(scores, weights) {
+    let similarity = 0;
+    let metric = MATCH_METRICS[0].key;
+    MATCH_METRICS.forEach(({ key }) => {
+        const weighted = Math.min(1, scores[key] * weights[key]);
+        if (weighted > similarity) {
+            similarity = weighted;
+            metric = key;
         }
-        
-        // For group chats, support multiple reactions with counts
-        if (currentChatType === 'group') {
-            if (!message.reactions[currentUser.id]) {
-                message.reactions[currentUser.id] = {};
-            }
-            // Add or update the count for this emoji
-            if (message.reactions[currentUser.id][emoji]) {
-                message.reactions[currentUser.id][emoji] += count;
-            } else {
-                message.reactions[currentUser.id][emoji] = count;
-            }
-        } else {
-            // For 1:1 chats, keep the original behavior
-            if (message.reactions[currentUser.id] === emoji) {
-                delete message.reactions[currentUser.id];
-            } else {
-                message.reactions[currentUser.id] = emoji;
-            }
+    });
+    return { similarity: similarity, slots: {}, metric: metric, scores: scores };
+}
+
+// The best pattern of every intent that can fire now, highest similarity first.
+// state is the chat's bot state; without it follow-up intents never fire. No bank, no candidates.
+async function rankMimiCandidates(bank, userMessage, state = null, limit = 5, settings = DEFAULT_MATCH_SETTINGS) {
+    if (!bank) return [];
+    const matcher = await getMimiMatcher(bank);
+    const lastIntent = state ? state.lastIntent : null;
+    return rankIndexedCandidates(matcher, createMimiQuery(userMessage), lastIntent, limit, settings);
+}
+
+// An intent's best pattern as a candidate (the earlier pattern on a tie), or null.
+// scorePattern returns a scoreMimiPattern() result, or null to skip the pattern.
+function scoreMimiIntent(intent, intentIndex, scorePattern) {
+    const bonus = intent.after ? MIMI_CONTEXT_BONUS : 0;
+    let best = null;
+    for (const pattern of intent.patterns) {
+        const result = scorePattern(pattern);
+        if (!result) continue;
+        const similarity = Math.min(1, result.similarity + bonus);
+        if (!best || similarity > best.similarity) {
+            best = {
+                question: pattern.text,
+                answers: intent.answers,
+                similarity,
+                intent: intent.id,
+                intentIndex: intentIndex,
+                slots: result.slots,
+                metric: result.metric,
+                scores: result.scores,
+                bonus: bonus
+            };
         }
-        saveAllData(); // Save to IndexedDB
-        renderMessages();
     }
+    return best && best.similarity > 0 ? best : null;
 }
 
-// Seen Status Functions
-function markMessageAsSeen(messageId, userId) {
-    const message = findMessage(messageId);
-    if (message && !message.seenBy.includes(userId)) {
-        message.seenBy.push(userId);
-        saveAllData(); // Save to IndexedDB
+// Higher similarity first; on equal scores the earlier intent wins, as declared intents come first
+function compareMimiCandidates(a, b) {
+    return b.similarity - a.similarity || a.intentIndex - b.intentIndex;
+}
+
+function canMimiIntentFire(intent, lastIntent) {
+    return !intent.after || intent.after.includes(lastIntent);
+}
+
+// Reference ranking that scores every pattern; benchmarkMimiMatching() checks the index against it
+function rankMimiCandidatesBruteForce(intents, query, lastIntent, limit, settings = DEFAULT_MATCH_SETTINGS) {
+    const candidates = [];
+    intents.forEach((intent, intentIndex) => {
+        if (!canMimiIntentFire(intent, lastIntent)) return;
+        const candidate = scoreMimiIntent(intent, intentIndex, pattern => scoreMimiPatternBruteForce(query, pattern, settings.weights));
+        if (candidate) candidates.push(candidate);
+    });
+    candidates.sort(compareMimiCandidates);
+    return candidates.slice(0, limit);
+}
+
+// Mimi Index Functions
+// Slack for floating point rounding so a bound never prunes a candidate that ties
+const MIMI_BOUND_EPSILON = 1e-9;
+
+// Counted per UTF-16 unit, the way calculateSimilarity() compares strings
+function countCharacters(text) {
+    const counts = new Map();
+    for (let i = 0; i < text.length; i++) {
+        counts.set(text[i], (counts.get(text[i]) || 0) + 1);
     }
+    return counts;
 }
 
-function markAllMessagesAsSeenByCurrentUser() {
-    if (!currentChat || !currentChat.messages) return;
+// Character index over the plain patterns: char -> [{ pattern, count }].
+// A pattern that shares no character with a message scores 0 on every metric, and the
+// shared count caps how many characters Jaro-Winkler can match, so the index both
+// finds the plausible patterns and bounds their scores before any of them is scored.
+// Follow-up intents are left out: their context bonus lets them match without any overlap.
+function buildMimiIndex(intents) {
+    const postings = new Map();
+    const alwaysScored = []; // Slot patterns, follow-ups, and patterns with no text to index
+    intents.forEach((intent, intentIndex) => {
+        intent.patterns.forEach(pattern => {
+            pattern.intentIndex = intentIndex;
+            pattern.indexed = !pattern.regex && !intent.after && pattern.folded !== '';
+            if (!pattern.indexed) {
+                alwaysScored.push(pattern);
+                return;
+            }
+            countCharacters(pattern.folded).forEach((count, char) => {
+                if (!postings.has(char)) postings.set(char, []);
+                postings.get(char).push({ pattern: pattern, count: count });
+            });
+        });
+    });
+    return { postings: postings, alwaysScored: alwaysScored };
+}
+
+// Highest Jaro-Winkler score two strings sharing at most `overlap` characters can reach:
+// every shared character matched with no transpositions, plus the real common prefix
+function jaroWinklerUpperBound(folded1, folded2, overlap) {
+    if (overlap === 0) return 0;
+    const jaro = (overlap / folded1.length + overlap / folded2.length + 1) / 3;
+    let prefix = 0;
+    for (let i = 0; i < Math.min(4, folded1.length, folded2.length); i++) {
+        if (folded1[i] !== folded2[i]) break;
+        prefix++;
+    }
+    return jaro + 0.1 * prefix * (1 - jaro);
+}
+
+// Same result as rankMimiCandidatesBruteForce(), scoring only the intents that can still
+// make the top `limit`: intents are scored from the highest bound down, and the rest are
+// skipped once their bound falls below the last kept candidate
+function rankIndexedCandidates(matcher, query, lastIntent, limit, settings = DEFAULT_MATCH_SETTINGS) {
+    const { intents, index } = matcher;
+    const weights = settings.weights;
+    if (limit <= 0) return [];
+    
+    // Characters each plain pattern shares with the message
+    const overlaps = new Map();
+    countCharacters(query.folded).forEach((count, char) => {
+        (index.postings.get(char) || []).forEach(posting => {
+            const shared = Math.min(count, posting.count);
+            overlaps.set(posting.pattern, (overlaps.get(posting.pattern) || 0) + shared);
+        });
+    });
     
-    currentChat.messages.forEach(message => {
-        if (message.senderId !== currentUser.id) {
-            markMessageAsSeen(message.id, currentUser.id);
+    // Best score each intent could reach
+    const bounds = new Map();
+    const raiseBound = (intentIndex, bound) => {
+        if (!bounds.has(intentIndex) || bound > bounds.get(intentIndex)) bounds.set(intentIndex, bound);
+    };
+    overlaps.forEach((overlap, pattern) => {
+        const intent = intents[pattern.intentIndex];
+        if (!canMimiIntentFire(intent, lastIntent)) return;
+        const bonus = intent.after ? MIMI_CONTEXT_BONUS : 0;
+        const bound = Math.max(
+            Math.min(1, jaroWinklerUpperBound(query.folded, pattern.folded, overlap) * weights.jaroWinkler),
+            Math.min(1, setJaccard(query.tokens, pattern.tokens) * weights.jaccard),
+            Math.min(1, normalizedContainsScore(query.folded, pattern.folded) * weights.contains)
+        );
+        raiseBound(pattern.intentIndex, Math.min(1, bound + bonus));
+    });
+    index.alwaysScored.forEach(pattern => {
+        if (canMimiIntentFire(intents[pattern.intentIndex], lastIntent)) raiseBound(pattern.intentIndex, 1);
+    });
+    
+    // Indexed patterns without shared characters score 0 and can never be an intent's best
+    const scorePattern = pattern => {
+        if (pattern.indexed && !overlaps.has(pattern)) return null;
+        return scoreMimiPattern(query, pattern, weights);
+    };
+    const order = Array.from(bounds.keys()).sort((a, b) => bounds.get(b) - bounds.get(a) || a - b);
+    const top = [];
+    for (const intentIndex of order) {
+        if (top.length === limit && bounds.get(intentIndex) + MIMI_BOUND_EPSILON < top[limit - 1].similarity) break;
+        const candidate = scoreMimiIntent(intents[intentIndex], intentIndex, scorePattern);
+        if (!candidate) continue;
+        // Keep only the best `limit`, in final order
+        let position = top.length;
+        while (position > 0 && compareMimiCandidates(candidate, top[position - 1]) < 0) position--;
+        if (position < limit) {
+            top.splice(position, 0, candidate);
+            if (top.length > limit) top.pop();
+        }
+    }
+    return top;
+}
+
+// Checks the index against brute-force scoring on the bundled bank and times both. Inputs are
+// the bank's phrases plus altered copies of them, asked in and out of a follow-up context.
+// Resolves to { inputs, mismatches: [{ input, lastIntent, expected, actual }], bruteForceMs, indexedMs, speedup }.
+async function benchmarkMimiMatching(bank, sampleSize = 40) {
+    const matcher = await getMimiMatcher(bank);
+    const phrases = Object.keys(bank.responses || {}).filter(key => key !== MIMI_INTENTS_KEY);
+    const inputs = ['', '???', 'আমার নাম রাহিম', 'amar nam ki jano'];
+    const step = Math.max(1, Math.floor(phrases.length / sampleSize));
+    for (let i = 0; i < phrases.length; i += step) {
+        const phrase = phrases[i];
+        inputs.push(phrase, phrase.slice(0, -1), phrase + ' ki', phrase.split(' ').reverse().join(' '));
+    }
+    const contexts = [null, 'ask_mimi_name', 'কেমন আছো'];
+    const settingsList = [DEFAULT_MATCH_SETTINGS, { weights: { jaroWinkler: 0.8, jaccard: 1.3, contains: 1.1 } }];
+    const describe = candidates => JSON.stringify(candidates.map(candidate => [
+        candidate.intent, candidate.question, candidate.similarity, candidate.metric, candidate.slots
+    ]));
+    
+    let bruteForceMs = 0;
+    let indexedMs = 0;
+    const mismatches = [];
+    inputs.forEach((input, i) => {
+        const query = createMimiQuery(input);
+        const lastIntent = contexts[i % contexts.length];
+        const settings = settingsList[i % settingsList.length];
+        let start = performance.now();
+        const expected = rankMimiCandidatesBruteForce(matcher.intents, query, lastIntent, MATCH_DEBUG_CANDIDATES, settings);
+        bruteForceMs += performance.now() - start;
+        start = performance.now();
+        const actual = rankIndexedCandidates(matcher, query, lastIntent, MATCH_DEBUG_CANDIDATES, settings);
+        indexedMs += performance.now() - start;
+        if (describe(expected) !== describe(actual)) {
+            mismatches.push({ input: input, lastIntent: lastIntent, expected: expected, actual: actual });
         }
     });
-    renderMessages();
+    
+    return {
+        inputs: inputs.length,
+        mismatches: mismatches,
+        bruteForceMs: Math.round(bruteForceMs),
+        indexedMs: Math.round(indexedMs),
+        speedup: indexedMs > 0 ? Math.round(bruteForceMs / indexedMs * 10) / 10 : null
+    };
 }
 
-// Status Text Editing
-function editStatusText() {
-    if (currentChatType !== 'user') return;
+// Find best matching response for user message using combined metrics
+async function findMimiResponse(bank, userMessage, state = null, settings = DEFAULT_MATCH_SETTINGS) {
+    return (await explainMimiMatch(bank, userMessage, state, settings)).match;
+}
+
+// The whole decision for one message: what was compared, the top candidates and why one
+// was taken or the fallback used. Kept on the bot's reply as message.matchInfo.
+async function explainMimiMatch(bank, userMessage, state = null, settings = DEFAULT_MATCH_SETTINGS) {
+    const normalized = normalizeText(userMessage);
+    const candidates = await rankMimiCandidates(bank, userMessage, state, MATCH_DEBUG_CANDIDATES, settings);
+    const best = candidates[0];
+    const info = {
+        input: userMessage,
+        bankId: bank ? bank.id : null,
+        normalized: normalized,
+        folded: foldMimiText(userMessage),
+        lastIntent: state ? state.lastIntent : null,
+        settings: settings,
+        candidates: candidates.map(candidate => ({
+            question: candidate.question,
+            intent: candidate.intent,
+            similarity: candidate.similarity,
+            metric: candidate.metric,
+            scores: candidate.scores,
+            bonus: candidate.bonus
+        })),
+        match: null,
+        reason: ''
+    };
     
-    const newStatus = prompt('Enter new status:', currentChat.statusText);
-    if (newStatus !== null) {
-        currentChat.statusText = newStatus.trim() || 'Available';
-        document.getElementById('chatStatus').textContent = currentChat.statusText;
-        
-        // Save to IndexedDB
-        saveAllData();
-        
-        // Update in sidebar
-        renderContacts();
+    if (!bank) {
+        info.reason = 'The bot has no response bank';
+    } else if (!normalized) {
+        info.reason = 'The message has no words left after normalization';
+    } else if (!best) {
+        info.reason = 'No phrase has anything in common with the message';
+    } else if (best.similarity >= settings.primaryThreshold) {
+        info.match = best;
+        info.reason = `Strong match: ${getMatchMetricLabel(best.metric)} scored ${best.similarity.toFixed(3)}, at or above the primary threshold ${settings.primaryThreshold}`;
+    } else if (best.similarity >= settings.secondaryThreshold) {
+        info.match = best;
+        info.reason = `Weak match: ${getMatchMetricLabel(best.metric)} scored ${best.similarity.toFixed(3)}, below the primary threshold ${settings.primaryThreshold} but at or above the secondary threshold ${settings.secondaryThreshold}`;
+    } else {
+        info.reason = `Fallback: the best score ${best.similarity.toFixed(3)} ("${best.question}") is below the secondary threshold ${settings.secondaryThreshold}`;
     }
+    return info;
 }
 
-// Auto-resize textarea function (Facebook Messenger style)
-function autoResizeTextarea(textarea) {
-    // Reset height to calculate scrollHeight properly
-    textarea.style.height = 'auto';
+function getMatchMetricLabel(key) {
+    if (key === 'slot') return 'Slot pattern';
+    if (key === 'media') return 'Media conditions';
+    const metric = MATCH_METRICS.find(m => m.key === key);
+    return metric ? metric.label : key;
+}
+
+// Answers that use known slots are preferred; ones needing unknown slots are skipped
+function pickMimiAnswer(answers, slots) {
+    const placeholders = answer => (answer.match(/\{\w+\}/g) || []).map(p => p.slice(1, -1));
+    const personal = answers.filter(answer => {
+        const names = placeholders(answer);
+        return names.length > 0 && names.every(name => slots[name]);
+    });
+    const pool = personal.length > 0 ? personal : answers.filter(answer => placeholders(answer).length === 0);
+    if (pool.length === 0) return null;
     
-    // Set height based on content, with max limit of 120px
-    const newHeight = Math.min(textarea.scrollHeight, 120);
-    textarea.style.height = newHeight + 'px';
+    const answer = pool[Math.floor(Math.random() * pool.length)];
+    return answer.replace(/\{(\w+)\}/g, (placeholder, name) => slots[name]);
+}
+
+// Bot Functions
+// Any user with a bot profile (user.bot) answers by itself from a response bank:
+// { bankId, reactions: [emoji], delays: { reply, fallback, groupReply, groupFallback },
+//   fallbacks: [text], groupFallbacks: [text] }, each delay a [min, max] range in ms.
+// Its matching thresholds stay in user.matchSettings.
+const BOT_REACTION_DELAY = [500, 1500];
+const BOT_CHAIN_LIMIT = 3; // Bot-to-bot replies per message of yours before the bots wait for you
+const MIMI_BOT_DEFAULTS = {
+    bankId: 'mimi',
+    reactions: ['🙃', '😑', '😌', '🤫', '😉', '😘'],
+    delays: { reply: [1000, 3000], fallback: [1500, 3000], groupReply: [1000, 4000], groupFallback: [2000, 4000] },
+    fallbacks: ['🤔', 'হুম', 'আচ্ছা', 'ওহ'],
+    groupFallbacks: ['😑', '🙃', 'হুম']
+};
+
+function createBotConfig(base = MIMI_BOT_DEFAULTS) {
+    return JSON.parse(JSON.stringify(base));
+}
+
+function isBot(user) {
+    return !!(user && user.bot);
+}
+
+// The contact of a 1:1 chat or the group's members, if they are bots
+function getChatBots(chat, chatType) {
+    if (chatType === 'user') return isBot(chat) ? [chat] : [];
+    return (chat.members || []).map(id => users.find(u => u.id === id)).filter(isBot);
+}
+
+const botChainBudgets = new Map(); // chat id -> bot-to-bot replies left until you write again
+
+function randomInRange([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+// Conversation memory per bot, kept on the chat record: the last matched intent and captured slots
+function getBotState(chat, botId) {
+    if (!chat.botStates) chat.botStates = {};
+    if (!chat.botStates[botId]) {
+        chat.botStates[botId] = { lastIntent: null, slots: {} };
+    }
+    return chat.botStates[botId];
+}
+
+function updateBotState(chat, chatType, botId, match) {
+    const state = getBotState(chat, botId);
+    state.lastIntent = match ? match.intent : null;
+    if (match) Object.assign(state.slots, match.slots);
+    queueChatSave(chat, chatType); // Save to IndexedDB
+}
+
+// Every bot in the chat answers your message. In groups a bot's reply can draw an answer
+// from one other bot, BOT_CHAIN_LIMIT times per message of yours, so bots never loop.
+// Callers don't wait for the replies, so errors are reported here.
+async function handleBotInteractions(chat, chatType, message) {
+    try {
+        await answerAsBots(chat, chatType, message);
+    } catch (error) {
+        console.error('Error getting bot replies:', error);
+    }
+}
+
+async function answerAsBots(chat, chatType, message) {
+    const bots = getChatBots(chat, chatType).filter(bot => bot.id !== message.senderId);
+    if (bots.length === 0) return;
+    
+    const fromBot = isBot(users.find(u => u.id === message.senderId));
+    const media = await describeMessageMedia(message); // Looked at once for every bot
+    if (!fromBot) {
+        botChainBudgets.set(chat.id, BOT_CHAIN_LIMIT);
+        await Promise.all(bots.map(async bot => {
+            reactAsBot(chat, bot, message);
+            sendBotReply(chat, chatType, bot, await explainBotMatch(chat, bot, message, media), false);
+        }));
+        return;
+    }
     
-    // Update wrapper alignment for better visual appearance
-    const wrapper = textarea.closest('.message-input-wrapper');
-    if (wrapper) {
-        // For multi-line text, align to bottom for better visual balance
-        wrapper.style.alignItems = textarea.scrollHeight > 32 ? 'flex-end' : 'center';
+    if (!(botChainBudgets.get(chat.id) > 0)) return;
+    // Only the bot with the best real answer replies to another bot, so bots never trade fallbacks
+    const replies = await Promise.all(bots.map(async bot => ({ bot: bot, info: await explainBotMatch(chat, bot, message, media) })));
+    const best = replies
+        .filter(reply => reply.info.match)
+        .sort((a, b) => b.info.match.similarity - a.info.match.similarity)[0];
+    // Checked again: other bot messages may have used the budget while this one was scored
+    if (!best || !(botChainBudgets.get(chat.id) > 0)) return;
+    botChainBudgets.set(chat.id, botChainBudgets.get(chat.id) - 1);
+    sendBotReply(chat, chatType, best.bot, best.info, true);
+}
+
+// Photos, files and voice messages are answered from the bank's media entries, not by their text
+async function explainBotMatch(chat, bot, message, media = null) {
+    const bank = await getResponseBank(bot.bot.bankId);
+    const state = getBotState(chat, bot.id);
+    if (media) return explainMediaMatch(bank, media, state);
+    return explainMimiMatch(bank, message.text, state, getMatchSettings(bot));
+}
+
+// A random emoji from the bot's reaction set on the message, after a short pause
+function reactAsBot(chat, bot, message) {
+    const emojis = bot.bot.reactions || [];
+    if (emojis.length === 0) return;
+    
+    setTimeout(() => {
+        if (!message.reactions) message.reactions = {};
+        message.reactions[bot.id] = { [emojis[Math.floor(Math.random() * emojis.length)]]: 1 };
+        queueMessageSave(message, chat); // Save to IndexedDB
+        if (chat === currentChat) refreshMessageElement(message.id);
+    }, randomInRange(BOT_REACTION_DELAY));
+}
+
+// The bot's reply, typed after a delay from its ranges, with the match explanation attached
+function sendBotReply(chat, chatType, bot, info, toBot) {
+    const config = bot.bot;
+    const state = getBotState(chat, bot.id);
+    updateBotState(chat, chatType, bot.id, info.match);
+    let answer = info.match ? pickMimiAnswer(info.match.answers, state.slots) : null;
+    // The reply keeps the explanation, not the whole matched intent
+    const matchInfo = Object.assign({}, info, { matched: info.match ? info.match.question : null });
+    delete matchInfo.match;
+    if (info.match && !answer) {
+        matchInfo.matched = null;
+        matchInfo.reason = `Fallback: "${info.match.question}" matched but every answer needs a slot that is not known yet`;
     }
     
-    // Ensure smooth scrolling when content exceeds max height
-    if (textarea.scrollHeight > 120) {
-        textarea.scrollTop = textarea.scrollHeight;
+    const isGroup = chatType === 'group';
+    let delayMs = randomInRange(isGroup ? config.delays.groupReply : config.delays.reply);
+    if (!answer) {
+        // Fallback response when no match is found; a bot answering a bot just stays quiet
+        const fallbacks = isGroup ? config.groupFallbacks : config.fallbacks;
+        if (toBot || fallbacks.length === 0) return;
+        answer = fallbacks[Math.floor(Math.random() * fallbacks.length)];
+        delayMs = randomInRange(isGroup ? config.delays.groupFallback : config.delays.fallback);
     }
+    sendTypedReply(chat, bot.id, answer, delayMs, { matchInfo: matchInfo }, reply => {
+        if (isGroup) handleBotInteractions(chat, chatType, reply);
+    });
 }
 
-// Dark Mode Functions
-function toggleDarkMode() {
-    const body = document.body;
-    const isCurrentlyDark = body.getAttribute('data-theme') === 'dark';
-    const lightIcon = document.querySelector('#darkModeToggle .light-icon');
-    const darkIcon = document.querySelector('#darkModeToggle .dark-icon');
-    
-    if (isCurrentlyDark) {
-        // Switch to light mode
-        body.removeAttribute('data-theme');
-        lightIcon.style.display = 'block';
-        darkIcon.style.display = 'none';
-        localStorage.setItem('darkMode', 'false');
-    } else {
-        // Switch to dark mode
-        body.setAttribute('data-theme', 'dark');
-        lightIcon.style.display = 'none';
-        darkIcon.style.display = 'block';
-        localStorage.setItem('darkMode', 'true');
+// Bot Media Functions
+// Photos, files and voice messages are answered from the bank's "@image", "@file" and "@voice"
+// entries. An answer may start with conditions in brackets, all of which must hold:
+//   "[portrait dark] অন্ধকারে সেলফি? 🙃", "[ext=pdf,docx] এত লেখা কে পড়বে?", "[duration>30] এত লম্বা!"
+// A bare word matches any word-valued fact (portrait, blue, dark, pdf, document, short);
+// key=a,b matches one of the values and key>n / key<n compare numbers (sizes take kb/mb/gb).
+// Answers whose conditions hold win; otherwise one without conditions is used.
+const MEDIA_COLOR_SAMPLE = 24; // Photos are shrunk to this many pixels a side before their colours are counted
+const MEDIA_FILE_KINDS = {
+    document: ['pdf', 'doc', 'docx', 'txt', 'rtf', 'odt', 'md'],
+    spreadsheet: ['xls', 'xlsx', 'csv', 'ods'],
+    presentation: ['ppt', 'pptx', 'odp', 'key'],
+    archive: ['zip', 'rar', '7z', 'tar', 'gz'],
+    audio: ['mp3', 'wav', 'm4a', 'ogg', 'aac', 'flac', 'opus'],
+    video: ['mp4', 'mov', 'mkv', 'avi', 'webm', '3gp'],
+    image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'bmp', 'svg'],
+    app: ['apk', 'exe', 'msi', 'dmg'],
+    code: ['js', 'html', 'css', 'py', 'json', 'java', 'c', 'cpp']
+};
+const MEDIA_NUMBER_UNITS = { s: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+function isMimiMediaKey(key) {
+    return Object.values(MIMI_MEDIA_KEYS).includes(key);
+}
+
+function getMessageMediaType(message) {
+    if (message.imageDataUrl || message.sticker) return 'image';
+    if (message.attachment) return 'file';
+    if (message.voice) return 'voice';
+    return null;
+}
+
+// What a bot can tell about a message's photo, file or voice without any online service:
+// { type, label, facts }, or null for a text message
+async function describeMessageMedia(message) {
+    const type = getMessageMediaType(message);
+    if (type === 'image') {
+        const facts = await analyzeImage(message.imageDataUrl || message.sticker.dataUrl);
+        const details = [
+            facts.width ? `${facts.width}×${facts.height}` : null,
+            facts.shape,
+            facts.color ? `mostly ${facts.color}` : null,
+            facts.tone
+        ].filter(Boolean);
+        const name = message.sticker ? (message.sticker.kind === 'gif' ? 'GIF' : 'Sticker') : 'Photo';
+        return { type: type, label: details.length > 0 ? `${name} (${details.join(', ')})` : name, facts: facts };
+    }
+    if (type === 'file') {
+        const name = message.attachment.name || '';
+        const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+        const kind = Object.keys(MEDIA_FILE_KINDS).find(key => MEDIA_FILE_KINDS[key].includes(ext)) || 'other';
+        const facts = { ext: ext, kind: kind, size: message.attachment.size || 0 };
+        return { type: type, label: `File ${name} (${kind}, ${Math.ceil(facts.size / 1024)} KB)`, facts: facts };
+    }
+    if (type === 'voice') {
+        const duration = message.voice.duration || 0;
+        const facts = { duration: duration, length: duration < 5 ? 'short' : duration > 30 ? 'long' : 'medium' };
+        return { type: type, label: `Voice message (${duration}s)`, facts: facts };
+    }
+    return null;
+}
+
+// Size, shape and colour of a photo; only what could be read when it does not decode
+function analyzeImage(dataUrl) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => {
+            const facts = { width: image.naturalWidth, height: image.naturalHeight };
+            const ratio = facts.width / facts.height;
+            facts.shape = ratio > 1.1 ? 'landscape' : ratio < 0.9 ? 'portrait' : 'square';
+            const longest = Math.max(facts.width, facts.height);
+            facts.resolution = longest < 500 ? 'small' : longest >= 2000 ? 'large' : 'medium';
+            try {
+                Object.assign(facts, measureImageColors(image));
+            } catch (error) {
+                console.error('Could not read the photo colours:', error);
+            }
+            resolve(facts);
+        };
+        image.onerror = () => resolve({});
+        image.src = dataUrl;
+    });
+}
+
+// The most common colour name among the photo's pixels and how bright it is overall (0-255)
+function measureImageColors(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = MEDIA_COLOR_SAMPLE;
+    canvas.height = MEDIA_COLOR_SAMPLE;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, MEDIA_COLOR_SAMPLE, MEDIA_COLOR_SAMPLE);
+    const data = ctx.getImageData(0, 0, MEDIA_COLOR_SAMPLE, MEDIA_COLOR_SAMPLE).data;
+    
+    const counts = {};
+    let luma = 0;
+    let pixels = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue; // Transparent
+        const name = nameColor(data[i], data[i + 1], data[i + 2]);
+        counts[name] = (counts[name] || 0) + 1;
+        luma += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        pixels++;
     }
+    if (pixels === 0) return {};
+    
+    const brightness = Math.round(luma / pixels);
+    return {
+        color: Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0],
+        brightness: brightness,
+        tone: brightness < 85 ? 'dark' : brightness > 170 ? 'light' : 'medium'
+    };
 }
 
-function loadDarkModePreference() {
-    const darkModeEnabled = localStorage.getItem('darkMode') === 'true';
-    const body = document.body;
-    const lightIcon = document.querySelector('#darkModeToggle .light-icon');
-    const darkIcon = document.querySelector('#darkModeToggle .dark-icon');
+function nameColor(r, g, b) {
+    const [red, green, blue] = [r / 255, g / 255, b / 255];
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    if (lightness < 0.15) return 'black';
+    if (lightness > 0.9) return 'white';
+    const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+    if (saturation < 0.2) return 'gray';
+    
+    let hue;
+    if (max === red) hue = ((green - blue) / delta) % 6;
+    else if (max === green) hue = (blue - red) / delta + 2;
+    else hue = (red - green) / delta + 4;
+    hue = (hue * 60 + 360) % 360;
+    
+    if (hue < 15 || hue >= 345) return lightness > 0.7 ? 'pink' : 'red';
+    if (hue < 45) return lightness < 0.4 ? 'brown' : 'orange';
+    if (hue < 70) return 'yellow';
+    if (hue < 165) return 'green';
+    if (hue < 255) return 'blue';
+    if (hue < 290) return 'purple';
+    return 'pink';
+}
+
+// "[portrait dark] text" -> { conditions: ['portrait', 'dark'], text: 'text' }
+function parseMediaAnswer(answer) {
+    const found = answer.match(/^\[([^\]]*)\]\s*/);
+    if (!found) return { conditions: [], text: answer };
+    return { conditions: found[1].split(/\s+/).filter(Boolean), text: answer.slice(found[0].length) };
+}
+
+function mediaConditionHolds(condition, facts) {
+    const comparison = condition.match(/^(\w+)([=<>])(.+)$/);
+    if (!comparison) {
+        const word = condition.toLowerCase();
+        return Object.values(facts).some(value => typeof value === 'string' && value.toLowerCase() === word);
+    }
     
-    if (darkModeEnabled) {
-        body.setAttribute('data-theme', 'dark');
-        if (lightIcon) lightIcon.style.display = 'none';
-        if (darkIcon) darkIcon.style.display = 'block';
+    const [, key, operator, value] = comparison;
+    const fact = facts[key];
+    if (fact === undefined || fact === null) return false;
+    if (operator === '=') return value.toLowerCase().split(',').includes(String(fact).toLowerCase());
+    
+    const found = value.toLowerCase().match(/^(\d+(?:\.\d+)?)(s|kb|mb|gb)?$/);
+    if (!found || typeof fact !== 'number') return false;
+    const number = parseFloat(found[1]) * (found[2] ? MEDIA_NUMBER_UNITS[found[2]] : 1);
+    return operator === '>' ? fact > number : fact < number;
+}
+
+// The media counterpart of explainMimiMatch, kept on the reply as message.matchInfo the same way
+async function explainMediaMatch(bank, media, state = null) {
+    const key = MIMI_MEDIA_KEYS[media.type];
+    const responses = bank ? await loadBankResponses(bank) : {};
+    const answers = Array.isArray(responses[key]) ? responses[key].map(parseMediaAnswer) : [];
+    const fitting = answers.filter(answer =>
+        answer.conditions.length > 0 && answer.conditions.every(condition => mediaConditionHolds(condition, media.facts)));
+    const pool = fitting.length > 0 ? fitting : answers.filter(answer => answer.conditions.length === 0);
+    
+    const info = {
+        input: media.label,
+        bankId: bank ? bank.id : null,
+        media: media,
+        lastIntent: state ? state.lastIntent : null,
+        candidates: [],
+        match: null,
+        reason: ''
+    };
+    
+    if (!bank) {
+        info.reason = 'The bot has no response bank';
+    } else if (answers.length === 0) {
+        info.reason = `Fallback: the bank has no "${key}" answers`;
+    } else if (pool.length === 0) {
+        info.reason = `Fallback: no "${key}" answer's conditions fit and none is without conditions`;
     } else {
-        body.removeAttribute('data-theme');
-        if (lightIcon) lightIcon.style.display = 'block';
-        if (darkIcon) darkIcon.style.display = 'none';
+        // Intent ids like "@image" let follow-up intents answer what is said about the photo next
+        info.match = { question: key, intent: key, answers: pool.map(answer => answer.text), slots: {}, similarity: 1, metric: 'media' };
+        const conditions = [...new Set(fitting.flatMap(answer => answer.conditions))];
+        info.reason = fitting.length > 0
+            ? `Media match: ${fitting.length} "${key}" answer(s) fit, by ${conditions.join(' ')}`
+            : `Media match: no conditional "${key}" answer fits, so one without conditions is used`;
     }
+    return info;
 }
 
-function initializeDarkMode() {
-    // Load saved preference
-    loadDarkModePreference();
+// Mimi Response Bank Editor Functions
+// Edits are stored per phrase in the bankEntries store: new or changed answers, or a
+// tombstone hiding a bundled phrase. Files like mimi.json are never modified.
+const MIMI_BANK_LIST_LIMIT = 100; // Rows rendered at once; search narrows the rest
+const MIMI_BANK_FORMAT = 'mimi-bank';
+
+let mimiBankEditing = null; // Bank shown in the editor
+let mimiBankEditingPhrase = null; // Phrase loaded into the form, null for a new one
+let mimiBankModalEscapeHandler = null;
+
+async function showMimiBankModal(bankId = 'mimi') {
+    const modal = document.getElementById('mimiBankModal');
+    if (!modal) return;
     
-    // Add event listener to toggle button
-    const darkModeToggle = document.getElementById('darkModeToggle');
-    if (darkModeToggle) {
-        darkModeToggle.addEventListener('click', toggleDarkMode);
+    const bank = await getResponseBank(bankId) || await getResponseBank('mimi');
+    await openMimiBank(bank);
+    modal.style.display = 'block';
+    
+    // Close modal when clicking on background
+    modal.onclick = function(event) {
+        if (event.target === modal) {
+            hideMimiBankModal();
+        }
+    };
+    
+    mimiBankModalEscapeHandler = function(event) {
+        if (event.key === 'Escape') {
+            hideMimiBankModal();
+        }
+    };
+    document.addEventListener('keydown', mimiBankModalEscapeHandler);
+}
+
+function hideMimiBankModal() {
+    const modal = document.getElementById('mimiBankModal');
+    if (modal) {
+        modal.style.display = 'none';
+        modal.onclick = null;
+        
+        if (mimiBankModalEscapeHandler) {
+            document.removeEventListener('keydown', mimiBankModalEscapeHandler);
+            mimiBankModalEscapeHandler = null;
+        }
     }
+    mimiBankEditing = null;
 }
 
-// Utility Functions
-function generateId() {
-    return Math.random().toString(36).substring(2) + Date.now().toString(36);
+async function openMimiBank(bank) {
+    mimiBankEditing = bank;
+    await loadBankResponses(bank);
+    await renderMimiBankSelect();
+    clearMimiBankForm();
+    renderMimiBankList();
+    testMimiPhrase();
 }
 
-// Mimi Chat System
-let mimiResponses = null;
+async function renderMimiBankSelect() {
+    const select = document.getElementById('mimiBankSelect');
+    const banks = await loadResponseBanks();
+    select.innerHTML = '';
+    banks.forEach(bank => {
+        const option = document.createElement('option');
+        option.value = bank.id;
+        const botNames = users.filter(user => isBot(user) && user.bot.bankId === bank.id).map(user => user.name);
+        option.textContent = botNames.length > 0 ? `${bank.name} (${botNames.join(', ')})` : bank.name;
+        select.appendChild(option);
+    });
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = '＋ New bank…';
+    select.appendChild(newOption);
+    select.value = mimiBankEditing ? mimiBankEditing.id : '';
+}
+
+async function selectMimiBank() {
+    const bankId = document.getElementById('mimiBankSelect').value;
+    const bank = bankId ? await getResponseBank(bankId) : await addResponseBank();
+    if (bank) {
+        await openMimiBank(bank);
+    } else {
+        await renderMimiBankSelect(); // Cancelled: show the current bank again
+    }
+}
 
-// Load Mimi response data
-async function loadMimiResponses() {
-    if (mimiResponses) return mimiResponses;
+// Asks for a name; resolves to the new, empty bank or null
+async function addResponseBank(defaultName = '') {
+    const name = (prompt('Name of the new response bank:', defaultName) || '').trim();
+    if (!name) return null;
+    
+    const banks = await loadResponseBanks();
+    const record = { id: 'bank_' + generateId(), name: name };
+    banks.set(record.id, {
+        id: record.id,
+        name: name,
+        url: null,
+        bundled: {},
+        customEntries: new Map(),
+        responses: null,
+        matcher: null
+    });
     
     try {
-        const response = await fetch('mimi.json');
-        mimiResponses = await response.json();
-        return mimiResponses;
+        await writeStoreRecords('responseBanks', [{ put: record }]);
     } catch (error) {
-        console.error('Error loading mimi.json:', error);
-        return {};
+        console.error('Error saving response bank:', error);
+        alert('Could not save the new response bank.');
     }
+    return banks.get(record.id);
 }
 
-// Calculate string similarity using Jaro-Winkler distance
-function calculateSimilarity(str1, str2) {
-    if (str1 === str2) return 1.0;
-    
-    str1 = str1.toLowerCase().trim();
-    str2 = str2.toLowerCase().trim();
-    
-    if (str1 === str2) return 1.0;
+// 'bundled', 'added', 'edited' or 'deleted'
+function getMimiPhraseOrigin(phrase) {
+    const custom = mimiBankEditing.customEntries.get(phrase);
+    const isBundled = !!mimiBankEditing.bundled && Object.prototype.hasOwnProperty.call(mimiBankEditing.bundled, phrase);
+    if (!custom) return 'bundled';
+    if (custom.deleted) return 'deleted';
+    return isBundled ? 'edited' : 'added';
+}
+
+function renderMimiBankList() {
+    const list = document.getElementById('mimiBankList');
+    const count = document.getElementById('mimiBankCount');
+    if (!list || !mimiBankEditing || !mimiBankEditing.responses) return;
+    const { responses, bundled, customEntries } = mimiBankEditing;
+    
+    const query = normalizeText(document.getElementById('mimiBankSearch').value);
+    const onlyCustom = document.getElementById('mimiBankFilter').value === 'custom';
+    
+    // Your changes include deleted phrases so they can be restored
+    const phrases = onlyCustom
+        ? Array.from(customEntries.keys())
+        : Object.keys(responses).filter(phrase => phrase !== MIMI_INTENTS_KEY);
+    const matches = phrases.filter(phrase => {
+        if (!query) return true;
+        const answers = responses[phrase] || (bundled && bundled[phrase]) || [];
+        return textMatchesQuery(phrase, query) || answers.some(answer => textMatchesQuery(answer, query));
+    });
     
-    const maxDistance = Math.floor(Math.max(str1.length, str2.length) / 2) - 1;
-    const matches1 = new Array(str1.length).fill(false);
-    const matches2 = new Array(str2.length).fill(false);
-    let matches = 0;
-    let transpositions = 0;
+    count.textContent = matches.length > MIMI_BANK_LIST_LIMIT
+        ? `(showing ${MIMI_BANK_LIST_LIMIT} of ${matches.length})`
+        : `(${matches.length})`;
     
-    // Find matches
-    for (let i = 0; i < str1.length; i++) {
-        const start = Math.max(0, i - maxDistance);
-        const end = Math.min(i + maxDistance + 1, str2.length);
+    list.innerHTML = '';
+    matches.slice(0, MIMI_BANK_LIST_LIMIT).forEach(phrase => {
+        const origin = getMimiPhraseOrigin(phrase);
+        const answers = responses[phrase] || (bundled && bundled[phrase]) || [];
         
-        for (let j = start; j < end; j++) {
-            if (matches2[j] || str1[i] !== str2[j]) continue;
-            matches1[i] = matches2[j] = true;
-            matches++;
-            break;
+        const row = document.createElement('div');
+        row.className = `script-preview-row mimi-bank-row mimi-bank-${origin}`;
+        if (phrase === mimiBankEditingPhrase) row.classList.add('active');
+        
+        const phraseSpan = document.createElement('span');
+        phraseSpan.className = 'mimi-bank-phrase';
+        phraseSpan.textContent = phrase;
+        row.appendChild(phraseSpan);
+        
+        if (origin !== 'bundled') {
+            const badge = document.createElement('span');
+            badge.className = 'mimi-bank-badge';
+            badge.textContent = origin;
+            row.appendChild(badge);
         }
+        
+        const answersDiv = document.createElement('div');
+        answersDiv.className = 'mimi-bank-answers';
+        answersDiv.textContent = answers.join(' · ');
+        row.appendChild(answersDiv);
+        
+        row.addEventListener('click', () => loadMimiBankForm(phrase));
+        list.appendChild(row);
+    });
+}
+
+function loadMimiBankForm(phrase) {
+    const origin = getMimiPhraseOrigin(phrase);
+    const answers = mimiBankEditing.responses[phrase] || (mimiBankEditing.bundled && mimiBankEditing.bundled[phrase]) || [];
+    mimiBankEditingPhrase = phrase;
+    
+    document.getElementById('mimiPhraseInput').value = phrase;
+    document.getElementById('mimiAnswersInput').value = answers.join('\n');
+    document.getElementById('mimiRestoreBtn').style.display = origin === 'edited' || origin === 'deleted' ? '' : 'none';
+    document.getElementById('mimiDeleteBtn').style.display = origin === 'deleted' ? 'none' : '';
+    renderMimiBankList();
+}
+
+function clearMimiBankForm() {
+    mimiBankEditingPhrase = null;
+    document.getElementById('mimiPhraseInput').value = '';
+    document.getElementById('mimiAnswersInput').value = '';
+    document.getElementById('mimiRestoreBtn').style.display = 'none';
+    document.getElementById('mimiDeleteBtn').style.display = 'none';
+}
+
+async function saveMimiBankForm() {
+    const phrase = document.getElementById('mimiPhraseInput').value.trim();
+    const answers = document.getElementById('mimiAnswersInput').value
+        .split('\n')
+        .map(answer => answer.trim())
+        .filter(Boolean);
+    
+    if (!phrase || phrase === MIMI_INTENTS_KEY) {
+        alert('Please enter a trigger phrase');
+        return;
+    }
+    if (answers.length === 0) {
+        alert('Please enter at least one answer');
+        return;
     }
     
-    if (matches === 0) return 0.0;
+    const existing = mimiBankEditing.responses[phrase];
+    if (phrase !== mimiBankEditingPhrase && existing && !confirm(`"${phrase}" already exists. Replace its answers?`)) {
+        return;
+    }
     
-    // Find transpositions
-    let k = 0;
-    for (let i = 0; i < str1.length; i++) {
-        if (!matches1[i]) continue;
-        while (!matches2[k]) k++;
-        if (str1[i] !== str2[k]) transpositions++;
-        k++;
+    // Renaming a phrase removes the old one
+    const changes = [];
+    if (mimiBankEditingPhrase && mimiBankEditingPhrase !== phrase) {
+        changes.push(removeMimiPhrase(mimiBankEditingPhrase));
     }
+    changes.push(setMimiPhrase(phrase, answers));
+    await applyMimiBankChanges(changes);
+    loadMimiBankForm(phrase);
+}
+
+async function deleteMimiBankForm() {
+    const phrase = mimiBankEditingPhrase;
+    if (!phrase || !confirm(`Delete "${phrase}"? Bots using this bank will stop answering it.`)) return;
     
-    const jaro = (matches / str1.length + matches / str2.length + (matches - transpositions / 2) / matches) / 3;
+    await applyMimiBankChanges([removeMimiPhrase(phrase)]);
+    if (getMimiPhraseOrigin(phrase) === 'deleted') {
+        loadMimiBankForm(phrase);
+    } else {
+        clearMimiBankForm();
+        renderMimiBankList();
+    }
+}
+
+async function restoreMimiBankForm() {
+    const phrase = mimiBankEditingPhrase;
+    if (!phrase) return;
     
-    // Apply Winkler modification
-    let prefix = 0;
-    for (let i = 0; i < Math.min(str1.length, str2.length, 4); i++) {
-        if (str1[i] === str2[i]) prefix++;
-        else break;
+    mimiBankEditing.customEntries.delete(phrase);
+    await applyMimiBankChanges([{ remove: [mimiBankEditing.id, phrase] }]);
+    loadMimiBankForm(phrase);
+}
+
+// Each changes the bank being edited and returns the store change it needs:
+// { put: record } or { remove: [bankId, phrase] }
+function setMimiPhrase(phrase, answers) {
+    const bank = mimiBankEditing;
+    const bundled = bank.bundled && bank.bundled[phrase];
+    if (Array.isArray(bundled) && bundled.join('\n') === answers.join('\n')) {
+        // Same as shipped, so there is nothing to keep
+        bank.customEntries.delete(phrase);
+        return { remove: [bank.id, phrase] };
+    }
+    const record = { bankId: bank.id, phrase: phrase, answers: answers };
+    bank.customEntries.set(phrase, record);
+    return { put: record };
+}
+
+function removeMimiPhrase(phrase) {
+    const bank = mimiBankEditing;
+    if (bank.bundled && Object.prototype.hasOwnProperty.call(bank.bundled, phrase)) {
+        const record = { bankId: bank.id, phrase: phrase, deleted: true };
+        bank.customEntries.set(phrase, record);
+        return { put: record };
+    }
+    bank.customEntries.delete(phrase);
+    return { remove: [bank.id, phrase] };
+}
+
+async function applyMimiBankChanges(changes) {
+    const bank = mimiBankEditing;
+    try {
+        await writeStoreRecords('bankEntries', changes);
+    } catch (error) {
+        console.error('Error saving bot responses:', error);
+        alert('Could not save your changes to the responses.');
+        // Go back to what is stored, so bots don't answer with changes that were lost
+        await reloadBankEntries(bank);
     }
     
-    return jaro + 0.1 * prefix * (1 - jaro);
+    invalidateBankResponses(bank);
+    await loadBankResponses(bank);
+    renderMimiBankList();
+    testMimiPhrase();
 }
 
-// Normalize text: lowercase, trim, remove extra spaces, basic punctuation and ZWJ/ZWNJ
-function normalizeText(text) {
-    if (!text) return '';
-    return text
-        .toLowerCase()
-        .replace(/[\u200C\u200D]/g, '') // remove ZWNJ/ZWJ
-        .replace(/[\p{P}\p{S}]+/gu, ' ') // remove punctuation/symbols (unicode)
-        .replace(/\s+/g, ' ')
-        .trim();
+async function reloadBankEntries(bank) {
+    try {
+        const entries = await loadFromIndexedDB('bankEntries');
+        bank.customEntries = new Map(entries.filter(entry => entry.bankId === bank.id).map(entry => [entry.phrase, entry]));
+    } catch (error) {
+        console.error('Error loading bot responses:', error);
+    }
 }
 
-function tokenSet(text) {
-    return new Set(normalizeText(text).split(' ').filter(Boolean));
+// changes: [{ put: record } or { remove: key }]
+function writeStoreRecords(storeName, changes) {
+    if (!db || changes.length === 0) return Promise.resolve();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        changes.forEach(change => {
+            if (change.put) store.put(change.put);
+            if (change.remove) store.delete(change.remove);
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
 }
 
-function jaccardSimilarity(a, b) {
-    const setA = tokenSet(a);
-    const setB = tokenSet(b);
-    if (setA.size === 0 || setB.size === 0) return 0;
-    let intersection = 0;
-    setA.forEach(t => { if (setB.has(t)) intersection++; });
-    const union = setA.size + setB.size - intersection;
-    return intersection / union;
+// Top candidates for the test phrase, scored as in a real chat without conversation state
+async function testMimiPhrase() {
+    const results = document.getElementById('mimiTestResults');
+    const text = document.getElementById('mimiTestInput').value;
+    results.innerHTML = '';
+    if (!text.trim()) return;
+    
+    const bank = mimiBankEditing;
+    const settings = getMatchSettings(getMimiBankProfile(bank));
+    const candidates = await rankMimiCandidates(bank, text, null, 5, settings);
+    // A newer keystroke (or another bank) may have replaced the text while scoring
+    if (document.getElementById('mimiTestInput').value !== text || mimiBankEditing !== bank) return;
+    
+    if (candidates.length === 0 || candidates[0].similarity < settings.secondaryThreshold) {
+        const row = document.createElement('div');
+        row.className = 'script-preview-row script-preview-error';
+        row.textContent = 'No match: the bot would send a fallback reply';
+        results.appendChild(row);
+    }
+    
+    candidates.forEach((candidate, index) => {
+        const row = document.createElement('div');
+        row.className = 'script-preview-row mimi-test-row';
+        if (index === 0 && candidate.similarity >= settings.secondaryThreshold) row.classList.add('mimi-test-winner');
+        
+        const score = document.createElement('span');
+        score.className = 'mimi-test-score';
+        score.textContent = candidate.similarity.toFixed(3);
+        row.appendChild(score);
+        row.appendChild(document.createTextNode(candidate.question));
+        
+        const answers = document.createElement('div');
+        answers.className = 'mimi-bank-answers';
+        answers.textContent = candidate.answers.join(' · ');
+        row.appendChild(answers);
+        
+        // Intent patterns are not phrases of the bank, so only plain phrases open in the form
+        if (bank.responses[candidate.question]) {
+            row.addEventListener('click', () => loadMimiBankForm(candidate.question));
+        }
+        results.appendChild(row);
+    });
 }
 
-function containsSimilarity(text, pattern) {
-    const nt = normalizeText(text);
-    const np = normalizeText(pattern);
-    if (!nt || !np) return 0;
-    if (nt === np) return 1;
-    if (nt.includes(np)) return Math.min(0.95, Math.max(np.length / (nt.length + 0.0001), 0.7));
-    return 0;
+// The open chat's bot when it uses the bank, else any bot that does; its thresholds are used for tests
+function getMimiBankProfile(bank) {
+    if (currentChatType === 'user' && isBot(currentChat) && currentChat.bot.bankId === bank.id) return currentChat;
+    return users.find(user => isBot(user) && user.bot.bankId === bank.id) || null;
 }
 
-// Find best matching response for user message using combined metrics
-async function findMimiResponse(userMessage) {
-    const responses = await loadMimiResponses();
-    if (!responses) return null;
-    const normalizedUser = normalizeText(userMessage);
-    const PRIMARY_THRESHOLD = 0.7; // strong match
-    const SECONDARY_THRESHOLD = 0.55; // fallback match
-    let bestMatch = null;
-    let bestSimilarity = 0;
-    // Check each question in mimi.json
-    for (const [question, answers] of Object.entries(responses)) {
-        // Combine multiple similarity signals
-        const jw = calculateSimilarity(normalizedUser, question);
-        const jc = jaccardSimilarity(normalizedUser, question);
-        const cont = containsSimilarity(normalizedUser, question);
-        const similarity = Math.max(jw, jc, cont);
-        if (similarity > bestSimilarity) {
-            bestSimilarity = similarity;
-            bestMatch = { question, answers, similarity };
-        }
-    }
-    if (bestMatch && bestSimilarity >= PRIMARY_THRESHOLD) return bestMatch;
-    if (bestMatch && bestSimilarity >= SECONDARY_THRESHOLD) return bestMatch;
-    return null;
+async function runMimiMatcherChecks() {
+    const failures = checkMimiTransliteration();
+    const report = await benchmarkMimiMatching(mimiBankEditing);
+    const transliteration = failures.length === 0
+        ? `All ${MIMI_TRANSLITERATION_PAIRS.length} Banglish/Bangla pairs match.`
+        : `${failures.length} of ${MIMI_TRANSLITERATION_PAIRS.length} Banglish/Bangla pairs do not match: ${failures.map(failure => `"${failure.message}"`).join(', ')}`;
+    const verdict = report.mismatches.length === 0
+        ? 'Indexed matching gave the same results as scoring every phrase.'
+        : `${report.mismatches.length} input(s) ranked differently: ${report.mismatches.slice(0, 5).map(mismatch => `"${mismatch.input}"`).join(', ')}`;
+    alert(`${transliteration}\n\n${verdict}\n${report.inputs} inputs\nEvery phrase: ${report.bruteForceMs} ms\nIndexed: ${report.indexedMs} ms (${report.speedup}x faster)`);
+}
+
+function exportMimiBank() {
+    const entries = {};
+    const deleted = [];
+    mimiBankEditing.customEntries.forEach(entry => {
+        if (entry.deleted) {
+            deleted.push(entry.phrase);
+        } else {
+            entries[entry.phrase] = entry.answers;
+        }
+    });
+    
+    const bank = {
+        format: MIMI_BANK_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        entries: entries,
+        deleted: deleted
+    };
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([JSON.stringify(bank, null, 2)], { type: 'application/json' }), `${mimiBankEditing.id}-responses-${date}.json`);
 }
 
-// Get random emoji from Mimi's reaction list
-function getRandomMimiEmoji() {
-    const emojis = ['🙃', '😑', '😌', '🤫', '😉', '😘'];
-    return emojis[Math.floor(Math.random() * emojis.length)];
+// Accepts an exported bank or a plain mimi.json-style { phrase: [answers] } map
+function importMimiBank(file) {
+    const reader = new FileReader();
+    reader.onload = async function(e) {
+        let entries;
+        let deleted = [];
+        try {
+            const data = JSON.parse(e.target.result);
+            if (data && data.format === MIMI_BANK_FORMAT) {
+                entries = data.entries || {};
+                deleted = Array.isArray(data.deleted) ? data.deleted : [];
+            } else {
+                entries = data;
+            }
+            if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+                throw new Error('no phrases found');
+            }
+        } catch (error) {
+            console.error('Error reading bot responses:', error);
+            alert(`Import failed: ${error instanceof SyntaxError ? 'the file is not valid JSON' : error.message}`);
+            return;
+        }
+        
+        const changes = [];
+        Object.entries(entries).forEach(([phrase, answers]) => {
+            if (phrase === MIMI_INTENTS_KEY || !Array.isArray(answers)) return;
+            const cleanAnswers = answers.filter(answer => typeof answer === 'string' && answer.trim());
+            if (phrase.trim() && cleanAnswers.length > 0) {
+                changes.push(setMimiPhrase(phrase.trim(), cleanAnswers));
+            }
+        });
+        deleted.forEach(phrase => {
+            if (typeof phrase === 'string') changes.push(removeMimiPhrase(phrase));
+        });
+        
+        await applyMimiBankChanges(changes);
+        alert(`Imported ${changes.length} phrase changes.`);
+    };
+    reader.readAsText(file);
 }
 
-// Handle Mimi auto-response and reactions
-async function handleMimiInteraction(userMessage, messageId) {
-    if (!currentChat || currentChat.id !== 'mimi') return;
+// Match Debug Panel Functions
+let matchDebugInfo = null; // Explanation currently shown
+let matchDebugProfile = null; // Bot whose matching settings the panel edits
+let matchDebugModalEscapeHandler = null;
+
+function showMatchDebugPanel() {
+    const message = findMessage(contextMenuTargetMessage);
+    hideContextMenu();
+    if (!message || !message.matchInfo) return;
     
-    // Add random emoji reaction to user's message immediately
-    setTimeout(() => {
-        const randomEmoji = getRandomMimiEmoji();
-        const message = findMessage(messageId);
-        if (message) {
-            if (!message.reactions) message.reactions = {};
-            message.reactions['mimi'] = randomEmoji;
-            saveAllData(); // Save to IndexedDB
-            renderMessages();
+    matchDebugProfile = getParticipant(message.senderId);
+    document.getElementById('matchDebugProfile').textContent = matchDebugProfile ? `(${matchDebugProfile.name})` : '';
+    fillMatchSettingsForm(getMatchSettings(matchDebugProfile));
+    renderMatchDebug(message.matchInfo);
+    
+    const modal = document.getElementById('matchDebugModal');
+    modal.style.display = 'block';
+    
+    // Close modal when clicking on background
+    modal.onclick = function(event) {
+        if (event.target === modal) {
+            hideMatchDebugPanel();
         }
-    }, 500 + Math.random() * 1000); // Random delay between 0.5-1.5 seconds
+    };
     
-    // Find and send response
-    const match = await findMimiResponse(userMessage);
-    if (match && match.answers && match.answers.length > 0) {
-        // Random delay before responding (1-3 seconds)
-        setTimeout(() => {
-            const randomAnswer = match.answers[Math.floor(Math.random() * match.answers.length)];
-            addMessage('mimi', randomAnswer);
-            renderMessages();
-        }, 1000 + Math.random() * 2000);
-    } else {
-        // Fallback response when no match is found
-        setTimeout(() => {
-            const fallbackResponses = ["🤔", "হুম", "আচ্ছা", "ওহ"];
-            const randomFallback = fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
-            addMessage('mimi', randomFallback);
-            renderMessages();
-        }, 1500 + Math.random() * 1500);
+    matchDebugModalEscapeHandler = function(event) {
+        if (event.key === 'Escape') {
+            hideMatchDebugPanel();
+        }
+    };
+    document.addEventListener('keydown', matchDebugModalEscapeHandler);
+}
+
+function hideMatchDebugPanel() {
+    const modal = document.getElementById('matchDebugModal');
+    if (modal) {
+        modal.style.display = 'none';
+        modal.onclick = null;
+        
+        if (matchDebugModalEscapeHandler) {
+            document.removeEventListener('keydown', matchDebugModalEscapeHandler);
+            matchDebugModalEscapeHandler = null;
+        }
     }
+    matchDebugInfo = null;
+    matchDebugProfile = null;
 }
 
-// Handle Mimi interactions in groups
-async function handleMimiGroupInteraction(userMessage, messageId, groupId) {
-    // Check if Mimi is in this group
-    const group = groups.find(g => g.id === groupId);
-    if (!group || !group.members.includes('mimi')) return;
+function renderMatchDebug(info) {
+    matchDebugInfo = info;
+    
+    const summary = document.getElementById('matchDebugSummary');
+    summary.innerHTML = '';
+    const addRow = (label, value) => {
+        const row = document.createElement('div');
+        row.className = 'match-debug-row';
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'match-debug-label';
+        labelSpan.textContent = label;
+        const valueSpan = document.createElement('span');
+        valueSpan.textContent = value;
+        row.appendChild(labelSpan);
+        row.appendChild(valueSpan);
+        summary.appendChild(row);
+    };
+    addRow('Message', info.input);
+    if (info.media) {
+        // In the same key=value form the answer conditions use
+        const facts = Object.entries(info.media.facts).map(([key, value]) => `${key}=${value}`);
+        addRow('Facts', facts.join(' ') || '(none could be read)');
+    } else {
+        addRow('Normalized', info.normalized || '(empty)');
+        if (info.folded !== undefined) addRow('Compared as', info.folded || '(empty)');
+    }
+    addRow('Previous intent', info.lastIntent || '(none)');
+    addRow('Decision', info.reason);
+    
+    const table = document.getElementById('matchDebugCandidates');
+    table.innerHTML = '';
+    const header = document.createElement('tr');
+    ['Phrase', ...MATCH_METRICS.map(m => m.label), 'Score', 'Won by'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
     
-    // Add random emoji reaction to user's message
-    setTimeout(() => {
-        const randomEmoji = getRandomMimiEmoji();
-        const message = findMessage(messageId);
-        if (message) {
-            if (!message.reactions) message.reactions = {};
-            message.reactions['mimi'] = randomEmoji;
-            saveAllData(); // Save to IndexedDB
-            renderMessages();
-        }
-    }, 500 + Math.random() * 1000);
+    const matched = info.match ? info.match.question : info.matched;
+    info.candidates.forEach(candidate => {
+        const row = document.createElement('tr');
+        if (candidate.question === matched) row.className = 'match-debug-winner';
+        
+        const cells = [candidate.question];
+        MATCH_METRICS.forEach(({ key }) => {
+            const score = candidate.scores[key];
+            cells.push(typeof score === 'number' ? score.toFixed(3) : '–');
+        });
+        cells.push(candidate.bonus ? `${candidate.similarity.toFixed(3)} (+${candidate.bonus} follow-up)` : candidate.similarity.toFixed(3));
+        cells.push(getMatchMetricLabel(candidate.metric));
+        cells.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        });
+        table.appendChild(row);
+    });
+}
+
+function fillMatchSettingsForm(settings) {
+    document.getElementById('matchPrimaryInput').value = settings.primaryThreshold;
+    document.getElementById('matchSecondaryInput').value = settings.secondaryThreshold;
+    MATCH_METRICS.forEach(({ key }) => {
+        document.getElementById(`matchWeight_${key}`).value = settings.weights[key];
+    });
+}
+
+// Returns null (after telling the user) when a value is out of range
+function readMatchSettingsForm() {
+    const readNumber = (id, max) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return value >= 0 && value <= max ? value : null;
+    };
+    const settings = {
+        primaryThreshold: readNumber('matchPrimaryInput', 1),
+        secondaryThreshold: readNumber('matchSecondaryInput', 1),
+        weights: {}
+    };
+    MATCH_METRICS.forEach(({ key }) => {
+        settings.weights[key] = readNumber(`matchWeight_${key}`, 2);
+    });
     
-    // Find and send response (deterministic 70% similarity threshold in groups too)
-    const match = await findMimiResponse(userMessage);
-    if (match && match.answers && match.answers.length > 0) {
-        setTimeout(() => {
-            const randomAnswer = match.answers[Math.floor(Math.random() * match.answers.length)];
-            addMessage('mimi', randomAnswer);
-            renderMessages();
-        }, 1000 + Math.random() * 3000);
-    } else {
-        // Fallback response for groups
-        setTimeout(() => {
-            const fallbackResponses = ["😑", "🙃", "হুম"];
-            const randomFallback = fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
-            addMessage('mimi', randomFallback);
-            renderMessages();
-        }, 2000 + Math.random() * 2000);
+    if (settings.primaryThreshold === null || settings.secondaryThreshold === null) {
+        alert('Thresholds must be between 0 and 1');
+        return null;
+    }
+    if (Object.values(settings.weights).some(weight => weight === null)) {
+        alert('Weights must be between 0 and 2');
+        return null;
+    }
+    if (settings.secondaryThreshold > settings.primaryThreshold) {
+        alert('The secondary threshold cannot be above the primary threshold');
+        return null;
+    }
+    return settings;
+}
+
+async function rerunMatchDebug() {
+    const settings = readMatchSettingsForm();
+    if (!settings || !matchDebugInfo) return;
+    
+    // Score the same message against the same bank in the same conversation context as the original reply
+    const bankId = matchDebugInfo.bankId || (isBot(matchDebugProfile) ? matchDebugProfile.bot.bankId : 'mimi');
+    const state = { lastIntent: matchDebugInfo.lastIntent, slots: {} };
+    const bank = await getResponseBank(bankId);
+    if (matchDebugInfo.media) {
+        renderMatchDebug(await explainMediaMatch(bank, matchDebugInfo.media, state));
+        return;
     }
-}
\ No newline at end of file
+    renderMatchDebug(await explainMimiMatch(bank, matchDebugInfo.input, state, settings));
+}
+
+function saveMatchSettings() {
+    const settings = readMatchSettingsForm();
+    if (!settings || !matchDebugProfile) return;
+    
+    matchDebugProfile.matchSettings = settings;
+    queueChatSave(matchDebugProfile, 'user'); // Save to IndexedDB
+    rerunMatchDebug();
+}
+
+function resetMatchSettingsForm() {
+    fillMatchSettingsForm(DEFAULT_MATCH_SETTINGS);
+    rerunMatchDebug();
+}
@@ -1,10 +1,11 @@
-const CACHE_NAME = 'fakebook-cache-v1';
+const CACHE_NAME = 'fakebook-cache-v3';
 const ASSETS = [
   './',
   './index.html',
   './style.css',
   './script.js',
   './mimi.json',
+  './emoji.json',
   './5946074.png'
 ];
 
@@ -22,8 +23,21 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// Mimi's phrases change between releases; fetch them fresh and use the cache only offline
+const NETWORK_FIRST = ['mimi.json'];
+
 self.addEventListener('fetch', (event) => {
   const req = event.request;
+  if (NETWORK_FIRST.some(name => new URL(req.url).pathname.endsWith('/' + name))) {
+    event.respondWith(
+      fetch(req).then(res => {
+        const resClone = res.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(req, resClone));
+        return res;
+      }).catch(() => caches.match(req))
+    );
+    return;
+  }
   event.respondWith(
     caches.match(req).then(cached => cached || fetch(req).then(res => {
       const resClone = res.clone();